@@ -3,28 +3,38 @@
  * Handles user authentication and chat interface.
  */
 
-import React, { useState } from "react";
-import { Routes, Route, Navigate, useNavigate } from 'react-router-dom';
-import { ThemeProvider, createTheme } from '@mui/material';
-import { Box, CssBaseline, Typography, Button, Container } from "@mui/material";
+import React, { useState, useMemo, useEffect, useCallback } from "react";
+import { Routes, Route, Navigate, useNavigate, useLocation, useMatch } from 'react-router-dom';
+import { ThemeProvider, useMediaQuery } from '@mui/material';
+import { Box, CssBaseline, Typography, Button, Container, IconButton, Tooltip, SwipeableDrawer } from "@mui/material";
+import SettingsIcon from '@mui/icons-material/Settings';
+import MenuIcon from '@mui/icons-material/Menu';
+import LogoutIcon from '@mui/icons-material/Logout';
+import DarkModeIcon from '@mui/icons-material/DarkMode';
+import LightModeIcon from '@mui/icons-material/LightMode';
 import "./index.css";
 import Login from './components/Login';
 import Register from './components/Register';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
+import VerifyEmailPrompt from './components/VerifyEmailPrompt';
 import Chat from './components/Chat';
 import ChatHistory from './components/ChatHistory';
-import { isAuthenticated, logout } from './utils/auth';
-
-const theme = createTheme({
-  palette: {
-    mode: 'light',
-    primary: {
-      main: '#1976d2',
-    },
-    background: {
-      default: '#f5f5f5',
-    },
-  },
-});
+import SharedChat from './components/SharedChat';
+import Settings from './components/Settings';
+import WisdomSelector from './components/WisdomSelector';
+import { isAuthenticated, isEmailVerified, getUser, setUser, logout } from './utils/auth';
+import { createAppTheme } from './utils/theme';
+import { onSessionExpired } from './services/api';
+import { getUserProfile } from './services/userService';
+import { useAppSelector, useAppActions, newChatPath, findFigure, selectIsStreaming } from './store/appStore';
+
+// Width of the history, as a column beside the chat or as a drawer on small screens
+const HISTORY_WIDTH = 300;
+
+// The drawer can be swiped open on iOS too, but there a swipe from the edge also means "back"
+const isIOS = typeof navigator !== 'undefined' && /iPad|iPhone|iPod/.test(navigator.userAgent);
 
 /**
  * Main application component that handles user authentication and chat interface.
@@ -35,139 +45,323 @@ const theme = createTheme({
 const App = () => {
   // State
   const [isLoggedIn, setIsLoggedIn] = useState(isAuthenticated());
-  const [selectedFigure, setSelectedFigure] = useState('Buddha');
-  const [refreshTrigger, setRefreshTrigger] = useState(0);
-  const [selectedChatId, setSelectedChatId] = useState(null);
-  const [activeChatId, setActiveChatId] = useState(null);
+  // Unverified accounts only get their settings until they verify their email
+  const [emailVerified, setEmailVerified] = useState(isEmailVerified());
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const figure = useAppSelector(state => state.activeFigure);
+  const isStreaming = useAppSelector(selectIsStreaming);
+  const themePreferences = useAppSelector(state => state.theme);
+  const { reset, setFigure, setThemePreferences, loadUserPreferences } = useAppActions();
   const navigate = useNavigate();
+  const location = useLocation();
 
-  // When a chat is updated (new message added)
-  const handleChatUpdated = (chatId) => {
-    console.log('Chat updated with ID:', chatId, 'Current activeChatId:', activeChatId, 'Current selectedChatId:', selectedChatId);
-    
-    // If chatId is null, this is a "new chat" or "clear chat" action
-    if (!chatId) {
-      console.log('No chatId provided - creating new chat or clearing current chat');
-      
-      // Important: Clear both selectedChatId and activeChatId
-      // This ensures next message will create a new chat
-      setSelectedChatId(null);
-      setActiveChatId(null);
-      
-      // Trigger a refresh to update chat history
-      setRefreshTrigger(prev => prev + 1);
-      return;
-    }
-    
-    // Always update selectedChatId to the current chat
-    // This ensures we stay in the same chat after sending a message
-    if (selectedChatId !== chatId) {
-      console.log('Updating selectedChatId to:', chatId);
-      setSelectedChatId(chatId);
-    }
-    
-    // Always update activeChatId
-    if (activeChatId !== chatId) {
-      console.log('Updating activeChatId to:', chatId);
-      setActiveChatId(chatId);
-    }
-    
-    // Always trigger a refresh to update chat history
-    // This ensures new/updated chats appear immediately
-    console.log('Triggering history refresh');
-    setRefreshTrigger(prev => prev + 1);
-  };
+  // The URL decides what is on screen: /chat/:chatId, /new/:figure or /settings.
+  // The store follows the open chat and figure from it.
+  const chatMatch = useMatch('/chat/:chatId');
+  const newChatMatch = useMatch('/new/:figure');
+  const settingsMatch = useMatch('/settings');
+  const newChatFigure = newChatMatch ? findFigure(newChatMatch.params.figure) : null;
+  const showsChat = !settingsMatch && emailVerified;
 
-  // When a chat is selected from history
-  const handleChatSelected = (chatId) => {
-    setSelectedChatId(chatId);
-    setActiveChatId(chatId);
-  };
+  // 'system' follows the operating system, and changes with it
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+  const mode = themePreferences.mode === 'system' ? (prefersDark ? 'dark' : 'light') : themePreferences.mode;
+  const ambienceFigure = themePreferences.figureAmbience ? figure : null;
+  const theme = useMemo(() => createAppTheme(mode, ambienceFigure), [mode, ambienceFigure]);
+
+  // Phones get the history as a drawer and a compact header
+  const isMobile = useMediaQuery(theme.breakpoints.down('md'));
+
+  // Opening a chat, or any other page, puts the drawer away
+  useEffect(() => {
+    setHistoryOpen(false);
+  }, [location.pathname]);
+
+  // On-screen keyboards shrink the visual viewport without resizing the page on some browsers,
+  // so the app is sized to the visual viewport to keep the composer above the keyboard
+  useEffect(() => {
+    const viewport = window.visualViewport;
+    if (!viewport) return;
+
+    const handleResize = () => {
+      document.documentElement.style.setProperty('--app-height', `${viewport.height}px`);
+      // iOS scrolls the page up to show the focused field; the app already fits
+      window.scrollTo(0, 0);
+    };
+
+    handleResize();
+    viewport.addEventListener('resize', handleResize);
+    return () => {
+      viewport.removeEventListener('resize', handleResize);
+      document.documentElement.style.removeProperty('--app-height');
+    };
+  }, []);
+
+  // A session that can't be refreshed signs the user out; they come back here after signing in again
+  useEffect(() => {
+    return onSessionExpired(() => {
+      reset();
+      setIsLoggedIn(false);
+      navigate('/login', {
+        replace: true,
+        state: { from: `${window.location.pathname}${window.location.search}`, sessionExpired: true }
+      });
+    });
+  }, [reset, navigate]);
 
   const handleLogout = () => {
     logout();
+    reset();
     setIsLoggedIn(false);
-    setSelectedChatId(null);
-    setActiveChatId(null);
+    navigate('/login');
   };
 
+  // Send the user back to the page they asked for before they had to sign in
   const handleLoginSuccess = () => {
     setIsLoggedIn(true);
+    setEmailVerified(isEmailVerified());
+    loadUserPreferences();
+    navigate(location.state?.from || '/', { replace: true });
   };
 
   const handleRegisterSuccess = () => {
     setIsLoggedIn(true);
+    setEmailVerified(isEmailVerified());
+    loadUserPreferences();
+    navigate(location.state?.from || '/', { replace: true });
+  };
+
+  // A reset link signs in whoever follows it, replacing any account already signed in here
+  const handleResetSuccess = () => {
+    reset();
+    setIsLoggedIn(true);
+    setEmailVerified(isEmailVerified());
+    loadUserPreferences();
+    navigate('/', { replace: true });
+  };
+
+  const handleEmailVerified = useCallback(() => setEmailVerified(true), []);
+
+  // The link may have been opened on another device, so ask the server
+  const handleCheckVerification = async () => {
+    const profile = await getUserProfile();
+    if (profile?.emailVerified) {
+      setUser({ ...getUser(), emailVerified: true });
+      setEmailVerified(true);
+      return true;
+    }
+    return false;
+  };
+
+  // From a shared chat: open a new chat with the same figure, signing in first if needed
+  const handleStartConversation = (sharedFigure) => {
+    navigate(newChatPath(sharedFigure || figure));
+  };
+
+  const renderMainContent = () => {
+    if (settingsMatch) {
+      return (
+        <Settings
+          onProfileUpdated={() => setEmailVerified(isEmailVerified())}
+          onAccountDeleted={handleLogout}
+        />
+      );
+    }
+
+    if (!emailVerified) {
+      return <VerifyEmailPrompt onCheckAgain={handleCheckVerification} />;
+    }
+
+    // Anything else that isn't a chat, including unknown figures, starts a new chat
+    if (!chatMatch && !newChatFigure) {
+      return <Navigate to={newChatPath(figure)} replace />;
+    }
+
+    // Chat stays mounted while moving between chats, so a reply can finish streaming.
+    // The drawer keeps the history mounted too, so it isn't reloaded each time it opens.
+    return (
+      <>
+        {isMobile ? (
+          <SwipeableDrawer
+            open={historyOpen}
+            onOpen={() => setHistoryOpen(true)}
+            onClose={() => setHistoryOpen(false)}
+            disableBackdropTransition={!isIOS}
+            disableDiscovery={isIOS}
+            ModalProps={{ keepMounted: true }}
+            PaperProps={{
+              sx: {
+                width: `min(${HISTORY_WIDTH}px, 85vw)`,
+                pt: 'env(safe-area-inset-top)',
+                pb: 'env(safe-area-inset-bottom)',
+                pl: 'env(safe-area-inset-left)'
+              }
+            }}
+          >
+            <ChatHistory />
+          </SwipeableDrawer>
+        ) : (
+          <Box sx={{ width: HISTORY_WIDTH, borderRight: 1, borderColor: 'divider', overflow: 'auto' }}>
+            <ChatHistory />
+          </Box>
+        )}
+        <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
+          <Chat />
+        </Box>
+      </>
+    );
   };
 
   // Wrap the entire app in ThemeProvider
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
-      {isLoggedIn ? (
-        <Box sx={{ height: '100vh', display: 'flex', flexDirection: 'column' }}>
-          {/* Header */}
-          <Box sx={{ 
-            p: 2, 
-            borderBottom: 1, 
-            borderColor: 'divider',
-            bgcolor: 'background.paper',
-            display: 'flex',
-            justifyContent: 'space-between',
-            alignItems: 'center'
-          }}>
-            <Typography variant="h4" component="h1">
-              Wisdom Triangle
-            </Typography>
-            <Button variant="outlined" color="primary" onClick={handleLogout}>
-              Logout
-            </Button>
-          </Box>
-
-          {/* Main content */}
-          <Box sx={{ flex: 1, display: 'flex', overflow: 'hidden' }}>
-            <Box sx={{ width: 300, borderRight: 1, borderColor: 'divider', overflow: 'auto' }}>
-              <ChatHistory 
-                refreshTrigger={refreshTrigger} 
-                onSelectChat={handleChatSelected}
-                selectedChatId={selectedChatId}
-                activeChatId={activeChatId}
+      <Routes>
+        {/* Shared chats are public, so they show whether or not anyone is signed in */}
+        <Route
+          path="/share/:shareId"
+          element={<SharedChat onStartConversation={handleStartConversation} />}
+        />
+        {/* Reset and verification links arrive by email, and work whether or not anyone is signed in */}
+        <Route
+          path="/reset-password/:token"
+          element={
+            <Container maxWidth="sm" sx={{ mt: 8 }}>
+              <ResetPassword
+                onResetSuccess={handleResetSuccess}
+                onRequestNewLink={() => navigate(isLoggedIn ? '/settings' : '/forgot-password')}
               />
-            </Box>
-            <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
-              <Chat 
-                selectedFigure={selectedFigure} 
-                setFigure={setSelectedFigure}
-                onChatUpdated={handleChatUpdated}
-                selectedChatId={selectedChatId}
+            </Container>
+          }
+        />
+        <Route
+          path="/verify-email/:token"
+          element={
+            <Container maxWidth="sm" sx={{ mt: 8 }}>
+              <VerifyEmail
+                isLoggedIn={isLoggedIn}
+                onVerified={handleEmailVerified}
+                onContinue={() => navigate(isLoggedIn ? '/' : '/login', { replace: true })}
               />
+            </Container>
+          }
+        />
+        <Route
+          path="*"
+          element={isLoggedIn ? (
+            <Box sx={{
+              height: 'var(--app-height, 100dvh)',
+              display: 'flex',
+              flexDirection: 'column',
+              // Keep clear of notches and rounded corners
+              pl: 'env(safe-area-inset-left)',
+              pr: 'env(safe-area-inset-right)'
+            }}>
+              {/* Header */}
+              <Box sx={{ 
+                p: isMobile ? 1 : 2, 
+                pt: isMobile ? 'max(8px, env(safe-area-inset-top))' : 2,
+                borderBottom: 1, 
+                borderColor: 'divider',
+                bgcolor: 'background.paper',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: 1
+              }}>
+                {isMobile && showsChat && (
+                  <IconButton edge="start" aria-label="open chat history" onClick={() => setHistoryOpen(true)}>
+                    <MenuIcon />
+                  </IconButton>
+                )}
+                <Typography
+                  variant={isMobile ? 'h6' : 'h4'}
+                  component="h1"
+                  onClick={() => navigate('/')}
+                  noWrap
+                  sx={{ cursor: 'pointer', flexShrink: isMobile ? 1 : 0 }}
+                >
+                  Wisdom Triangle
+                </Typography>
+                {/* The figure picker moves up here, leaving the screen to the conversation */}
+                {isMobile && showsChat && (
+                  <WisdomSelector compact figure={figure} setFigure={setFigure} disabled={isStreaming} />
+                )}
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: isMobile ? 0 : 1 }}>
+                  <Tooltip title={mode === 'dark' ? 'Light mode' : 'Dark mode'}>
+                    <IconButton
+                      aria-label="toggle dark mode"
+                      onClick={() => setThemePreferences({ mode: mode === 'dark' ? 'light' : 'dark' })}
+                    >
+                      {mode === 'dark' ? <LightModeIcon /> : <DarkModeIcon />}
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Settings">
+                    <IconButton aria-label="settings" onClick={() => navigate('/settings')}>
+                      <SettingsIcon />
+                    </IconButton>
+                  </Tooltip>
+                  {isMobile ? (
+                    <Tooltip title="Logout">
+                      <IconButton aria-label="logout" onClick={handleLogout}>
+                        <LogoutIcon />
+                      </IconButton>
+                    </Tooltip>
+                  ) : (
+                    <Button variant="outlined" color="primary" onClick={handleLogout}>
+                      Logout
+                    </Button>
+                  )}
+                </Box>
+              </Box>
+
+              {/* Main content */}
+              <Box sx={{ flex: 1, display: 'flex', overflow: 'hidden' }}>
+                {renderMainContent()}
+              </Box>
             </Box>
-          </Box>
-        </Box>
-      ) : (
-        <Container maxWidth="sm" sx={{ mt: 8 }}>
-          <Routes>
-            <Route 
-              path="/login" 
-              element={
-                <Login 
-                  onLoginSuccess={handleLoginSuccess}
-                  onSwitchToRegister={() => navigate('/register')}
+          ) : (
+            <Container maxWidth="sm" sx={{ mt: 8 }}>
+              <Routes>
+                <Route 
+                  path="/login" 
+                  element={
+                    <Login 
+                      onLoginSuccess={handleLoginSuccess}
+                      onSwitchToRegister={() => navigate('/register', { state: location.state })}
+                      onForgotPassword={(email) => navigate('/forgot-password', { state: { ...location.state, email } })}
+                      notice={location.state?.sessionExpired ? 'Your session has expired. Please sign in again.' : null}
+                    />
+                  } 
+                />
+                <Route 
+                  path="/register" 
+                  element={
+                    <Register
+                      onRegisterSuccess={handleRegisterSuccess}
+                      onSwitchToLogin={() => navigate('/login', { state: location.state })}
+                    />
+                  } 
+                />
+                <Route
+                  path="/forgot-password"
+                  element={
+                    <ForgotPassword
+                      initialEmail={location.state?.email}
+                      onSwitchToLogin={() => navigate('/login', { state: location.state })}
+                    />
+                  }
                 />
-              } 
-            />
-            <Route 
-              path="/register" 
-              element={
-                <Register
-                  onRegisterSuccess={handleRegisterSuccess}
-                  onSwitchToLogin={() => navigate('/login')}
+                {/* Remember where the user was headed, to go there after signing in */}
+                <Route
+                  path="*"
+                  element={<Navigate to="/login" replace state={{ from: `${location.pathname}${location.search}` }} />}
                 />
-              } 
-            />
-            <Route path="*" element={<Navigate to="/login" replace />} />
-          </Routes>
-        </Container>
-      )}
+              </Routes>
+            </Container>
+          )}
+        />
+      </Routes>
     </ThemeProvider>
   );
 };
@@ -1,30 +1,529 @@
-import React, { useState, useEffect, useRef, useCallback, useTransition } from 'react';
-import { Box, TextField, Button, Typography, Paper, IconButton, CircularProgress } from '@mui/material';
+import React, { useState, useEffect, useRef, useCallback, useMemo, useTransition } from 'react';
+import {
+  Box,
+  TextField,
+  Button,
+  Typography,
+  Paper,
+  IconButton,
+  CircularProgress,
+  Tooltip,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  Menu,
+  useMediaQuery
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
 import SendIcon from '@mui/icons-material/Send';
+import StopIcon from '@mui/icons-material/Stop';
+import PauseIcon from '@mui/icons-material/Pause';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import AutorenewIcon from '@mui/icons-material/Autorenew';
+import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import EditIcon from '@mui/icons-material/Edit';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import MoreVertIcon from '@mui/icons-material/MoreVert';
 import WisdomSelector from './WisdomSelector';
+import RoundtableSelector, { MIN_ROUNDTABLE_FIGURES } from './RoundtableSelector';
 import UserMemoryDisplay from './UserMemoryDisplay';
-import ConversationStarters from './ConversationStarters';
-import { getChatMessages, sendMessage, clearChat, saveMessage, updateMemory } from '../services/chatService';
-import ReactMarkdown from 'react-markdown';
-import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
-import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
-import remarkGfm from 'remark-gfm';
-import rehypeRaw from 'rehype-raw';
-
-const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
-  const [messages, setMessages] = useState([]);
+import ConversationStarters, { getColors } from './ConversationStarters';
+import MarkdownMessage from './MarkdownMessage';
+import MessageFeedback from './MessageFeedback';
+import UndoSnackbar from './UndoSnackbar';
+import ExportMenu from './ExportMenu';
+import DebateMarker from './DebateMarker';
+import ShareDialog from './ShareDialog';
+import {
+  getChatMessages,
+  clearChat,
+  clearChatOnUnload,
+  saveMessage,
+  generateChatTitle,
+  updateMemory,
+  regenerateMessage,
+  requestReply,
+  continueMessage,
+  saveMessageVariant,
+  saveMessageContinuation,
+  selectMessageVariant,
+  rateMessage
+} from '../services/chatService';
+import {
+  getOutbox,
+  addToOutbox,
+  flushOutbox,
+  discardOutboxEntry,
+  resendAsNewChat,
+  checkServerReachable
+} from '../services/outbox';
+import { exportChats } from '../services/exportService';
+import {
+  ROOT_KEY,
+  getActivePath,
+  getBranchTipId,
+  getMessageKey,
+  getVariantState,
+  getFeedbackVariant,
+  getVariantFeedback,
+  withVariantFeedback
+} from '../utils/messageTree';
+import {
+  useAppSelector,
+  useAppActions,
+  selectActiveMessages,
+  selectActiveBranchSelections,
+  selectIsStreaming,
+  selectIsStreamingInView
+} from '../store/appStore';
+import { onSessionExpired } from '../services/api';
+import { saveDraft, takeDraft } from '../utils/draft';
+
+// How often queued messages are retried while the server is unreachable
+const OUTBOX_RETRY_INTERVAL_MS = 30000;
+
+// Previous/next control for paging through sibling answers or branches
+const SiblingPager = ({ index, count, label, onSelect }) => (
+  <Box sx={{ display: 'flex', alignItems: 'center' }}>
+    <IconButton
+      size="small"
+      aria-label={`previous ${label}`}
+      disabled={!onSelect || index === 0}
+      onClick={() => onSelect(index - 1)}
+    >
+      <ChevronLeftIcon fontSize="small" />
+    </IconButton>
+    <Typography variant="caption">
+      {index + 1}/{count}
+    </Typography>
+    <IconButton
+      size="small"
+      aria-label={`next ${label}`}
+      disabled={!onSelect || index === count - 1}
+      onClick={() => onSelect(index + 1)}
+    >
+      <ChevronRightIcon fontSize="small" />
+    </IconButton>
+  </Box>
+);
+
+// Component for rendering a message
+const MessageComponent = React.memo(({
+  message,
+  selectedFigure,
+  siblingIndex = 0,
+  siblingCount = 1,
+  onContinue,
+  onRegenerate,
+  onSelectVariant,
+  onSelectSibling,
+  onEdit,
+  onRate,
+  highlighted = false
+}) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const { shown, activeIndex, variantCount } = getVariantState(message);
+  const showActions = message.role === 'assistant' && (variantCount > 1 || shown.interrupted || onRegenerate || onRate);
+  const showBranchControls = message.role === 'user' && !isEditing && (siblingCount > 1 || onEdit);
+
+  const startEditing = () => {
+    setDraft(message.content);
+    setIsEditing(true);
+  };
+
+  // Debate prompts are written for the figures, not the reader
+  if (message.role === 'user' && message.debate) {
+    return <DebateMarker debate={message.debate} />;
+  }
+
+  const submitEdit = () => {
+    if (!draft.trim()) return;
+    setIsEditing(false);
+    onEdit(message, draft.trim());
+  };
+
+  return (
+    <Box
+      id={message._id ? `message-${message._id}` : undefined}
+      sx={{
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: message.role === 'user' ? 'flex-end' : 'flex-start',
+        mb: 2,
+      }}
+    >
+      <Paper
+        sx={{
+          p: 2,
+          maxWidth: { xs: '90%', sm: '75%' },
+          width: isEditing ? { xs: '90%', sm: '75%' } : 'auto',
+          backgroundColor: message.role === 'user' ? 'chat.userBubble' : 'chat.assistantBubble',
+          borderRadius: message.role === 'user' ? '15px 15px 0 15px' : '15px 15px 15px 0',
+          outline: highlighted ? '2px solid' : 'none',
+          outlineColor: 'warning.main',
+          transition: 'outline-color 0.3s ease'
+        }}
+        elevation={1}
+      >
+        {message.debate && message.role === 'assistant' && (
+          <Typography variant="subtitle2" sx={{ mb: 1, color: (theme) => getColors(shown.figure, theme.palette.mode).text }}>
+            {shown.figure} · Round {message.debate.round}
+          </Typography>
+        )}
+        {message.role === 'assistant' ? (
+          <MarkdownMessage content={shown.content} />
+        ) : isEditing ? (
+          <Box>
+            <TextField
+              fullWidth
+              multiline
+              autoFocus
+              size="small"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                  e.preventDefault();
+                  submitEdit();
+                }
+                if (e.key === 'Escape') {
+                  setIsEditing(false);
+                }
+              }}
+            />
+            <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 1 }}>
+              <Button size="small" onClick={() => setIsEditing(false)}>
+                Cancel
+              </Button>
+              <Button size="small" variant="contained" onClick={submitEdit} disabled={!draft.trim()}>
+                Send
+              </Button>
+            </Box>
+          </Box>
+        ) : (
+          <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>{message.content}</Typography>
+        )}
+        {message.role === 'assistant' && shown.figure && (
+          <Typography variant="caption" sx={{ display: 'block', mt: 1, textAlign: 'right', fontStyle: 'italic' }}>
+            - {shown.figure}
+          </Typography>
+        )}
+        {showActions && (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+            {variantCount > 1 && (
+              <SiblingPager
+                index={activeIndex}
+                count={variantCount}
+                label="answer"
+                onSelect={onSelectVariant ? (index) => onSelectVariant(message, index) : null}
+              />
+            )}
+            {shown.interrupted && (
+              <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                Response stopped
+              </Typography>
+            )}
+            <Box sx={{ flexGrow: 1 }} />
+            {onRate && (
+              <MessageFeedback
+                feedback={getVariantFeedback(message)}
+                onChange={(feedback) => onRate(message, feedback)}
+              />
+            )}
+            {shown.interrupted && onContinue && (
+              <Button size="small" onClick={() => onContinue(message)}>
+                Continue
+              </Button>
+            )}
+            {onRegenerate && (
+              <Tooltip title={`Regenerate with ${selectedFigure}`}>
+                <IconButton size="small" aria-label="regenerate" onClick={() => onRegenerate(message)}>
+                  <AutorenewIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            )}
+          </Box>
+        )}
+      </Paper>
+      {showBranchControls && (
+        <Box sx={{ display: 'flex', alignItems: 'center', mt: 0.5 }}>
+          {siblingCount > 1 && (
+            <SiblingPager
+              index={siblingIndex}
+              count={siblingCount}
+              label="branch"
+              onSelect={onSelectSibling}
+            />
+          )}
+          {onEdit && (
+            <Tooltip title="Edit and branch from here">
+              <IconButton size="small" aria-label="edit message" onClick={startEditing}>
+                <EditIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+}, (prevProps, nextProps) => {
+  // Custom comparison to prevent unnecessary re-renders
+  if (prevProps.message._id !== nextProps.message._id) return false;
+  if (prevProps.message.content !== nextProps.message.content) return false;
+  if (prevProps.message.activeVariant !== nextProps.message.activeVariant) return false;
+  if (prevProps.message.variants?.length !== nextProps.message.variants?.length) return false;
+  if (getVariantFeedback(prevProps.message) !== getVariantFeedback(nextProps.message)) return false;
+  // Handlers are recreated with fresh chat state, so compare them by identity
+  return [
+    'selectedFigure',
+    'siblingIndex',
+    'siblingCount',
+    'onContinue',
+    'onRegenerate',
+    'onSelectVariant',
+    'onSelectSibling',
+    'onEdit',
+    'onRate',
+    'highlighted'
+  ].every(key => prevProps[key] === nextProps[key]);
+});
+
+// Figures a roundtable starts with: Buddhist, Stoic and Taoist
+const DEFAULT_ROUNDTABLE_FIGURES = ['Buddha', 'Epictetus', 'Laozi'];
+
+// Save roundtable replies one after another so together they stay on a single branch.
+// Replies whose stream never finished are flagged as interrupted.
+const saveRoundtableReplies = async (chatId, userMessageId, figures, replies) => {
+  let parentId = userMessageId;
+  let savedChat = null;
+
+  for (const figure of figures) {
+    const reply = replies[figure];
+    if (!reply || !reply.content) continue;
+
+    savedChat = await saveMessage(chatId, {
+      role: 'assistant',
+      content: reply.content,
+      figure,
+      roundtableId: userMessageId,
+      ...(!reply.done && { interrupted: true })
+    }, undefined, parentId || undefined);
+
+    const savedMessages = savedChat.messages || [];
+    parentId = savedMessages.length > 0 ? savedMessages[savedMessages.length - 1]._id : parentId;
+  }
+
+  return savedChat;
+};
+
+// Replies to one roundtable question, side by side or stacked on narrow screens
+const RoundtableGroup = ({ replies, highlightedKey }) => {
+  const theme = useTheme();
+
+  return (
+    <Box
+      sx={{
+        display: 'grid',
+        gap: 2,
+        mb: 2,
+        gridTemplateColumns: { xs: '1fr', md: `repeat(${replies.length}, minmax(0, 1fr))` }
+      }}
+    >
+      {replies.map(reply => {
+        const colors = getColors(reply.figure, theme.palette.mode);
+
+        return (
+          <Paper
+            key={reply.key}
+            id={`message-${reply.key}`}
+            elevation={1}
+            sx={{
+              p: 2,
+              backgroundColor: colors.light,
+              border: `1px solid ${colors.medium}`,
+              borderTop: `4px solid ${colors.dark}`,
+              borderRadius: '15px',
+              outline: reply.key === highlightedKey ? '2px solid' : 'none',
+              outlineColor: 'warning.main'
+            }}
+          >
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>
+              {reply.figure}
+            </Typography>
+            {reply.content ? (
+              <MarkdownMessage content={reply.content} />
+            ) : (
+              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                <CircularProgress size={14} sx={{ mr: 1.5 }} />
+                <Typography variant="body2">Thinking...</Typography>
+              </Box>
+            )}
+            {reply.interrupted && (
+              <Typography variant="caption" sx={{ display: 'block', mt: 1, color: 'text.secondary' }}>
+                Response stopped
+              </Typography>
+            )}
+          </Paper>
+        );
+      })}
+    </Box>
+  );
+};
+
+// Figures a debate starts with: a Stoic and a scientist
+const DEFAULT_DEBATE_FIGURES = ['Epictetus', 'Sagan'];
+
+// Each round is one turn per figure
+const DEBATE_ROUND_OPTIONS = [1, 2, 3, 4, 5];
+const DEFAULT_DEBATE_ROUNDS = 3;
+
+// Prompt for the figure whose turn it is, quoting the previous turn as context
+const buildDebatePrompt = (debate, figure, round) => {
+  const opponent = debate.figures.find(name => name !== figure);
+
+  if (!debate.lastReply) {
+    return `You are debating ${opponent} on the topic: "${debate.topic}". Open the debate by stating your position.`;
+  }
+
+  let prompt = `Round ${round} of ${debate.rounds} of your debate with ${opponent} on "${debate.topic}". ${debate.lastFigure} said:\n\n${debate.lastReply}\n\n`;
+  if (debate.interjection) {
+    prompt += `The user then stepped in: "${debate.interjection}"\n\n`;
+  }
+  return `${prompt}Respond to ${debate.lastFigure} directly.`;
+};
+
+// Why a queued message couldn't be sent, by the outbox's conflict reason
+const CONFLICT_MESSAGES = {
+  deleted: 'This chat was deleted before your message could be sent.',
+  trashed: 'This chat was moved to the trash before your message could be sent.',
+  archived: 'This chat was archived before your message could be sent.'
+};
+
+// A queued user message that hasn't reached the server yet
+const PendingMessage = ({ entry, onDiscard, onResendAsNewChat }) => {
+  const isConflict = entry.status === 'conflict';
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', mb: 2 }}>
+      <Paper
+        sx={{
+          p: 2,
+          maxWidth: { xs: '90%', sm: '75%' },
+          backgroundColor: 'chat.userBubble',
+          borderRadius: '15px 15px 0 15px',
+          opacity: 0.7,
+          border: isConflict ? '1px dashed' : 'none',
+          borderColor: 'error.main'
+        }}
+        elevation={0}
+      >
+        <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>{entry.content}</Typography>
+      </Paper>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 0.5, color: isConflict ? 'error.main' : 'text.secondary' }}>
+        {!isConflict && <ScheduleIcon sx={{ fontSize: 14 }} />}
+        <Typography variant="caption">
+          {isConflict
+            ? CONFLICT_MESSAGES[entry.conflictReason] || CONFLICT_MESSAGES.deleted
+            : 'Pending - will send when you are back online'}
+        </Typography>
+        {isConflict && (
+          <Button size="small" onClick={() => onResendAsNewChat(entry.id)}>
+            Send as new chat
+          </Button>
+        )}
+        <Button size="small" color="inherit" onClick={() => onDiscard(entry.id)}>
+          Discard
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+// How long a message opened from search stays highlighted
+const FOCUS_HIGHLIGHT_MS = 2500;
+
+const Chat = () => {
+  const selectedChatId = useAppSelector(state => state.activeChatId);
+  const selectedFigure = useAppSelector(state => state.activeFigure);
+  const focusMessageId = useAppSelector(state => state.focusedMessageId);
+  // Messages and streaming status are kept in the store, so the history can follow them
+  const messages = useAppSelector(selectActiveMessages);
+  const isTyping = useAppSelector(selectIsStreaming);
+  // A reply keeps streaming when the user opens another chat, but only shows in its own
+  const isStreamingHere = useAppSelector(selectIsStreamingInView);
+  // The branch picked at each fork, remembered per chat
+  const branchSelections = useAppSelector(selectActiveBranchSelections);
+  const {
+    setFigure,
+    startNewChat,
+    chatUpdated,
+    newChatSaved,
+    clearFocusedMessage: onMessageFocused,
+    setMessages,
+    setBranchSelections,
+    setStreaming: setIsTyping,
+    sendMessage
+  } = useAppActions();
   const [newMessage, setNewMessage] = useState('');
-  const [isTyping, setIsTyping] = useState(false);
   const [streamingText, setStreamingText] = useState('');
+  const [streamingFigure, setStreamingFigure] = useState(null);
+  const [isReconnecting, setIsReconnecting] = useState(false);
+  const [regeneratingMessageId, setRegeneratingMessageId] = useState(null);
+  const [pendingMessages, setPendingMessages] = useState([]);
+  const [mode, setMode] = useState('single');
+  const [roundtableFigures, setRoundtableFigures] = useState(DEFAULT_ROUNDTABLE_FIGURES);
+  const [roundtableReplies, setRoundtableReplies] = useState(null);
+  const [debateFigures, setDebateFigures] = useState(DEFAULT_DEBATE_FIGURES);
+  const [debateRounds, setDebateRounds] = useState(DEFAULT_DEBATE_ROUNDS);
+  const [debateStatus, setDebateStatus] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [undoAction, setUndoAction] = useState(null);
+  const [exportAnchorEl, setExportAnchorEl] = useState(null);
+  const [actionsAnchorEl, setActionsAnchorEl] = useState(null);
+  const [isSharing, setIsSharing] = useState(false);
+  const [chatNotFound, setChatNotFound] = useState(false);
   const [, startTransition] = useTransition();
+  const theme = useTheme();
+  // On phones the chat actions fold into a menu beside the composer
+  const isMobile = useMediaQuery(theme.breakpoints.down('md'));
   const messagesEndRef = useRef(null);
   const cleanupRef = useRef(null);
   const streamingMessageRef = useRef('');
-  const streamingSourceRef = useRef(null);
   const currentChatIdRef = useRef(null);
   const abortControllerRef = useRef(null);
   const textFieldRef = useRef(null);
   const streamingUpdateTimeoutRef = useRef(null);
+  const activeStreamRef = useRef(null);
+  const roundtableTextRef = useRef({});
+  const roundtableUpdateTimeoutRef = useRef(null);
+  const debateRef = useRef(null);
+  // A clear waiting out its undo offer, with what it took off the screen
+  const pendingClearRef = useRef(null);
+
+  // The chat is a tree of messages; only the selected branch is shown
+  const activePath = useMemo(
+    () => getActivePath(messages, branchSelections),
+    [messages, branchSelections]
+  );
+  const visibleMessages = useMemo(() => activePath.map(entry => entry.message), [activePath]);
+
+  // Between debate turns nothing streams, but the debate still owns the chat until paused
+  const isBusy = isTyping || (debateStatus !== null && debateStatus !== 'paused');
+
+  // Consecutive replies to the same roundtable question are rendered together
+  const renderItems = useMemo(() => activePath.reduce((items, entry, index) => {
+    const { roundtableId } = entry.message;
+    const previous = items[items.length - 1];
+
+    if (roundtableId && previous && previous.roundtableId === roundtableId) {
+      previous.entries.push(entry);
+    } else {
+      items.push({ roundtableId: roundtableId || null, entries: [entry], index });
+    }
+    return items;
+  }, []), [activePath]);
   
   const scrollToBottom = useCallback(() => {
     if (messagesEndRef.current) {
@@ -32,18 +531,38 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
     }
   }, []);
 
+  // The on-screen keyboard takes space from the messages; keep the latest one in view while typing
+  useEffect(() => {
+    const viewport = window.visualViewport;
+    if (!viewport) return;
+
+    const handleResize = () => {
+      if (textFieldRef.current && document.activeElement === textFieldRef.current) {
+        scrollToBottom();
+      }
+    };
+
+    viewport.addEventListener('resize', handleResize);
+    return () => viewport.removeEventListener('resize', handleResize);
+  }, [scrollToBottom]);
+
   const loadChatMessages = useCallback(async () => {
+    setChatNotFound(false);
     try {
       if (selectedChatId) {
         const chatMessages = await getChatMessages(selectedChatId);
-        setMessages(chatMessages || []);
+        setMessages(chatMessages || [], selectedChatId);
       } else {
         setMessages([]);
       }
     } catch (err) {
       console.error('Error loading chat messages:', err);
+      // The URL can name a chat that doesn't exist, or has been deleted
+      if (err.response?.status === 404) {
+        setChatNotFound(true);
+      }
     }
-  }, [selectedChatId]);
+  }, [selectedChatId, setMessages]);
 
   useEffect(() => {
     loadChatMessages();
@@ -57,25 +576,154 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
     }
   }, [selectedChatId, messages]);
 
+  // A reply streaming into another chat doesn't show here
+  const shownStreamingText = isStreamingHere ? streamingText : '';
+
   // Scroll to bottom when messages or streaming text change
   useEffect(() => {
     scrollToBottom();
-  }, [messages, streamingText, scrollToBottom]);
+  }, [messages, shownStreamingText, scrollToBottom]);
 
-  // Cleanup function for when component unmounts or when starting a new chat
+  // Cleanup function for when component unmounts
   useEffect(() => {
     return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
       if (cleanupRef.current) {
         cleanupRef.current();
         cleanupRef.current = null;
       }
+      // An aborted stream never reports back, so the streaming flag is cleared here
+      activeStreamRef.current = null;
+      setIsTyping(false);
       if (streamingUpdateTimeoutRef.current) {
         clearTimeout(streamingUpdateTimeoutRef.current);
         streamingUpdateTimeoutRef.current = null;
       }
+      if (roundtableUpdateTimeoutRef.current) {
+        clearTimeout(roundtableUpdateTimeoutRef.current);
+        roundtableUpdateTimeoutRef.current = null;
+      }
+    };
+  }, [setIsTyping]);
+
+  // Open the branch holding a message picked from search results, once it has loaded
+  useEffect(() => {
+    if (!focusMessageId) return;
+
+    const byKey = new Map(messages.map(message => [getMessageKey(message), message]));
+    if (!byKey.has(focusMessageId)) return;
+
+    // Select every fork on the way from the message up to the root
+    const selections = {};
+    let message = byKey.get(focusMessageId);
+    while (message) {
+      selections[message.parentId || ROOT_KEY] = getMessageKey(message);
+      message = message.parentId ? byKey.get(message.parentId) : null;
+    }
+
+    setBranchSelections(prevSelections => ({ ...prevSelections, ...selections }));
+    setHighlightedMessageId(focusMessageId);
+    onMessageFocused();
+  }, [focusMessageId, messages, onMessageFocused, setBranchSelections]);
+
+  // Scroll the highlighted message into view after its branch has rendered
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+
+    const element = document.getElementById(`message-${highlightedMessageId}`);
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    const timeout = setTimeout(() => setHighlightedMessageId(null), FOCUS_HIGHLIGHT_MS);
+    return () => clearTimeout(timeout);
+  }, [highlightedMessageId]);
+
+  // Queued messages for the chat on screen, plus any conflicts that need a decision
+  const refreshOutbox = useCallback(async () => {
+    const entries = await getOutbox();
+    const chatId = currentChatIdRef.current || null;
+    setPendingMessages(entries.filter(entry => (
+      entry.status === 'conflict' || (entry.chatId || null) === chatId
+    )));
+  }, []);
+
+  // Replay queued messages once the browser is online and the server answers
+  const replayOutbox = async () => {
+    const entries = await getOutbox();
+    if (entries.length === 0 || !navigator.onLine) return;
+    if (!(await checkServerReachable())) return;
+
+    await flushOutbox({
+      onDelivered: async (chatId, queuedChatId) => {
+        const currentChatId = currentChatIdRef.current;
+        if (chatId === currentChatId) {
+          try {
+            const chatMessages = await getChatMessages(chatId);
+            setMessages(chatMessages || [], chatId);
+          } catch (err) {
+            console.error('Error loading chat messages:', err);
+          }
+          chatUpdated(chatId);
+        } else if (!currentChatId && !queuedChatId) {
+          // The queued message started the new chat that is on screen
+          newChatSaved(chatId);
+          chatUpdated(chatId);
+        }
+        refreshOutbox();
+      },
+      onConflict: () => refreshOutbox()
+    });
+    refreshOutbox();
+  };
+
+  // Messages still waiting to be sent to the chat on screen; conflicts wait for the user instead
+  const queuedHere = pendingMessages.filter(entry => (
+    entry.status !== 'conflict' && (entry.chatId || null) === (selectedChatId || null)
+  ));
+
+  // Listeners are registered once, so always call the latest replayOutbox
+  const replayOutboxRef = useRef(replayOutbox);
+  replayOutboxRef.current = replayOutbox;
+
+  useEffect(() => {
+    const handleOnline = () => {
+      replayOutboxRef.current().catch(err => console.error('Error replaying outbox:', err));
+    };
+
+    window.addEventListener('online', handleOnline);
+    // navigator.onLine can't tell whether the server is reachable, so probe periodically too
+    const retryInterval = setInterval(handleOnline, OUTBOX_RETRY_INTERVAL_MS);
+    handleOnline();
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      clearInterval(retryInterval);
     };
   }, []);
 
+  // What the user has written but not yet had saved: the composer, or a message still being sent
+  const draftRef = useRef({ chatId: null, content: '' });
+  const sendingContentRef = useRef(null);
+  draftRef.current = { chatId: selectedChatId, content: newMessage.trim() };
+
+  // Keep the unsent message when the session expires, to offer it again after signing back in
+  useEffect(() => {
+    return onSessionExpired((user) => {
+      const { chatId, content } = draftRef.current;
+      saveDraft(chatId, content || sendingContentRef.current, user);
+    });
+  }, []);
+
+  useEffect(() => {
+    const draft = takeDraft(selectedChatId);
+    if (draft) {
+      setNewMessage(draft);
+    }
+  }, [selectedChatId]);
+
   // Focus the input field when the component loads
   useEffect(() => {
     if (textFieldRef.current) {
@@ -86,11 +734,13 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
   // Update the ref when the chatId changes
   useEffect(() => {
     currentChatIdRef.current = selectedChatId;
+    refreshOutbox();
     
     // Initialize or clear for a new chat
     if (!selectedChatId) {
       // Reset state for new chat
-      setMessages([]);
+      setMessages([], null);
+      setBranchSelections({}, null);
       setStreamingText('');
       streamingMessageRef.current = '';
       if (textFieldRef.current) {
@@ -100,44 +750,723 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
       // Load messages for existing chat
       loadChatMessages();
     }
+    // A reply still streaming keeps going into its own chat; only unmounting stops it
+  }, [selectedChatId, loadChatMessages, refreshOutbox, setMessages, setBranchSelections]);
+
+  // Only update streaming text if the length has changed significantly to reduce renders
+  const updateStreamingText = useCallback((text) => {
+    if (streamingUpdateTimeoutRef.current) {
+      clearTimeout(streamingUpdateTimeoutRef.current);
+    }
     
-    // Store refs in local variables to avoid closure issues
-    const sourceRef = streamingSourceRef.current;
-    const abortRef = abortControllerRef.current;
-    const timeoutRef = streamingUpdateTimeoutRef.current;
+    streamingUpdateTimeoutRef.current = setTimeout(() => {
+      setStreamingText(text);
+      streamingUpdateTimeoutRef.current = null;
+    }, 50);
+  }, []);
+
+  // Batch roundtable updates the same way, since several figures stream at once
+  const updateRoundtableReply = useCallback((figure, text) => {
+    roundtableTextRef.current = { ...roundtableTextRef.current, [figure]: text };
+    if (roundtableUpdateTimeoutRef.current) return;
+
+    roundtableUpdateTimeoutRef.current = setTimeout(() => {
+      roundtableUpdateTimeoutRef.current = null;
+      const texts = roundtableTextRef.current;
+      setRoundtableReplies(prevReplies => prevReplies && prevReplies.map(reply => ({
+        ...reply,
+        content: texts[reply.figure] ?? reply.content
+      })));
+    }, 50);
+  }, []);
+
+  const handleStreamChunk = (chunk, fullReply) => {
+    streamingMessageRef.current = fullReply;
+    // A continuation streams only the new text; show it after what was already there
+    updateStreamingText((activeStreamRef.current?.baseContent || '') + fullReply);
+  };
+
+  // Reconnect attempts are exhausted: keep the partial reply as a stop would, then report it
+  const handleStreamFailure = async (error) => {
+    console.error('Chat stream failed:', error);
+    const chatId = activeStreamRef.current?.chatId ?? null;
+    await handleStopGenerating();
+    setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Connection to server lost.' }], chatId);
+  };
+
+  // Once a chat's first exchange is saved, ask for a short title so the history stays navigable
+  const requestTitleAfterFirstExchange = (chatId, savedMessages) => {
+    if (savedMessages.filter(message => message.role === 'user').length !== 1) return;
+
+    generateChatTitle(chatId).then((result) => {
+      // Refresh the history, unless the user has moved on to another chat in the meantime
+      if (result?.title && currentChatIdRef.current === chatId) {
+        chatUpdated(chatId);
+      }
+    });
+  };
+
+  // Open a prepared stream; dropped connections are retried before the failure handler runs
+  const startStream = (setupStream, handleStreamDone, handleFailure = handleStreamFailure) => {
+    abortControllerRef.current = new AbortController();
+    cleanupRef.current = setupStream(handleStreamChunk, handleStreamDone, handleFailure, {
+      signal: abortControllerRef.current.signal,
+      onReconnecting: (reconnecting) => setIsReconnecting(reconnecting)
+    });
+  };
+
+  const handleSendMessage = async (e) => {
+    if (e && e.preventDefault) {
+      e.preventDefault();
+    }
     
-    return () => {
-      // Cleanup streaming when component unmounts or chatId changes
-      if (sourceRef) {
-        sourceRef.close();
+    if (!newMessage.trim() || isBusy) return;
+
+    if (mode === 'roundtable' && roundtableFigures.length < MIN_ROUNDTABLE_FIGURES) return;
+    if (debateStatus === null && mode === 'debate' && debateFigures.length !== 2) return;
+
+    const content = newMessage.trim();
+    setNewMessage('');
+    sendingContentRef.current = content;
+
+    try {
+      // A clear still on offer for undo has to reach the server before anything new does
+      await commitPendingClear();
+
+      if (debateStatus === 'paused') {
+        await handleInterject(content);
+      } else if (mode === 'debate') {
+        startDebate(content);
+      } else if (mode === 'roundtable') {
+        await streamRoundtable(content, roundtableFigures);
+      } else {
+        await streamReply(content, selectedFigure);
+      }
+    } finally {
+      sendingContentRef.current = null;
+    }
+  };
+
+  // Saves one user message and streams every figure's reply to it in parallel
+  const streamRoundtable = async (content, figures, parentId = getBranchTipId(activePath)) => {
+    // Replies are generated live by several figures, so they can't wait in the outbox
+    if (!navigator.onLine) {
+      setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Roundtable questions need a connection. Please try again when you are back online.' }], selectedChatId);
+      return;
+    }
+
+    // Clean up any existing streams
+    if (cleanupRef.current) {
+      cleanupRef.current();
+      cleanupRef.current = null;
+    }
+
+    const userMessage = {
+      role: 'user',
+      content
+    };
+
+    let chatId = selectedChatId;
+    const replies = {};
+
+    setMessages(prevMessages => [...prevMessages, { ...userMessage, parentId, _tempId: `temp-${Date.now()}` }], chatId);
+    setIsTyping(true);
+    roundtableTextRef.current = {};
+    setRoundtableReplies(figures.map(figure => ({ key: figure, figure, content: '' })));
+
+    // Track this roundtable so a stop request can save what has arrived
+    const activeStream = { chatId, roundtable: { figures, replies } };
+    activeStreamRef.current = activeStream;
+
+    try {
+      // The first figure's call saves the question; the others answer that same saved message
+      const first = await sendMessage(chatId, userMessage, figures[0], parentId);
+      chatId = first.chatId;
+      const userMessageId = first.messageId;
+      activeStream.chatId = chatId;
+      activeStream.userMessageId = userMessageId;
+
+      if (activeStreamRef.current !== activeStream) {
+        chatUpdated(chatId);
+        return;
+      }
+
+      const others = await Promise.all(
+        figures.slice(1).map(figure => requestReply(chatId, content, figure, userMessageId))
+      );
+      const setups = [first.setupStream, ...others.map(other => other.setupStream)];
+
+      abortControllerRef.current = new AbortController();
+      const { signal } = abortControllerRef.current;
+      const cleanups = [];
+      cleanupRef.current = () => cleanups.forEach(cleanup => cleanup());
+
+      await Promise.all(setups.map((setupStream, i) => new Promise(resolve => {
+        const figure = figures[i];
+        signal.addEventListener('abort', resolve, { once: true });
+
+        cleanups.push(setupStream(
+          (chunk, fullReply) => {
+            replies[figure] = { content: fullReply, done: false };
+            updateRoundtableReply(figure, fullReply);
+          },
+          (fullReply) => {
+            replies[figure] = { content: fullReply, done: true };
+            updateRoundtableReply(figure, fullReply);
+            resolve();
+          },
+          (error) => {
+            // One figure failing shouldn't sink the others; keep what it said so far
+            console.error(`Roundtable stream for ${figure} failed:`, error);
+            replies[figure] = { content: replies[figure]?.content || '', done: false };
+            resolve();
+          },
+          { signal }
+        ));
+      })));
+
+      // Stopped - handleStopGenerating saves what has arrived
+      if (activeStreamRef.current !== activeStream) return;
+      activeStreamRef.current = null;
+      cleanupRef.current = null;
+
+      const savedChat = await saveRoundtableReplies(chatId, userMessageId, figures, replies);
+
+      figures.forEach(figure => {
+        if (replies[figure]?.done) {
+          updateMemory(content, replies[figure].content, figure)
+            .catch(err => console.error('Error updating memory:', err));
+        }
+      });
+
+      if (savedChat) {
+        requestTitleAfterFirstExchange(chatId, savedChat.messages || []);
       }
-      if (abortRef) {
-        abortRef.abort();
+
+      startTransition(() => {
+        if (savedChat) {
+          setMessages(savedChat.messages || [], chatId);
+        }
+        setRoundtableReplies(null);
+        setIsTyping(false);
+        chatUpdated(chatId);
+      });
+    } catch (error) {
+      console.error('Error running roundtable:', error);
+      activeStreamRef.current = null;
+      setIsTyping(false);
+      setRoundtableReplies(null);
+      setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Could not complete the roundtable. Please try again.' }], chatId);
+      if (cleanupRef.current) {
+        cleanupRef.current();
+        cleanupRef.current = null;
+      }
+    }
+  };
+
+  // Saves a user message and streams the given figure's reply to it.
+  // The message continues the visible branch unless another parent is given.
+  const streamReply = async (content, figure, parentId = getBranchTipId(activePath)) => {
+    // Offline, or earlier messages for this chat are still queued: queue this one behind them
+    if (!navigator.onLine || queuedHere.length > 0) {
+      await queueMessage(content, figure, parentId);
+      return;
+    }
+
+    // Clean up any existing streams
+    if (cleanupRef.current) {
+      cleanupRef.current();
+      cleanupRef.current = null;
+    }
+
+    const userMessage = {
+      role: 'user',
+      content
+    };
+    const tempId = `temp-${Date.now()}`;
+    let currentChatId = selectedChatId; // Use existing chatId or null for new chat
+
+    // Add user message to state immediately for responsiveness
+    setMessages(prevMessages => [...prevMessages, { ...userMessage, parentId, _tempId: tempId }], currentChatId);
+    setIsTyping(true);
+    setStreamingText('');
+    setStreamingFigure(figure);
+    streamingMessageRef.current = '';
+
+    // Track this stream so a stop request can find its chat and figure
+    const activeStream = { chatId: currentChatId, figure };
+    activeStreamRef.current = activeStream;
+
+    try {
+      console.log('Attempting to stream chat with chatId:', currentChatId, 'and figure:', figure);
+
+      // --- Refactored stream handling ---
+      // 1. Call sendMessage to save user message and get setup function
+      const { chatId: updatedChatId, messageId, setupStream } = await sendMessage(currentChatId, userMessage, figure, parentId);
+      
+      // Update currentChatId if it was newly created
+      if (!currentChatId && updatedChatId) {
+        currentChatId = updatedChatId;
+      }
+      activeStream.chatId = currentChatId;
+      activeStream.userMessageId = messageId;
+
+      // Stopped before the stream opened - keep the saved user message only
+      if (activeStreamRef.current !== activeStream) {
+        chatUpdated(currentChatId);
+        return;
+      }
+
+      // 2. Define handlers for stream events
+      const handleStreamDone = async (fullReply) => {
+        console.log('Stream finished.');
+        cleanupRef.current = null; // Clear cleanup ref
+        activeStreamRef.current = null;
+
+        const assistantMessage = {
+          role: 'assistant',
+          content: fullReply,
+          figure
+        };
+
+        try {
+          // Save the assistant message to the same chat
+          const savedChatWithAssistantMsg = await saveMessage(currentChatId, assistantMessage, undefined, messageId || undefined);
+          
+          // Update user memory with the conversation - this ensures facts and preferences are extracted
+          updateMemory(userMessage.content, fullReply, figure)
+            .then(() => console.log('Memory updated successfully'))
+            .catch(err => console.error('Error updating memory:', err));
+
+          requestTitleAfterFirstExchange(currentChatId, savedChatWithAssistantMsg.messages || []);
+          
+          // Create a combined state update to minimize flashing
+          // We'll directly transition to the final state without intermediary renders
+          startTransition(() => {
+            // Update both states in the same render cycle
+            setMessages(savedChatWithAssistantMsg.messages || [], currentChatId);
+            
+            // Clear streaming text immediately to avoid duplicate content
+            streamingMessageRef.current = '';
+            setStreamingText('');
+            setIsTyping(false);
+            setIsReconnecting(false);
+            
+            // Notify parent of the final chat ID and that update is complete
+            chatUpdated(currentChatId);
+          });
+
+        } catch (saveError) {
+          console.error("Error saving assistant message:", saveError);
+          setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Failed to save assistant response.' }], currentChatId);
+          setIsTyping(false);
+          setStreamingText('');
+        }
+      };
+
+      // 3. Call setupStream to start the connection and store the cleanup function
+      startStream(setupStream, handleStreamDone);
+
+    } catch (error) {
+      console.error('Error initiating chat stream:', error);
+      activeStreamRef.current = null;
+      setIsTyping(false);
+
+      // The server couldn't be reached, so the message wasn't saved - queue it instead of losing it
+      if (!error.response) {
+        setMessages(prevMessages => prevMessages.filter(msg => msg._tempId !== tempId), currentChatId);
+        await queueMessage(content, figure, parentId);
+        return;
       }
-      if (timeoutRef) {
-        clearTimeout(timeoutRef);
+
+      setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Could not start chat. Please try again.' }], currentChatId);
+      // Ensure cleanup is called if error happens during setup
+      if (cleanupRef.current) {
+        cleanupRef.current();
+        cleanupRef.current = null;
       }
+    }
+  };
+
+  // Stream one debate turn and save it on the debate's branch.
+  // Resolves with the saved reply, or null if the turn was stopped or failed.
+  const runDebateTurn = async (debate, figure, round) => {
+    const prompt = buildDebatePrompt(debate, figure, round);
+    const debateInfo = { topic: debate.topic, round, turn: debate.turn };
+    const parentId = debate.lastMessageId;
+
+    setMessages(prevMessages => [...prevMessages, {
+      role: 'user',
+      content: prompt,
+      debate: debateInfo,
+      parentId,
+      _tempId: `temp-${Date.now()}`
+    }], debate.chatId);
+    setIsTyping(true);
+    setStreamingText('');
+    setStreamingFigure(figure);
+    streamingMessageRef.current = '';
+
+    const activeStream = { chatId: debate.chatId, figure };
+    activeStreamRef.current = activeStream;
+
+    const { chatId, messageId, setupStream } = await sendMessage(debate.chatId, { content: prompt, debate: debateInfo }, figure, parentId);
+    activeStream.chatId = chatId;
+    activeStream.userMessageId = messageId;
+    debate.chatId = chatId;
+    debate.lastMessageId = messageId;
+
+    // Stopped before the stream opened
+    if (activeStreamRef.current !== activeStream) return null;
+
+    const fullReply = await new Promise((resolve) => {
+      startStream(setupStream, resolve, (error) => {
+        handleStreamFailure(error);
+        resolve(null);
+      });
+      abortControllerRef.current.signal.addEventListener('abort', () => resolve(null), { once: true });
+    });
+
+    // Stopped mid-turn - handleStopGenerating saves the partial reply
+    if (fullReply === null || activeStreamRef.current !== activeStream) return null;
+    activeStreamRef.current = null;
+    cleanupRef.current = null;
+
+    // Debate turns aren't the user's own words, so they don't feed the user's memory
+    const savedChat = await saveMessage(chatId, {
+      role: 'assistant',
+      content: fullReply,
+      figure,
+      debate: debateInfo
+    }, undefined, messageId || undefined);
+    const savedMessages = savedChat.messages || [];
+    requestTitleAfterFirstExchange(chatId, savedMessages);
+
+    startTransition(() => {
+      setMessages(savedMessages, chatId);
+      streamingMessageRef.current = '';
+      setStreamingText('');
+      setIsTyping(false);
+      setIsReconnecting(false);
+      chatUpdated(chatId);
+    });
+
+    return {
+      content: fullReply,
+      id: savedMessages.length > 0 ? savedMessages[savedMessages.length - 1]._id : messageId
+    };
+  };
+
+  // Let the figures take turns until the rounds run out or the user pauses or stops
+  const runDebate = async (debate) => {
+    setDebateStatus('running');
+
+    while (debate.turn < debate.rounds * 2) {
+      if (debateRef.current !== debate) return;
+      if (debate.pauseRequested) {
+        debate.pauseRequested = false;
+        setDebateStatus('paused');
+        return;
+      }
+
+      const figure = debate.figures[debate.turn % 2];
+      const round = Math.floor(debate.turn / 2) + 1;
+
+      let reply;
+      try {
+        reply = await runDebateTurn(debate, figure, round);
+      } catch (error) {
+        console.error('Error running debate turn:', error);
+        activeStreamRef.current = null;
+        setIsTyping(false);
+        setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: The debate was interrupted. Please try again.' }], debate.chatId);
+        reply = null;
+      }
+
+      if (!reply) break;
+
+      Object.assign(debate, {
+        lastFigure: figure,
+        lastReply: reply.content,
+        lastMessageId: reply.id,
+        interjection: null,
+        turn: debate.turn + 1
+      });
+    }
+
+    if (debateRef.current === debate) {
+      debateRef.current = null;
+      setDebateStatus(null);
+    }
+  };
+
+  // Start a debate on the given topic, continuing the visible branch
+  const startDebate = (topic) => {
+    const debate = {
+      topic,
+      figures: debateFigures,
+      rounds: debateRounds,
+      turn: 0,
+      chatId: selectedChatId,
+      lastMessageId: getBranchTipId(activePath),
+      lastFigure: null,
+      lastReply: null,
+      interjection: null,
+      pauseRequested: false
+    };
+    debateRef.current = debate;
+    runDebate(debate);
+  };
+
+  // Pausing takes effect once the figure speaking has finished
+  const handlePauseDebate = () => {
+    if (debateRef.current) {
+      debateRef.current.pauseRequested = true;
+      setDebateStatus('pausing');
+    }
+  };
+
+  const handleResumeDebate = () => {
+    if (debateRef.current) {
+      runDebate(debateRef.current);
+    }
+  };
+
+  const handleEndDebate = () => {
+    debateRef.current = null;
+    setDebateStatus(null);
+  };
+
+  // Stopping a debate also stops the turn in progress, keeping what was said so far
+  const handleStopDebate = () => {
+    handleEndDebate();
+    handleStopGenerating();
+  };
+
+  // A user message during a paused debate is put to the next figure, then the debate goes on
+  const handleInterject = async (content) => {
+    const debate = debateRef.current;
+    if (!debate) return;
+
+    setMessages(prevMessages => [...prevMessages, {
+      role: 'user',
+      content,
+      parentId: debate.lastMessageId,
+      _tempId: `temp-${Date.now()}`
+    }], debate.chatId);
+
+    try {
+      const savedChat = await saveMessage(debate.chatId, { role: 'user', content }, undefined, debate.lastMessageId || undefined);
+      const savedMessages = savedChat.messages || [];
+      setMessages(savedMessages, debate.chatId);
+
+      if (savedMessages.length > 0) {
+        debate.lastMessageId = savedMessages[savedMessages.length - 1]._id;
+      }
+      debate.interjection = content;
+      runDebate(debate);
+    } catch (err) {
+      console.error('Error saving interjection:', err);
+      setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Could not add your message to the debate. Please try again.' }], debate.chatId);
+    }
+  };
+
+  // Keep a message that can't be sent right now; it is replayed when connectivity returns
+  const queueMessage = async (content, figure, parentId) => {
+    const lastPending = queuedHere[queuedHere.length - 1];
+
+    try {
+      await addToOutbox({
+        chatId: selectedChatId || null,
+        // A message queued behind another continues from that one's future reply
+        parentId: lastPending ? null : parentId,
+        afterOutboxId: lastPending ? lastPending.id : null,
+        content,
+        figure
+      });
+      await refreshOutbox();
+      replayOutbox().catch(err => console.error('Error replaying outbox:', err));
+    } catch (err) {
+      console.error('Error queueing message:', err);
+      setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Could not send or save your message. Please try again.' }]);
+    }
+  };
+
+  const handleDiscardPending = async (id) => {
+    try {
+      await discardOutboxEntry(id);
+    } catch (err) {
+      console.error('Error discarding queued message:', err);
+    }
+    refreshOutbox();
+  };
+
+  const handleResendPending = async (id) => {
+    try {
+      await resendAsNewChat(id);
+    } catch (err) {
+      console.error('Error requeueing message:', err);
+    }
+    await refreshOutbox();
+    replayOutbox().catch(err => console.error('Error replaying outbox:', err));
+  };
+
+  // Stop the current stream and keep whatever has been generated so far
+  const handleStopGenerating = async () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+    }
+    if (cleanupRef.current) {
+      cleanupRef.current();
+      cleanupRef.current = null;
+    }
+    if (streamingUpdateTimeoutRef.current) {
+      clearTimeout(streamingUpdateTimeoutRef.current);
+      streamingUpdateTimeoutRef.current = null;
+    }
+
+    const partialReply = streamingMessageRef.current;
+    const { chatId, figure, variantOf, continueOf, userMessageId, roundtable } = activeStreamRef.current || {};
+    activeStreamRef.current = null;
+
+    streamingMessageRef.current = '';
+    setStreamingText('');
+    setIsTyping(false);
+    setIsReconnecting(false);
+    setRegeneratingMessageId(null);
+
+    if (roundtable) {
+      setRoundtableReplies(null);
+      if (!chatId || !userMessageId) return;
+
+      try {
+        const savedChat = await saveRoundtableReplies(chatId, userMessageId, roundtable.figures, roundtable.replies);
+        if (savedChat) {
+          setMessages(savedChat.messages || [], chatId);
+        }
+        chatUpdated(chatId);
+      } catch (err) {
+        console.error('Error saving interrupted roundtable:', err);
+        setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Failed to save partial responses.' }], chatId);
+      }
+      return;
+    }
+
+    // Nothing streamed yet, or the user message is still being saved
+    if (!partialReply || !chatId) return;
+
+    if (continueOf) {
+      try {
+        // Whatever was added is kept, and the reply can be continued again
+        const savedChat = await saveMessageContinuation(chatId, continueOf, { content: partialReply, interrupted: true });
+        setMessages(savedChat.messages || [], chatId);
+        chatUpdated(chatId);
+      } catch (err) {
+        console.error('Error saving interrupted continuation:', err);
+        setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Failed to save partial response.' }], chatId);
+      }
+      return;
+    }
+
+    const interruptedMessage = {
+      role: 'assistant',
+      content: partialReply,
+      figure,
+      interrupted: true
+    };
+
+    if (!variantOf) {
+      setMessages(prevMessages => [...prevMessages, interruptedMessage], chatId);
+    }
+
+    try {
+      // A stopped regeneration is kept as another variant of the original reply
+      const savedChat = variantOf
+        ? await saveMessageVariant(chatId, variantOf, { content: partialReply, figure, interrupted: true })
+        : await saveMessage(chatId, interruptedMessage, undefined, userMessageId || undefined);
+      setMessages(savedChat.messages || [], chatId);
+      chatUpdated(chatId);
+    } catch (err) {
+      console.error('Error saving interrupted response:', err);
+      setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Failed to save partial response.' }], chatId);
+    }
+  };
+
+  // Ask the figure of an interrupted reply to finish its thought, appending to the same message
+  const handleContinue = async (message) => {
+    if (isTyping || !selectedChatId || !message._id) return;
+
+    // Clean up any existing streams
+    if (cleanupRef.current) {
+      cleanupRef.current();
+      cleanupRef.current = null;
+    }
+
+    const { shown } = getVariantState(message);
+    const figure = shown.figure || selectedFigure;
+    const chatId = selectedChatId;
+
+    // The interrupted reply is shown in the streaming bubble while it grows
+    setRegeneratingMessageId(message._id);
+    setIsTyping(true);
+    setStreamingText(shown.content);
+    setStreamingFigure(figure);
+    streamingMessageRef.current = '';
+
+    const activeStream = { chatId, figure, continueOf: message._id, baseContent: shown.content };
+    activeStreamRef.current = activeStream;
+
+    const resetStreamingState = () => {
+      activeStreamRef.current = null;
+      streamingMessageRef.current = '';
+      setStreamingText('');
+      setIsTyping(false);
+      setIsReconnecting(false);
+      setRegeneratingMessageId(null);
     };
-  }, [selectedChatId, loadChatMessages]);
 
-  // Only update streaming text if the length has changed significantly to reduce renders
-  const updateStreamingText = useCallback((text) => {
-    if (streamingUpdateTimeoutRef.current) {
-      clearTimeout(streamingUpdateTimeoutRef.current);
-    }
-    
-    streamingUpdateTimeoutRef.current = setTimeout(() => {
-      setStreamingText(text);
-      streamingUpdateTimeoutRef.current = null;
-    }, 50);
-  }, []);
+    try {
+      const { setupStream } = await continueMessage(chatId, message._id, figure);
 
-  const handleSendMessage = async (e) => {
-    if (e && e.preventDefault) {
-      e.preventDefault();
+      // Stopped before the stream opened
+      if (activeStreamRef.current !== activeStream) return;
+
+      const handleStreamDone = async (continuation) => {
+        console.log('Continuation stream finished.');
+        cleanupRef.current = null;
+        activeStreamRef.current = null;
+
+        try {
+          const savedChat = await saveMessageContinuation(chatId, message._id, { content: continuation, interrupted: false });
+
+          startTransition(() => {
+            setMessages(savedChat.messages || [], chatId);
+            resetStreamingState();
+            chatUpdated(chatId);
+          });
+        } catch (saveError) {
+          console.error('Error saving continued response:', saveError);
+          resetStreamingState();
+          setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Failed to save continued response.' }], chatId);
+        }
+      };
+
+      startStream(setupStream, handleStreamDone);
+    } catch (error) {
+      console.error('Error continuing response:', error);
+      resetStreamingState();
+      setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Could not continue response. Please try again.' }], chatId);
     }
-    
-    if (!newMessage.trim() || isTyping) return;
+  };
+
+  // Stream another answer to the last user message, kept as a sibling variant
+  const handleRegenerate = async (message) => {
+    if (isTyping || !selectedChatId || !message._id) return;
+
+    const messageIndex = visibleMessages.findIndex(msg => msg._id === message._id);
+    const userMessage = visibleMessages.slice(0, messageIndex).reverse().find(msg => msg.role === 'user');
+    if (!userMessage) return;
 
     // Clean up any existing streams
     if (cleanupRef.current) {
@@ -145,193 +1474,238 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
       cleanupRef.current = null;
     }
 
-    const userMessage = {
-      role: 'user',
-      content: newMessage.trim()
-    };
+    // Regenerate with whichever figure is currently picked in the selector
+    const figure = selectedFigure;
+    const chatId = selectedChatId;
 
-    // Add user message to state immediately for responsiveness
-    setMessages(prevMessages => [...prevMessages, userMessage]);
-    setNewMessage('');
+    setRegeneratingMessageId(message._id);
     setIsTyping(true);
     setStreamingText('');
+    setStreamingFigure(figure);
     streamingMessageRef.current = '';
 
-    let currentChatId = selectedChatId; // Use existing chatId or null for new chat
+    const activeStream = { chatId, figure, variantOf: message._id };
+    activeStreamRef.current = activeStream;
 
-    try {
-      console.log('Attempting to stream chat with chatId:', currentChatId, 'and figure:', selectedFigure);
+    const resetStreamingState = () => {
+      activeStreamRef.current = null;
+      streamingMessageRef.current = '';
+      setStreamingText('');
+      setIsTyping(false);
+      setIsReconnecting(false);
+      setRegeneratingMessageId(null);
+    };
 
-      // --- Refactored stream handling ---
-      // 1. Call sendMessage to save user message and get setup function
-      const { chatId: updatedChatId, setupStream } = await sendMessage(currentChatId, userMessage, selectedFigure);
-      
-      // Update currentChatId if it was newly created
-      if (!currentChatId && updatedChatId) {
-        currentChatId = updatedChatId;
-      }
+    try {
+      const { setupStream } = await regenerateMessage(chatId, userMessage.content, figure, userMessage._id);
 
-      // 2. Define handlers for stream events
-      const handleStreamChunk = (chunk, fullReply) => {
-        streamingMessageRef.current = fullReply;
-        updateStreamingText(fullReply);
-      };
+      // Stopped before the stream opened
+      if (activeStreamRef.current !== activeStream) return;
 
       const handleStreamDone = async (fullReply) => {
-        console.log('Stream finished.');
-        cleanupRef.current = null; // Clear cleanup ref
-
-        const assistantMessage = {
-          role: 'assistant',
-          content: fullReply,
-          figure: selectedFigure
-        };
+        console.log('Regenerated stream finished.');
+        cleanupRef.current = null;
+        activeStreamRef.current = null;
 
         try {
-          // Save the assistant message to the same chat
-          const savedChatWithAssistantMsg = await saveMessage(currentChatId, assistantMessage);
-          
-          // Update user memory with the conversation - this ensures facts and preferences are extracted
-          updateMemory(userMessage.content, fullReply, selectedFigure)
+          const savedChat = await saveMessageVariant(chatId, message._id, { content: fullReply, figure });
+
+          updateMemory(userMessage.content, fullReply, figure)
             .then(() => console.log('Memory updated successfully'))
             .catch(err => console.error('Error updating memory:', err));
-          
-          // Create a combined state update to minimize flashing
-          // We'll directly transition to the final state without intermediary renders
+
           startTransition(() => {
-            // Update both states in the same render cycle
-            setMessages(savedChatWithAssistantMsg.messages || []);
-            
-            // Clear streaming text immediately to avoid duplicate content
-            streamingMessageRef.current = '';
-            setStreamingText('');
-            setIsTyping(false);
-            
-            // Notify parent of the final chat ID and that update is complete
-            onChatUpdated(currentChatId);
+            setMessages(savedChat.messages || [], chatId);
+            resetStreamingState();
+            chatUpdated(chatId);
           });
-
         } catch (saveError) {
-          console.error("Error saving assistant message:", saveError);
-          setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Failed to save assistant response.' }]);
-          setIsTyping(false);
-          setStreamingText('');
+          console.error('Error saving regenerated response:', saveError);
+          resetStreamingState();
+          setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Failed to save regenerated response.' }], chatId);
         }
       };
 
-      const handleStreamError = (error) => {
-        console.error('EventSource failed:', error);
-        setIsTyping(false);
-        setStreamingText('');
-        setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Connection to server lost.' }]);
-        if (cleanupRef.current) {
-           cleanupRef.current();
-           cleanupRef.current = null;
-        }
-      };
+      startStream(setupStream, handleStreamDone);
+    } catch (error) {
+      console.error('Error regenerating response:', error);
+      resetStreamingState();
+      setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Could not regenerate response. Please try again.' }], chatId);
+    }
+  };
 
-      // 3. Call setupStream to start the connection and get the cleanup function
-      const cleanup = setupStream(handleStreamChunk, handleStreamDone, handleStreamError);
-      
-      // Store the cleanup function
-      cleanupRef.current = cleanup;
+  // Page between the variants of an assistant message and remember the choice
+  const handleSelectVariant = async (message, activeVariant) => {
+    setMessages(prevMessages => prevMessages.map(msg => (
+      msg._id === message._id ? { ...msg, activeVariant } : msg
+    )));
 
-    } catch (error) {
-      console.error('Error initiating chat stream:', error);
-      setIsTyping(false);
-      setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Could not start chat. Please try again.' }]);
-      // Ensure cleanup is called if error happens during setup
-      if (cleanupRef.current) {
-        cleanupRef.current();
-        cleanupRef.current = null;
-      }
+    try {
+      await selectMessageVariant(selectedChatId, message._id, activeVariant);
+    } catch (err) {
+      console.error('Error selecting message variant:', err);
+    }
+  };
+
+  // Rate the variant of a reply on screen; ratings can be changed or removed at any time.
+  // Memoized since every saved reply gets it and streaming re-renders the chat constantly.
+  const handleRateMessage = useCallback(async (message, feedback) => {
+    const variantIndex = getFeedbackVariant(message);
+    const previousFeedback = getVariantFeedback(message);
+    setMessages(prevMessages => prevMessages.map(msg => (
+      msg._id === message._id ? withVariantFeedback(msg, variantIndex, feedback) : msg
+    )));
+
+    try {
+      await rateMessage(selectedChatId, message._id, feedback, variantIndex);
+    } catch (err) {
+      console.error('Error rating message:', err);
+      setMessages(prevMessages => prevMessages.map(msg => (
+        msg._id === message._id ? withVariantFeedback(msg, variantIndex, previousFeedback) : msg
+      )));
     }
+  }, [selectedChatId, setMessages]);
+
+  // Resubmit an edited user message as a new branch from the same parent
+  const handleEditMessage = (message, content) => {
+    if (isTyping) return;
+
+    const entry = activePath.find(item => getMessageKey(item.message) === getMessageKey(message));
+    if (!entry) return;
+
+    // Show the new branch rather than the one that was edited
+    setBranchSelections(prevSelections => {
+      const { [entry.parentKey]: _edited, ...rest } = prevSelections;
+      return rest;
+    });
+
+    streamReply(content, selectedFigure, entry.parentKey === ROOT_KEY ? null : entry.parentKey);
+  };
+
+  // Switch to another branch at a fork
+  const handleSelectBranch = (entry, siblingIndex) => {
+    setBranchSelections(prevSelections => ({
+      ...prevSelections,
+      [entry.parentKey]: entry.siblingKeys[siblingIndex]
+    }));
   };
 
   const handleNewChat = () => {
+    handleEndDebate();
+
+    // Only the new chat's view starts empty; the chat being left keeps its messages,
+    // and a reply still streaming goes on into it, as when switching chats
+    setMessages([], null);
+    setBranchSelections({}, null);
+    setStreamingText('');
+    
+    // The next message then creates a new chat instead of adding to the current one
+    console.log('Creating new chat, clearing selectedChatId');
+    startNewChat();
+  };
+
+  // Clearing can be undone for a few seconds, so the server only clears the chat once the offer is gone
+  const handleClearChat = async () => {
+    // Check if there's a selected chat
+    if (!selectedChatId) {
+      console.log('No chat selected to clear');
+      return;
+    }
+    
     // Clean up any existing streams
     if (cleanupRef.current) {
       cleanupRef.current();
       cleanupRef.current = null;
     }
     
-    // Clear messages in the current UI
+    handleEndDebate();
+
+    // Only one clear waits at a time
+    await commitPendingClear();
+    pendingClearRef.current = { chatId: selectedChatId, messages };
+
+    // Clear local messages
     setMessages([]);
     setStreamingText('');
     setIsTyping(false);
-    
-    // This is critical: We need to tell the parent component to clear the selectedChatId
-    // so that the next message actually creates a new chat instead of adding to the current one
-    console.log('Creating new chat, clearing selectedChatId');
-    onChatUpdated(null);
+    setUndoAction({ id: Date.now(), message: 'Chat cleared' });
   };
 
-  const handleClearChat = async () => {
+  const commitPendingClear = async () => {
+    const pendingClear = pendingClearRef.current;
+    if (!pendingClear) return;
+    pendingClearRef.current = null;
+    setUndoAction(null);
+
     try {
-      // Check if there's a selected chat
-      if (!selectedChatId) {
-        console.log('No chat selected to clear');
-        return;
-      }
-      
-      // Clean up any existing streams
-      if (cleanupRef.current) {
-        cleanupRef.current();
-        cleanupRef.current = null;
-      }
-      
-      console.log('Clearing chat with ID:', selectedChatId);
-      await clearChat(selectedChatId);
-      
-      // Clear local messages
-      setMessages([]);
-      setStreamingText('');
-      setIsTyping(false);
-      
+      console.log('Clearing chat with ID:', pendingClear.chatId);
+      await clearChat(pendingClear.chatId);
+      setBranchSelections({}, pendingClear.chatId);
+
       // Keep the same chat ID but ensure the UI is refreshed
-      onChatUpdated(selectedChatId);
+      if (currentChatIdRef.current === pendingClear.chatId) {
+        chatUpdated(pendingClear.chatId);
+      }
     } catch (err) {
       console.error('Error clearing chat:', err);
+      // The messages are still on the server, so show them again
+      if (currentChatIdRef.current === pendingClear.chatId) {
+        setMessages(pendingClear.messages, pendingClear.chatId);
+      }
     }
   };
 
-  // Component for rendering a message
-  const MessageComponent = React.memo(({ message }) => {
-    return (
-      <Box
-        sx={{
-          display: 'flex',
-          justifyContent: message.role === 'user' ? 'flex-end' : 'flex-start',
-          mb: 2,
-        }}
-      >
-        <Paper
-          sx={{
-            p: 2,
-            maxWidth: '75%',
-            backgroundColor: message.role === 'user' ? '#e3f2fd' : '#ffffff',
-            borderRadius: message.role === 'user' ? '15px 15px 0 15px' : '15px 15px 15px 0',
-          }}
-          elevation={1}
-        >
-          <Typography variant="body1">{message.content}</Typography>
-          {message.role === 'assistant' && message.figure && (
-            <Typography variant="caption" sx={{ display: 'block', mt: 1, textAlign: 'right', fontStyle: 'italic' }}>
-              - {message.figure}
-            </Typography>
-          )}
-        </Paper>
-      </Box>
-    );
-  }, (prevProps, nextProps) => {
-    // Custom comparison to prevent unnecessary re-renders
-    if (prevProps.message._id !== nextProps.message._id) return false;
-    if (prevProps.message.content !== nextProps.message.content) return false;
-    return true;
-  });
+  // Effects below always call the latest commitPendingClear
+  const commitPendingClearRef = useRef(commitPendingClear);
+  commitPendingClearRef.current = commitPendingClear;
+
+  const handleUndoClose = (reason) => {
+    if (reason !== 'undo') {
+      commitPendingClear();
+      return;
+    }
+
+    const pendingClear = pendingClearRef.current;
+    pendingClearRef.current = null;
+    setUndoAction(null);
+    if (pendingClear && currentChatIdRef.current === pendingClear.chatId) {
+      setMessages(pendingClear.messages, pendingClear.chatId);
+    }
+  };
+
+  // Leaving the chat, or the page, settles a clear that was waiting on it
+  useEffect(() => {
+    if (pendingClearRef.current && pendingClearRef.current.chatId !== selectedChatId) {
+      commitPendingClearRef.current();
+    }
+  }, [selectedChatId]);
+
+  useEffect(() => () => commitPendingClearRef.current(), []);
+
+  // Closing or reloading the tab doesn't unmount anything, so the clear is sent as the page goes
+  useEffect(() => {
+    const handlePageHide = () => {
+      const pendingClear = pendingClearRef.current;
+      if (!pendingClear) return;
+      pendingClearRef.current = null;
+      clearChatOnUnload(pendingClear.chatId);
+    };
+
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
+  }, []);
+
+  const handleExport = async (exportFormat) => {
+    try {
+      await exportChats([selectedChatId], exportFormat);
+    } catch (err) {
+      console.error('Error exporting chat:', err);
+      setMessages(prevMessages => [...prevMessages, { role: 'system', content: 'Error: Could not export this chat. Please try again.' }]);
+    }
+  };
 
   // Streaming message component (only renders when streaming)
-  const StreamingMessage = React.memo(({ text, figure }) => {
+  const StreamingMessage = React.memo(({ text, figure, isReconnecting }) => {
     if (!text) return null;
     
     return (
@@ -345,13 +1719,19 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
         <Paper
           sx={{
             p: 2,
-            maxWidth: '75%',
-            backgroundColor: '#ffffff',
+            maxWidth: { xs: '90%', sm: '75%' },
+            backgroundColor: 'chat.assistantBubble',
             borderRadius: '15px 15px 15px 0',
           }}
           elevation={1}
         >
-          <Typography variant="body1">{text}</Typography>
+          <MarkdownMessage content={text} />
+          {isReconnecting && (
+            <Box sx={{ display: 'flex', alignItems: 'center', mt: 1, color: 'text.secondary' }}>
+              <CircularProgress size={12} sx={{ mr: 1 }} />
+              <Typography variant="caption">Reconnecting…</Typography>
+            </Box>
+          )}
           <Typography variant="caption" sx={{ display: 'block', mt: 1, textAlign: 'right', fontStyle: 'italic' }}>
             - {figure}
           </Typography>
@@ -359,6 +1739,7 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
       </Box>
     );
   }, (prevProps, nextProps) => {
+    if (prevProps.isReconnecting !== nextProps.isReconnecting) return false;
     // Only re-render if the text changes by more than 10 characters
     // This prevents rapid re-renders during streaming
     if (Math.abs(prevProps.text.length - nextProps.text.length) > 10) return false;
@@ -367,7 +1748,7 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
 
   // Handle when a conversation starter is selected
   const handleStarterSelect = (starter) => {
-    if (isTyping) return;
+    if (isBusy) return;
     
     // Set the message text
     setNewMessage(starter);
@@ -379,6 +1760,22 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
     }, 100);
   };
 
+  if (chatNotFound) {
+    return (
+      <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', height: '100%', p: 3, textAlign: 'center' }}>
+        <Typography variant="h5" gutterBottom>
+          Chat not found
+        </Typography>
+        <Typography sx={{ color: 'text.secondary', mb: 3 }}>
+          This chat doesn't exist, or it has been deleted.
+        </Typography>
+        <Button variant="contained" onClick={handleNewChat}>
+          Start a new chat
+        </Button>
+      </Box>
+    );
+  }
+
   return (
     <Box sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
       <UserMemoryDisplay />
@@ -388,14 +1785,15 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
         sx={{
           flexGrow: 1,
           overflowY: 'auto',
-          p: 2,
-          backgroundColor: '#f5f5f5',
+          p: isMobile ? 1 : 2,
+          backgroundColor: 'chat.surface',
+          transition: 'background-color 0.3s ease',
           position: 'relative',
           scrollBehavior: 'smooth'
         }}
       >
         {/* If no messages and not typing, show conversation starters more prominently */}
-        {messages.length === 0 && !isTyping && selectedFigure && (
+        {visibleMessages.length === 0 && pendingMessages.length === 0 && !isBusy && selectedFigure && (
           <Box 
             sx={{
               display: 'flex',
@@ -408,34 +1806,86 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
             }}
           >
             <Typography variant="h6" sx={{ mb: 3, textAlign: 'center' }}>
-              Start a conversation with {selectedFigure}
+              {mode === 'roundtable' && `Ask ${roundtableFigures.join(', ')} together`}
+              {mode === 'debate' && `Give ${debateFigures.join(' and ')} a topic to debate`}
+              {mode === 'single' && `Start a conversation with ${selectedFigure}`}
             </Typography>
             <ConversationStarters
               selectedFigure={selectedFigure}
               onSelectStarter={handleStarterSelect}
-              disabled={isTyping}
+              disabled={isBusy}
             />
           </Box>
         )}
       
         {/* Render existing messages with key that includes content to reduce re-renders */}
-        {messages.map((msg, index) => (
-          <MessageComponent 
-            key={msg._id || msg._tempId || `message-${index}`} 
-            message={msg} 
+        {renderItems.map(({ roundtableId, entries, index }) => {
+          if (roundtableId) {
+            return (
+              <RoundtableGroup
+                key={`roundtable-${roundtableId}`}
+                replies={entries.map(({ message }) => ({
+                  key: getMessageKey(message),
+                  figure: message.figure,
+                  content: message.content,
+                  interrupted: message.interrupted
+                }))}
+                highlightedKey={highlightedMessageId}
+              />
+            );
+          }
+
+          const [entry] = entries;
+          const msg = entry.message;
+
+          // The reply being regenerated or continued is replaced by the streaming bubble
+          if (msg._id && msg._id === regeneratingMessageId) return null;
+
+          // Only the latest reply can be continued or regenerated
+          const isLast = !isBusy && !debateStatus && index === activePath.length - 1;
+
+          return (
+            <MessageComponent 
+              key={msg._id || msg._tempId || `message-${index}`} 
+              message={msg} 
+              selectedFigure={selectedFigure}
+              siblingIndex={entry.siblingIndex}
+              siblingCount={entry.siblingKeys.length}
+              onContinue={isLast ? handleContinue : null}
+              onRegenerate={isLast && msg._id && selectedChatId ? handleRegenerate : null}
+              onSelectVariant={!isBusy && msg._id ? handleSelectVariant : null}
+              onSelectSibling={!isBusy ? (siblingIndex) => handleSelectBranch(entry, siblingIndex) : null}
+              onEdit={!isBusy && !debateStatus && msg._id && msg.role === 'user' ? handleEditMessage : null}
+              onRate={msg._id && selectedChatId && msg.role === 'assistant' ? handleRateMessage : null}
+              highlighted={Boolean(msg._id) && msg._id === highlightedMessageId}
+            />
+          );
+        })}
+        
+        {/* Messages waiting in the offline outbox */}
+        {pendingMessages.map(entry => (
+          <PendingMessage
+            key={`pending-${entry.id}`}
+            entry={entry}
+            onDiscard={handleDiscardPending}
+            onResendAsNewChat={handleResendPending}
           />
         ))}
         
+        {/* Roundtable replies while they stream */}
+        {isStreamingHere && roundtableReplies && <RoundtableGroup replies={roundtableReplies} />}
+        
         {/* Render streaming message if any */}
-        {streamingText && (
+        {shownStreamingText && (
           <StreamingMessage 
-            text={streamingText} 
-            figure={selectedFigure}
+            text={shownStreamingText} 
+            figure={streamingFigure || selectedFigure}
+            isReconnecting={isReconnecting}
           />
         )}
         
         {/* Indicate when the assistant is thinking */}
-        {isTyping && !streamingText && (
+        {isStreamingHere && !shownStreamingText && !roundtableReplies && (
           <Box
             sx={{
               display: 'flex',
@@ -446,14 +1896,14 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
             <Paper
               sx={{
                 p: 2,
-                backgroundColor: '#ffffff',
+                backgroundColor: 'chat.assistantBubble',
                 borderRadius: '15px 15px 15px 0',
               }}
               elevation={1}
             >
               <Box sx={{ display: 'flex', alignItems: 'center' }}>
                 <CircularProgress size={14} sx={{ mr: 1.5 }} />
-                <Typography variant="body2">Thinking...</Typography>
+                <Typography variant="body2">{isReconnecting ? 'Reconnecting…' : 'Thinking...'}</Typography>
               </Box>
             </Paper>
           </Box>
@@ -463,42 +1913,123 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
         <div ref={messagesEndRef} />
       </Box>
 
-      {/* Show conversation starters below messages when there are already messages */}
-      {selectedFigure && !isTyping && messages.length > 0 && (
+      {/* Show conversation starters below messages when there are already messages; phones need the room */}
+      {selectedFigure && !isBusy && !debateStatus && visibleMessages.length > 0 && !isMobile && (
         <ConversationStarters
           selectedFigure={selectedFigure}
           onSelectStarter={handleStarterSelect}
-          disabled={isTyping}
+          disabled={isBusy}
         />
       )}
 
-      {/* Wisdom selector */}
-      <Box sx={{ mb: 2 }}>
-        <WisdomSelector 
-          figure={selectedFigure} 
-          setFigure={setFigure} 
-          disabled={isTyping}
-        />
+      {/* Wisdom selector, or several figures in roundtable and debate modes.
+          On phones the single figure is picked in the header. */}
+      <Box sx={{ mb: isMobile ? 1 : 2, px: isMobile ? 1 : 0, pt: isMobile ? 1 : 0 }}>
+        <ToggleButtonGroup
+          exclusive
+          size="small"
+          fullWidth={isMobile}
+          value={mode}
+          onChange={(e, value) => value && setMode(value)}
+          disabled={isBusy || debateStatus !== null}
+          sx={{ mb: isMobile && mode === 'single' ? 0 : 2 }}
+        >
+          <ToggleButton value="single">Single</ToggleButton>
+          <ToggleButton value="roundtable">Roundtable</ToggleButton>
+          <ToggleButton value="debate">Debate</ToggleButton>
+        </ToggleButtonGroup>
+        {mode === 'single' && !isMobile && (
+          <WisdomSelector 
+            figure={selectedFigure} 
+            setFigure={setFigure} 
+            disabled={isBusy}
+          />
+        )}
+        {mode === 'roundtable' && (
+          <RoundtableSelector
+            figures={roundtableFigures}
+            setFigures={setRoundtableFigures}
+            disabled={isBusy}
+          />
+        )}
+        {mode === 'debate' && (
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <RoundtableSelector
+              figures={debateFigures}
+              setFigures={setDebateFigures}
+              min={2}
+              max={2}
+              label="Who Should Debate?"
+              disabled={debateStatus !== null}
+            />
+            <TextField
+              select
+              label="Rounds"
+              value={debateRounds}
+              onChange={(e) => setDebateRounds(e.target.value)}
+              disabled={debateStatus !== null}
+              sx={{ minWidth: 100 }}
+            >
+              {DEBATE_ROUND_OPTIONS.map(rounds => (
+                <MenuItem key={rounds} value={rounds}>{rounds}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+        )}
       </Box>
 
-      {/* Message input and buttons */}
-      <Box sx={{ mt: 'auto' }}>
+      {/* Debate controls: pause to step in, resume, or stop for good */}
+      {debateStatus && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+          <Typography variant="body2" sx={{ flexGrow: 1, color: 'text.secondary' }}>
+            {debateStatus === 'paused' && 'Debate paused - step in with your own thoughts or resume.'}
+            {debateStatus === 'pausing' && 'Pausing after this turn...'}
+            {debateStatus === 'running' && 'Debate in progress'}
+          </Typography>
+          {debateStatus === 'paused' ? (
+            <Button size="small" startIcon={<PlayArrowIcon />} onClick={handleResumeDebate}>
+              Resume
+            </Button>
+          ) : (
+            <Button
+              size="small"
+              startIcon={<PauseIcon />}
+              onClick={handlePauseDebate}
+              disabled={debateStatus === 'pausing'}
+            >
+              Pause
+            </Button>
+          )}
+          <Button size="small" color="error" startIcon={<StopIcon />} onClick={handleStopDebate}>
+            End debate
+          </Button>
+        </Box>
+      )}
+
+      {/* Message input and buttons, docked above the home indicator on phones */}
+      <Box sx={{ mt: 'auto', px: isMobile ? 1 : 0, pb: isMobile ? 'env(safe-area-inset-bottom)' : 0 }}>
         <Box
           component="form"
           onSubmit={handleSendMessage}
           sx={{
             display: 'flex',
+            alignItems: 'flex-end',
             gap: 1,
-            mb: 2
+            mb: isMobile ? 1 : 2
           }}
         >
           <TextField
             fullWidth
             size="small"
-            placeholder={isTyping ? "Waiting for response..." : "How can we help you..."}
+            placeholder={
+              isBusy ? "Waiting for response..."
+                : debateStatus === 'paused' ? "Step in with your own thoughts..."
+                  : mode === 'debate' ? "What should they debate?"
+                    : "How can we help you..."
+            }
             value={newMessage}
             onChange={(e) => setNewMessage(e.target.value)}
-            disabled={isTyping}
+            disabled={isBusy}
             inputRef={textFieldRef}
             autoFocus
             multiline
@@ -510,21 +2041,36 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
               }
             }}
           />
-          <IconButton 
-            type="submit" 
-            color="primary"
-            disabled={isTyping || !newMessage.trim()}
-          >
-            <SendIcon />
-          </IconButton>
+          {isBusy ? (
+            <IconButton 
+              color="error"
+              aria-label="stop generating"
+              onClick={debateStatus ? handleStopDebate : handleStopGenerating}
+            >
+              <StopIcon />
+            </IconButton>
+          ) : (
+            <IconButton 
+              type="submit" 
+              color="primary"
+              disabled={!newMessage.trim()}
+            >
+              <SendIcon />
+            </IconButton>
+          )}
+          {isMobile && (
+            <IconButton aria-label="chat actions" onClick={(e) => setActionsAnchorEl(e.currentTarget)}>
+              <MoreVertIcon />
+            </IconButton>
+          )}
         </Box>
 
-        <Box sx={{ display: 'flex', gap: 2 }}>
+        <Box sx={{ display: isMobile ? 'none' : 'flex', gap: 2 }}>
           <Button 
             variant="outlined" 
             onClick={handleNewChat} 
             fullWidth
-            disabled={isTyping}
+            disabled={isBusy}
           >
             New Chat
           </Button>
@@ -532,12 +2078,87 @@ const Chat = ({ selectedFigure, setFigure, onChatUpdated, selectedChatId }) => {
             variant="outlined" 
             onClick={handleClearChat} 
             fullWidth
-            disabled={isTyping}
+            disabled={isBusy}
           >
             Clear Chat
           </Button>
+          <Button 
+            variant="outlined" 
+            onClick={(e) => setExportAnchorEl(e.currentTarget)} 
+            fullWidth
+            disabled={!selectedChatId || isBusy}
+          >
+            Export
+          </Button>
+          <Button 
+            variant="outlined" 
+            onClick={() => setIsSharing(true)} 
+            fullWidth
+            disabled={!selectedChatId || isBusy}
+          >
+            Share
+          </Button>
         </Box>
       </Box>
+
+      <ShareDialog
+        key={selectedChatId || 'new'}
+        open={isSharing && Boolean(selectedChatId)}
+        chatId={selectedChatId}
+        onClose={() => setIsSharing(false)}
+      />
+
+      <Menu
+        anchorEl={actionsAnchorEl}
+        open={Boolean(actionsAnchorEl)}
+        onClose={() => setActionsAnchorEl(null)}
+      >
+        <MenuItem
+          disabled={isBusy}
+          onClick={() => {
+            setActionsAnchorEl(null);
+            handleNewChat();
+          }}
+        >
+          New Chat
+        </MenuItem>
+        <MenuItem
+          disabled={isBusy}
+          onClick={() => {
+            setActionsAnchorEl(null);
+            handleClearChat();
+          }}
+        >
+          Clear Chat
+        </MenuItem>
+        <MenuItem
+          disabled={!selectedChatId || isBusy}
+          onClick={() => {
+            // The formats open from the same button
+            setExportAnchorEl(actionsAnchorEl);
+            setActionsAnchorEl(null);
+          }}
+        >
+          Export…
+        </MenuItem>
+        <MenuItem
+          disabled={!selectedChatId || isBusy}
+          onClick={() => {
+            setActionsAnchorEl(null);
+            setIsSharing(true);
+          }}
+        >
+          Share…
+        </MenuItem>
+      </Menu>
+
+      <ExportMenu
+        anchorEl={exportAnchorEl}
+        onExport={handleExport}
+        onClose={() => setExportAnchorEl(null)}
+      />
+
+      <UndoSnackbar action={undoAction} onClose={handleUndoClose} />
     </Box>
   );
 };
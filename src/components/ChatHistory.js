@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useRef, useCallback, useTransition } from 'react';
-import { format, parseISO } from 'date-fns';
+import React, { useState, useEffect, useRef, useCallback, useMemo, useTransition } from 'react';
+import { format, parseISO, addDays, differenceInCalendarDays } from 'date-fns';
 import {
   Box,
   List,
@@ -8,117 +8,442 @@ import {
   Typography,
   IconButton,
   Tooltip,
-  CircularProgress
+  CircularProgress,
+  TextField,
+  InputAdornment,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListSubheader,
+  Divider,
+  Chip,
+  Button,
+  Checkbox,
+  ToggleButton,
+  ToggleButtonGroup,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Snackbar
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
-import { getChatHistory, deleteChat } from '../services/chatService';
+import EditIcon from '@mui/icons-material/Edit';
+import CallSplitIcon from '@mui/icons-material/CallSplit';
+import SearchIcon from '@mui/icons-material/Search';
+import ClearIcon from '@mui/icons-material/Clear';
+import MoreVertIcon from '@mui/icons-material/MoreVert';
+import PushPinIcon from '@mui/icons-material/PushPin';
+import LocalOfferIcon from '@mui/icons-material/LocalOffer';
+import FolderIcon from '@mui/icons-material/Folder';
+import FolderOpenIcon from '@mui/icons-material/FolderOpen';
+import CreateNewFolderIcon from '@mui/icons-material/CreateNewFolder';
+import DriveFileMoveIcon from '@mui/icons-material/DriveFileMove';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import ChecklistIcon from '@mui/icons-material/Checklist';
+import CloseIcon from '@mui/icons-material/Close';
+import ArchiveIcon from '@mui/icons-material/Archive';
+import UnarchiveIcon from '@mui/icons-material/Unarchive';
+import RestoreFromTrashIcon from '@mui/icons-material/RestoreFromTrash';
+import DeleteForeverIcon from '@mui/icons-material/DeleteForever';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import FileUploadIcon from '@mui/icons-material/FileUpload';
+import { VariableSizeList } from 'react-window';
+import ChatTagsDialog, { TAG_COLORS, getTagColor } from './ChatTagsDialog';
+import UndoSnackbar from './UndoSnackbar';
+import ExportMenu from './ExportMenu';
+import {
+  deleteChat,
+  restoreChat,
+  archiveChat,
+  emptyTrash,
+  getTrashSettings,
+  updateTrashSettings,
+  renameChat,
+  pinChat,
+  setChatTags,
+  moveChatToFolder,
+  getFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  getTags,
+  createTag
+} from '../services/chatService';
+import { searchMessages } from '../services/searchService';
+import { exportChats, importChats } from '../services/exportService';
+import { parseChatExport } from '../utils/chatExport';
+import { tokenize, getHighlightParts } from '../utils/searchIndex';
+import { groupByDateBucket } from '../utils/dateBuckets';
+import { useAppSelector, useAppActions, selectStreamingChatId } from '../store/appStore';
 
-const ChatHistory = ({ refreshTrigger, onSelectChat, selectedChatId, activeChatId }) => {
-  const [chats, setChats] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [isPending, startTransition] = useTransition();
-  const prevRefreshTriggerRef = useRef(refreshTrigger);
-  const loadTimeoutRef = useRef(null);
-  const isMountedRef = useRef(true);
+// Wait for a pause in typing before searching
+const SEARCH_DEBOUNCE_MS = 300;
 
-  const formatDate = (dateString) => {
-    try {
-      if (!dateString) {
-        return null;
-      }
+// Longest title a chat or folder can be given
+const MAX_TITLE_LENGTH = 100;
 
-      // Try to parse the ISO string
-      const date = parseISO(dateString);
-      
-      // Validate the parsed date
-      if (isNaN(date.getTime())) {
-        console.error('Invalid date after parsing:', dateString);
-        return null;
-      }
+// Fetch the next page once the last few rows come into view
+const LOAD_MORE_THRESHOLD = 5;
 
-      // Format the date
-      return format(date, 'MMM d, yyyy h:mm a');
-    } catch (err) {
-      console.error('Error formatting date:', err, 'Date string:', dateString);
+// How long deleted chats can stay in the trash, in days
+const TRASH_RETENTION_OPTIONS = [7, 30, 90];
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Heights of the virtualized rows, in pixels
+const ROW_HEIGHTS = {
+  chat: 72,
+  chatWithTags: 96,
+  editor: 64,
+  folder: 44,
+  header: 32,
+  loading: 40
+};
+
+const formatDate = (dateString) => {
+  try {
+    if (!dateString) {
       return null;
     }
-  };
 
-  const loadChatHistory = useCallback(async (immediate = false) => {
-    // Clear any pending load timeout
-    if (loadTimeoutRef.current) {
-      clearTimeout(loadTimeoutRef.current);
-      loadTimeoutRef.current = null;
+    // Try to parse the ISO string
+    const date = parseISO(dateString);
+    
+    // Validate the parsed date
+    if (isNaN(date.getTime())) {
+      console.error('Invalid date after parsing:', dateString);
+      return null;
     }
 
-    // Function to execute the actual loading
-    const executeLoad = async () => {
-      try {
-        // Only set loading state on initial load, not refreshes
-        if (chats.length === 0) {
-          setLoading(true);
-        }
-        
-        const history = await getChatHistory();
-        
-        if (!isMountedRef.current) return;
-        
-        // Process each chat to include formatted dates
-        const processedHistory = history.map(chat => {
-          return {
-            ...chat,
-            formattedDate: formatDate(chat.updatedAt) || 'Date not available'
-          };
-        });
-        
-        // Use transitions for smoother updates
-        startTransition(() => {
-          // Set the new chats
-          setChats(processedHistory);
-          setLoading(false);
-          setError(null);
-        });
-      } catch (err) {
-        if (!isMountedRef.current) return;
-        
-        console.error('Error loading chat history:', err);
-        setChats([]);
-        setError('Failed to load chat history');
-        setLoading(false);
-      }
-    };
+    // Format the date
+    return format(date, 'MMM d, yyyy h:mm a');
+  } catch (err) {
+    console.error('Error formatting date:', err, 'Date string:', dateString);
+    return null;
+  }
+};
+
+// Puts chats back into a list, keeping it most recently updated first
+const mergeChats = (chatList, returning) => {
+  const returningIds = new Set(returning.map(chat => chat._id));
+  return [...chatList.filter(chat => !returningIds.has(chat._id)), ...returning]
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+};
+
+// Caption of a chat in the trash, saying when it will be gone for good
+const describeTrashedChat = (chat, retentionDays) => {
+  const deletedAt = chat.deletedAt ? parseISO(chat.deletedAt) : null;
+  if (!deletedAt || isNaN(deletedAt.getTime())) return 'In trash';
+
+  const daysLeft = differenceInCalendarDays(addDays(deletedAt, retentionDays), new Date());
+  if (daysLeft <= 0) return 'Deleted permanently today';
+  return `Deleted permanently in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+};
 
-    // Either load immediately or with a debounce timeout
-    if (immediate) {
-      executeLoad();
+const countChats = (count) => `${count} chat${count === 1 ? '' : 's'}`;
+
+// Folders and tags are extras; the history still shows if they fail to load
+const loadOrganization = async () => {
+  const [folders, tags] = await Promise.all([
+    getFolders().catch(() => null),
+    getTags().catch(() => null)
+  ]);
+  return { folders, tags };
+};
+
+// Inline editor for a chat or folder name: Enter or leaving the field saves, Escape cancels
+const TitleEditor = ({ initialTitle, label = 'chat title', onSave, onCancel }) => {
+  const [title, setTitle] = useState(initialTitle);
+  const doneRef = useRef(false);
+
+  const finish = (save) => {
+    // Escape unmounts the field, which can fire a blur as well
+    if (doneRef.current) return;
+    doneRef.current = true;
+
+    const trimmed = title.trim();
+    if (save && trimmed && trimmed !== initialTitle) {
+      onSave(trimmed);
     } else {
-      // 300ms debounce to prevent rapid consecutive reloads
-      loadTimeoutRef.current = setTimeout(executeLoad, 300);
+      onCancel();
     }
-  }, [chats.length]);
-
-  // Create a stable, memoized debounced version of the loadChatHistory function
-  const debouncedLoadChatHistory = useCallback(
-    (shouldRefresh = false) => {
-      loadChatHistory(shouldRefresh);
-    },
-    [loadChatHistory]
+  };
+
+  return (
+    <ListItem component="div" sx={{ py: 1, my: 0.5 }}>
+      <TextField
+        fullWidth
+        size="small"
+        autoFocus
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        onFocus={(e) => e.target.select()}
+        onBlur={() => finish(true)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            finish(true);
+          }
+          if (e.key === 'Escape') {
+            finish(false);
+          }
+        }}
+        inputProps={{ maxLength: MAX_TITLE_LENGTH, 'aria-label': label }}
+      />
+    </ListItem>
   );
+};
+
+// Collapsible folder heading that chats can be dropped onto
+const FolderHeader = ({ folder, count, isDragOver, onToggle, onDropChat, onDragOverChange, onOpenMenu }) => (
+  <ListItem
+    component="div"
+    onClick={onToggle}
+    onDragOver={(e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      onDragOverChange(true);
+    }}
+    onDragLeave={() => onDragOverChange(false)}
+    onDrop={(e) => {
+      e.preventDefault();
+      onDragOverChange(false);
+      onDropChat(e.dataTransfer.getData('text/plain'));
+    }}
+    secondaryAction={
+      <IconButton edge="end" size="small" aria-label={`${folder.name} options`} onClick={onOpenMenu}>
+        <MoreVertIcon fontSize="small" />
+      </IconButton>
+    }
+    sx={{
+      py: 0.5,
+      cursor: 'pointer',
+      borderRadius: '4px',
+      outline: isDragOver ? '2px dashed' : 'none',
+      outlineColor: 'primary.main',
+      backgroundColor: isDragOver ? 'action.hover' : 'transparent'
+    }}
+  >
+    {folder.collapsed ? <ChevronRightIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+    {folder.collapsed
+      ? <FolderIcon fontSize="small" sx={{ mx: 1, color: 'text.secondary' }} />
+      : <FolderOpenIcon fontSize="small" sx={{ mx: 1, color: 'text.secondary' }} />}
+    <ListItemText
+      primary={folder.name}
+      primaryTypographyProps={{ variant: 'body2', fontWeight: 500 }}
+    />
+    <Typography variant="caption" sx={{ color: 'text.secondary', mr: 2 }}>
+      {count}
+    </Typography>
+  </ListItem>
+);
+
+// One chat in the history; it can be dragged onto a folder, or checked while selecting several
+const ChatItem = React.memo(({ chat, isSelected, streaming, tags, selecting, checked, caption, onSelect, onOpenMenu, onStartRename }) => (
+  <ListItem
+    component="div"
+    onClick={() => onSelect(chat._id)}
+    selected={isSelected}
+    draggable={!selecting}
+    onDragStart={(e) => {
+      e.dataTransfer.setData('text/plain', chat._id);
+      e.dataTransfer.effectAllowed = 'move';
+    }}
+    secondaryAction={
+      <IconButton 
+        edge="end" 
+        aria-label="chat options"
+        onClick={(e) => onOpenMenu(chat, e)}
+        sx={{ opacity: 0.7, '&:hover': { opacity: 1 } }}
+      >
+        <MoreVertIcon />
+      </IconButton>
+    }
+    sx={{ 
+      flexDirection: 'column',
+      alignItems: 'flex-start',
+      py: 1,
+      cursor: 'pointer',
+      '&:hover': {
+        backgroundColor: 'action.hover'
+      },
+      transition: 'background-color 0.2s ease',
+      borderRadius: '4px',
+      my: 0.5
+    }}
+  >
+    <ListItemText
+      onDoubleClick={(e) => !selecting && onStartRename(chat._id, e)}
+      primary={
+        <Box component="span" sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+          {selecting && (
+            <Checkbox
+              size="small"
+              checked={checked}
+              tabIndex={-1}
+              inputProps={{ 'aria-label': `select ${chat.title || 'Untitled Chat'}` }}
+              sx={{ p: 0, mr: 0.5 }}
+            />
+          )}
+          {chat.pinned && (
+            <PushPinIcon sx={{ color: 'text.secondary', fontSize: 14 }} aria-label="pinned" />
+          )}
+          <Box component="span" sx={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {chat.title || 'Untitled Chat'}
+          </Box>
+          {/* Chats where a message was edited have more than one branch */}
+          {chat.branchCount > 1 && (
+            <Tooltip title={`${chat.branchCount} branches`}>
+              <CallSplitIcon fontSize="small" sx={{ color: 'text.secondary' }} aria-label="has branches" />
+            </Tooltip>
+          )}
+          {streaming && (
+            <Tooltip title="Replying">
+              <CircularProgress size={12} aria-label="replying" />
+            </Tooltip>
+          )}
+        </Box>
+      }
+      secondary={
+        <>
+          <Tooltip title={chat.updatedAt || 'No date available'}>
+            <Typography 
+              variant="caption" 
+              component="span"
+              sx={{ color: 'text.secondary' }}
+            >
+              {caption || formatDate(chat.updatedAt) || 'Date not available'}
+            </Typography>
+          </Tooltip>
+          {chat.tags?.length > 0 && (
+            <Box component="span" sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+              {chat.tags.map(name => (
+                <Chip
+                  key={name}
+                  component="span"
+                  label={name}
+                  size="small"
+                  sx={{ height: 18, fontSize: 11, backgroundColor: getTagColor(tags, name), color: 'common.white' }}
+                />
+              ))}
+            </Box>
+          )}
+        </>
+      }
+      sx={{ width: '100%', minWidth: 0 }}
+    />
+  </ListItem>
+));
+
+// Row of the virtualized history; the rows and how to draw them come in through itemData
+const HistoryRow = ({ index, style, data }) => (
+  <div style={style}>
+    {data.renderRow(data.rows[index])}
+  </div>
+);
+
+// Text with the parts matching the search terms marked
+const HighlightedText = ({ text, terms }) => (
+  <>
+    {getHighlightParts(text, terms).map((part, index) => (
+      part.match ? (
+        <Box
+          key={index}
+          component="mark"
+          sx={{ backgroundColor: 'warning.light', color: 'inherit', borderRadius: '2px', px: 0.25 }}
+        >
+          {part.text}
+        </Box>
+      ) : (
+        <React.Fragment key={index}>{part.text}</React.Fragment>
+      )
+    ))}
+  </>
+);
+
+const ChatHistory = () => {
+  // The listed chats live in the store, so the chat on screen can refresh its own entry
+  const { chats, nextCursor, loading, loadingMore, error } = useAppSelector(state => state.history);
+  const activeChatId = useAppSelector(state => state.activeChatId);
+  const streamingChatId = useAppSelector(selectStreamingChatId);
+  const {
+    selectChat,
+    deleteChat: moveChatToTrash,
+    loadHistory,
+    loadMoreHistory: loadMore,
+    setHistoryChats: setChats
+  } = useAppActions();
+  const [isPending, startTransition] = useTransition();
+  const isMountedRef = useRef(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [editingChatId, setEditingChatId] = useState(null);
+  const [folders, setFolders] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [tagFilter, setTagFilter] = useState(null);
+  const [figureFilter, setFigureFilter] = useState(null);
+  const [chatMenu, setChatMenu] = useState(null);
+  const [folderMenu, setFolderMenu] = useState(null);
+  const [taggingChat, setTaggingChat] = useState(null);
+  const [editingFolderId, setEditingFolderId] = useState(null);
+  const [listHeight, setListHeight] = useState(0);
+  const listRef = useRef(null);
+  const resizeObserverRef = useRef(null);
+  // Folder a chat is being dragged over; null is the unfiled list, undefined is none
+  const [dragOverFolderId, setDragOverFolderId] = useState(undefined);
+  // Which chats are listed: the history, archived chats or the trash
+  const [view, setView] = useState('chats');
+  const viewRef = useRef(view);
+  viewRef.current = view;
+  const [selecting, setSelecting] = useState(false);
+  const [checkedIds, setCheckedIds] = useState(() => new Set());
+  const [retentionDays, setRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS);
+  const [undoAction, setUndoAction] = useState(null);
+  const [confirmAction, setConfirmAction] = useState(null);
+  const [exportTarget, setExportTarget] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const importInputRef = useRef(null);
+  const searchTerms = tokenize(searchQuery);
+  const isSearching = searchTerms.length > 0;
+
+  // First page of the current view, together with the user's folders and tags
+  const loadFirstPage = useCallback(async () => {
+    const [organization, trashSettings] = await Promise.all([
+      loadOrganization(),
+      view === 'trash' ? getTrashSettings().catch(() => null) : null,
+      loadHistory(view)
+    ]);
+
+    if (!isMountedRef.current) return;
+
+    // Use transitions for smoother updates
+    startTransition(() => {
+      if (organization.folders) setFolders(organization.folders);
+      if (organization.tags) setTags(organization.tags);
+      if (trashSettings?.retentionDays) setRetentionDays(trashSettings.retentionDays);
+    });
+  }, [view, loadHistory]);
 
-  // Monitor refresh triggers and handle updates
   useEffect(() => {
-    const triggerChanged = refreshTrigger !== prevRefreshTriggerRef.current;
-    
-    // Update the ref for the next render
-    prevRefreshTriggerRef.current = refreshTrigger;
-    
-    // Load chat history
-    // Use immediate loading for initial load (refreshTrigger === 0)
-    const immediate = refreshTrigger === 0 || triggerChanged;
-    debouncedLoadChatHistory(immediate);
-    
-  }, [refreshTrigger, debouncedLoadChatHistory]);
+    loadFirstPage();
+  }, [loadFirstPage]);
+
+  // Size the virtualized list to the space it has
+  const listContainerRef = useCallback((node) => {
+    if (resizeObserverRef.current) {
+      resizeObserverRef.current.disconnect();
+      resizeObserverRef.current = null;
+    }
+    if (node) {
+      const observer = new ResizeObserver(([entry]) => setListHeight(entry.contentRect.height));
+      observer.observe(node);
+      resizeObserverRef.current = observer;
+    }
+  }, []);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -126,83 +451,564 @@ const ChatHistory = ({ refreshTrigger, onSelectChat, selectedChatId, activeChatI
     
     return () => {
       isMountedRef.current = false;
-      if (loadTimeoutRef.current) {
-        clearTimeout(loadTimeoutRef.current);
-      }
     };
   }, []);
 
-  const handleDeleteChat = async (chatId, event) => {
-    event.stopPropagation();
+  // Search message contents once the user stops typing; newer queries supersede older ones
+  useEffect(() => {
+    if (!searchQuery.trim()) {
+      setSearchResults([]);
+      setSearching(false);
+      return;
+    }
+
+    let cancelled = false;
+    setSearching(true);
+
+    const timeout = setTimeout(async () => {
+      try {
+        const results = await searchMessages(searchQuery);
+        if (!cancelled && isMountedRef.current) {
+          setSearchResults(results);
+        }
+      } catch (err) {
+        console.error('Error searching chats:', err);
+        if (!cancelled && isMountedRef.current) {
+          setSearchResults([]);
+        }
+      } finally {
+        if (!cancelled && isMountedRef.current) {
+          setSearching(false);
+        }
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [searchQuery]);
+
+  // Takes chats out of the list right away while save runs on each of them.
+  // The ones that fail come back; the ones that succeeded are returned.
+  const removeChats = async (chatIds, save, errorMessage) => {
+    const removed = chats.filter(chat => chatIds.includes(chat._id));
+    setChats(prevChats => prevChats.filter(chat => !chatIds.includes(chat._id)));
+
+    const results = await Promise.allSettled(removed.map(chat => save(chat._id)));
+    const failed = removed.filter((chat, index) => results[index].status === 'rejected');
+    if (failed.length > 0) {
+      console.error(errorMessage, results.find(result => result.status === 'rejected').reason);
+      if (isMountedRef.current) {
+        setChats(prevChats => mergeChats(prevChats, failed));
+      }
+    }
+    return removed.filter((chat, index) => results[index].status === 'fulfilled');
+  };
+
+  // Undoes a removal, listing the chats again if the user is still looking at the same view
+  const returnChats = async (chatList, save, fromView, errorMessage) => {
+    const results = await Promise.allSettled(chatList.map(chat => save(chat._id)));
+    const returned = chatList.filter((chat, index) => results[index].status === 'fulfilled');
+    if (returned.length < chatList.length) {
+      console.error(errorMessage, results.find(result => result.status === 'rejected').reason);
+    }
+    if (isMountedRef.current && viewRef.current === fromView) {
+      setChats(prevChats => mergeChats(prevChats, returned));
+    }
+    return returned;
+  };
+
+  // Deleting only moves chats to the trash, and can be undone for a few seconds
+  const handleTrashChats = async (chatIds) => {
+    // The open chat is left for a new one as soon as it is trashed
+    const openChatId = chatIds.includes(activeChatId) ? activeChatId : null;
+
+    const fromView = view;
+    const trashed = await removeChats(chatIds, moveChatToTrash, 'Error moving chats to trash:');
+    if (trashed.length === 0 || !isMountedRef.current) return;
+
+    setUndoAction({
+      id: Date.now(),
+      message: trashed.length === 1 ? 'Chat moved to Trash' : `${countChats(trashed.length)} moved to Trash`,
+      onUndo: async () => {
+        const restored = await returnChats(trashed, restoreChat, fromView, 'Error restoring chats:');
+        // Reopen the chat that was on screen
+        if (openChatId && restored.some(chat => chat._id === openChatId)) {
+          selectChat(openChatId);
+        }
+      }
+    });
+  };
+
+  // Archived chats leave the history without being deleted; this can be undone too
+  const handleArchiveChats = async (chatIds, archived) => {
+    const fromView = view;
+    const changed = await removeChats(chatIds, chatId => archiveChat(chatId, archived), 'Error archiving chats:');
+    if (changed.length === 0 || !isMountedRef.current) return;
+
+    setUndoAction({
+      id: Date.now(),
+      message: `${archived ? 'Archived' : 'Unarchived'} ${countChats(changed.length)}`,
+      onUndo: () => returnChats(changed, chatId => archiveChat(chatId, !archived), fromView, 'Error undoing archive:')
+    });
+  };
+
+  const handleRestoreChats = (chatIds) => {
+    removeChats(chatIds, restoreChat, 'Error restoring chats:');
+  };
+
+  // Skipping the trash can't be undone, so it is confirmed first
+  const handleDeleteForever = (chatIds) => {
+    setConfirmAction({
+      title: chatIds.length === 1 ? 'Delete this chat forever?' : `Delete ${countChats(chatIds.length)} forever?`,
+      message: 'This can\'t be undone.',
+      confirmLabel: 'Delete forever',
+      onConfirm: () => removeChats(chatIds, deleteChat, 'Error deleting chats:')
+    });
+  };
+
+  const handleEmptyTrash = () => {
+    setConfirmAction({
+      title: 'Empty the trash?',
+      message: 'Every chat in the trash will be deleted permanently. This can\'t be undone.',
+      confirmLabel: 'Empty trash',
+      onConfirm: async () => {
+        const previous = { chats, nextCursor };
+        setChats([], null);
+
+        try {
+          await emptyTrash();
+        } catch (err) {
+          console.error('Error emptying trash:', err);
+          if (isMountedRef.current && viewRef.current === 'trash') {
+            setChats(previous.chats, previous.nextCursor);
+          }
+        }
+      }
+    });
+  };
+
+  const handleChangeRetention = async (days) => {
+    const previous = retentionDays;
+    setRetentionDays(days);
+
     try {
-      await deleteChat(chatId);
-      debouncedLoadChatHistory(true); // Immediate reload after delete
-      if (selectedChatId === chatId) {
-        onSelectChat(null);
+      await updateTrashSettings(days);
+    } catch (err) {
+      console.error('Error updating trash settings:', err);
+      setRetentionDays(previous);
+    }
+  };
+
+  const handleUndoClose = (reason) => {
+    if (reason === 'undo' && undoAction) {
+      undoAction.onUndo();
+    }
+    setUndoAction(null);
+  };
+
+  // Each view is loaded afresh, without the selection or search of the last one
+  const handleChangeView = (nextView) => {
+    setView(nextView);
+    setSelecting(false);
+    setCheckedIds(new Set());
+    setSearchQuery('');
+    setEditingChatId(null);
+  };
+
+  const handleExport = async (chatIds, exportFormat) => {
+    try {
+      await exportChats(chatIds, exportFormat);
+    } catch (err) {
+      console.error('Error exporting chats:', err);
+      setNotice('Could not export. Please try again.');
+    }
+  };
+
+  // Imported chats are new chats, so the history is shown again with them in it
+  const handleImportFile = async (event) => {
+    const file = event.target.files[0];
+    // Let the same file be picked again
+    event.target.value = '';
+    if (!file) return;
+
+    let importedChats;
+    try {
+      importedChats = parseChatExport(await file.text());
+    } catch (err) {
+      setNotice(err.message);
+      return;
+    }
+
+    setImporting(true);
+    try {
+      const chatIds = await importChats(importedChats);
+      setNotice(`Imported ${countChats(chatIds.length)}`);
+    } catch (err) {
+      console.error('Error importing chats:', err);
+      setNotice('Could not import every chat. Please try again.');
+    } finally {
+      if (isMountedRef.current) {
+        setImporting(false);
+        if (viewRef.current === 'chats') {
+          loadFirstPage();
+        } else {
+          handleChangeView('chats');
+        }
+      }
+    }
+  };
+
+  // Checking a chat also starts selecting, which is how chats in the trash are picked
+  const toggleChecked = useCallback((chatId) => {
+    setSelecting(true);
+    setCheckedIds(prevIds => {
+      const nextIds = new Set(prevIds);
+      if (nextIds.has(chatId)) {
+        nextIds.delete(chatId);
+      } else {
+        nextIds.add(chatId);
       }
+      return nextIds;
+    });
+  }, []);
+
+  const stopSelecting = () => {
+    setSelecting(false);
+    setCheckedIds(new Set());
+  };
+
+  // Runs a bulk action on the checked chats and leaves selection mode
+  const fromSelection = (action) => () => {
+    const chatIds = [...checkedIds];
+    stopSelecting();
+    action(chatIds);
+  };
+
+  // Show a change to a chat right away, and undo it if the server rejects it
+  const updateChatOptimistically = async (chatId, changes, save, errorMessage) => {
+    const previous = chats.find(chat => chat._id === chatId);
+    if (!previous) return;
+
+    const restored = Object.keys(changes).reduce((values, key) => ({ ...values, [key]: previous[key] }), {});
+    setChats(prevChats => prevChats.map(chat => (
+      chat._id === chatId ? { ...chat, ...changes } : chat
+    )));
+
+    try {
+      await save();
     } catch (err) {
-      console.error('Error deleting chat:', err);
-      setError('Failed to delete chat');
+      console.error(errorMessage, err);
+      setChats(prevChats => prevChats.map(chat => (
+        chat._id === chatId ? { ...chat, ...restored } : chat
+      )));
     }
   };
 
-  // Memoize individual chat item to prevent unnecessary re-renders
-  const ChatItem = React.memo(({ chat }) => {
-    const isSelected = selectedChatId === chat._id || activeChatId === chat._id;
-    
-    return (
-      <ListItem
-        onClick={() => onSelectChat(chat._id)}
-        selected={isSelected}
-        secondaryAction={
-          <IconButton 
-            edge="end" 
-            aria-label="delete"
-            onClick={(e) => handleDeleteChat(chat._id, e)}
-            sx={{ opacity: 0.7, '&:hover': { opacity: 1 } }}
-          >
-            <DeleteIcon />
-          </IconButton>
+  const handleRenameChat = (chatId, title) => {
+    setEditingChatId(null);
+    updateChatOptimistically(chatId, { title }, () => renameChat(chatId, title), 'Error renaming chat:');
+  };
+
+  const handleTogglePin = (chat) => {
+    const pinned = !chat.pinned;
+    updateChatOptimistically(chat._id, { pinned }, () => pinChat(chat._id, pinned), 'Error pinning chat:');
+  };
+
+  const handleMoveChat = (chatId, folderId) => {
+    const chat = chats.find(item => item._id === chatId);
+    if (!chat || (chat.folderId || null) === folderId) return;
+    updateChatOptimistically(chatId, { folderId }, () => moveChatToFolder(chatId, folderId), 'Error moving chat:');
+  };
+
+  // Save a chat's tags, creating any the user hasn't used before
+  const handleSaveTags = async (chatId, names) => {
+    setTaggingChat(null);
+
+    const newNames = names.filter(name => !tags.some(tag => tag.name === name));
+    try {
+      const created = await Promise.all(newNames.map((name, index) => (
+        createTag(name, TAG_COLORS[(tags.length + index) % TAG_COLORS.length])
+      )));
+      setTags(prevTags => [...prevTags, ...created]);
+    } catch (err) {
+      console.error('Error creating tags:', err);
+      return;
+    }
+
+    updateChatOptimistically(chatId, { tags: names }, () => setChatTags(chatId, names), 'Error tagging chat:');
+  };
+
+  // New folders start out with their name being edited
+  const handleCreateFolder = async () => {
+    try {
+      const folder = await createFolder('New folder');
+      setFolders(prevFolders => [...prevFolders, folder]);
+      setEditingFolderId(folder._id);
+    } catch (err) {
+      console.error('Error creating folder:', err);
+    }
+  };
+
+  const handleUpdateFolder = async (folderId, changes) => {
+    const previous = folders.find(folder => folder._id === folderId);
+    setFolders(prevFolders => prevFolders.map(folder => (
+      folder._id === folderId ? { ...folder, ...changes } : folder
+    )));
+
+    try {
+      await updateFolder(folderId, changes);
+    } catch (err) {
+      console.error('Error updating folder:', err);
+      setFolders(prevFolders => prevFolders.map(folder => (
+        folder._id === folderId ? previous : folder
+      )));
+    }
+  };
+
+  // Chats in a deleted folder are kept, just no longer filed
+  const handleDeleteFolder = async (folderId) => {
+    try {
+      await deleteFolder(folderId);
+      setFolders(prevFolders => prevFolders.filter(folder => folder._id !== folderId));
+      setChats(prevChats => prevChats.map(chat => (
+        chat.folderId === folderId ? { ...chat, folderId: null } : chat
+      )));
+    } catch (err) {
+      console.error('Error deleting folder:', err);
+    }
+  };
+
+  // Stable so that memoized chat rows don't re-render for nothing
+  const openChatMenu = useCallback((chat, event) => {
+    event.stopPropagation();
+    setChatMenu({ anchorEl: event.currentTarget, chat });
+  }, []);
+
+  const openFolderMenu = (folder, event) => {
+    event.stopPropagation();
+    setFolderMenu({ anchorEl: event.currentTarget, folder });
+  };
+
+  // Runs a menu action and closes the menu
+  const fromChatMenu = (action) => () => {
+    const { chat } = chatMenu;
+    setChatMenu(null);
+    action(chat);
+  };
+
+  // Tags and figures that appear in the history, offered as filters
+  const tagNames = useMemo(
+    () => [...new Set(chats.flatMap(chat => chat.tags || []))].sort(),
+    [chats]
+  );
+  const figureNames = useMemo(
+    () => [...new Set(chats.map(chat => chat.wisdomFigure).filter(Boolean))].sort(),
+    [chats]
+  );
+
+  // Pinned chats first, then folders, then everything not filed away
+  const sections = useMemo(() => {
+    const visible = chats.filter(chat => (
+      (!tagFilter || (chat.tags || []).includes(tagFilter)) &&
+      (!figureFilter || chat.wisdomFigure === figureFilter)
+    ));
+    const folderIds = new Set(folders.map(folder => folder._id));
+
+    return {
+      pinned: visible.filter(chat => chat.pinned),
+      folders: folders.map(folder => ({
+        folder,
+        chats: visible.filter(chat => !chat.pinned && chat.folderId === folder._id)
+      })),
+      unfiled: visible.filter(chat => !chat.pinned && !folderIds.has(chat.folderId))
+    };
+  }, [chats, folders, tagFilter, figureFilter]);
+  const isFiltering = Boolean(tagFilter || figureFilter);
+
+  // Filters apply to every chat, so while one is set the remaining pages are loaded one after another
+  useEffect(() => {
+    if (isFiltering && !loading && nextCursor) {
+      loadMore();
+    }
+  }, [isFiltering, loading, nextCursor, loadMore]);
+
+  const handleStartRename = useCallback((chatId, event) => {
+    event.stopPropagation();
+    // Chats in the trash have to be restored before they can be renamed
+    if (viewRef.current === 'trash') return;
+    setEditingChatId(chatId);
+  }, []);
+
+  // Flatten pinned chats, folders and date buckets into the rows of the virtualized list
+  const rows = useMemo(() => {
+    const items = [];
+    const addChats = (chatList, indent = false) => {
+      chatList.forEach(chat => items.push({ type: 'chat', key: chat._id, chat, indent }));
+    };
+    const addDateBuckets = (chatList) => {
+      groupByDateBucket(chatList).forEach(({ bucket, chats: bucketChats }) => {
+        items.push({ type: 'bucket', key: `bucket-${bucket}`, label: bucket });
+        addChats(bucketChats);
+      });
+    };
+
+    if (view === 'trash') {
+      // The trash is listed in the order the server keeps it, without headings
+      addChats(chats);
+    } else if (view === 'archived') {
+      addDateBuckets(chats);
+    } else {
+      if (sections.pinned.length > 0) {
+        items.push({ type: 'header', key: 'pinned', label: 'Pinned' });
+        addChats(sections.pinned);
+      }
+
+      sections.folders.forEach(({ folder, chats: folderChats }) => {
+        // While filtering, only folders with matching chats are worth showing
+        if (isFiltering && folderChats.length === 0) return;
+
+        items.push({ type: 'folder', key: `folder-${folder._id}`, folder, count: folderChats.length });
+        if (!folder.collapsed) {
+          addChats(folderChats, true);
         }
-        sx={{ 
-          flexDirection: 'column',
-          alignItems: 'flex-start',
-          py: 1,
-          cursor: 'pointer',
-          '&:hover': {
-            backgroundColor: 'rgba(0, 0, 0, 0.04)'
-          },
-          transition: 'background-color 0.2s ease',
-          borderRadius: '4px',
-          my: 0.5
-        }}
-      >
-        <ListItemText
-          primary={chat.title || 'Untitled Chat'}
-          secondary={
-            <Tooltip title={chat.updatedAt || 'No date available'}>
-              <Typography 
-                variant="caption" 
-                component="span"
-                sx={{ color: 'text.secondary' }}
-              >
-                {chat.formattedDate}
-              </Typography>
-            </Tooltip>
-          }
-        />
-      </ListItem>
-    );
-  });
+      });
 
-  // Render loading spinner when data is being fetched
-  if (loading && chats.length === 0) {
-    return (
-      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
-        <CircularProgress />
-      </Box>
-    );
-  }
+      addDateBuckets(sections.unfiled);
+    }
+
+    if (loadingMore) {
+      items.push({ type: 'loading', key: 'loading' });
+    }
+    return items;
+  }, [view, chats, sections, isFiltering, loadingMore]);
+
+  // Chats the select-all box applies to: the ones listed right now
+  const listedChatIds = useMemo(
+    () => rows.filter(row => row.type === 'chat').map(row => row.chat._id),
+    [rows]
+  );
+  const allChecked = listedChatIds.length > 0 && listedChatIds.every(chatId => checkedIds.has(chatId));
+
+  const getRowHeight = (row) => {
+    switch (row.type) {
+      case 'chat':
+        if (editingChatId === row.chat._id) return ROW_HEIGHTS.editor;
+        return row.chat.tags?.length > 0 ? ROW_HEIGHTS.chatWithTags : ROW_HEIGHTS.chat;
+      case 'folder':
+        return editingFolderId === row.folder._id ? ROW_HEIGHTS.editor : ROW_HEIGHTS.folder;
+      case 'loading':
+        return ROW_HEIGHTS.loading;
+      default:
+        return ROW_HEIGHTS.header;
+    }
+  };
+
+  // Row heights are cached by the list, so drop them whenever the rows change
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.resetAfterIndex(0);
+    }
+  }, [rows, editingChatId, editingFolderId]);
+
+  const renderChat = (chat) => (
+    editingChatId === chat._id ? (
+      <TitleEditor
+        key={chat._id}
+        initialTitle={chat.title || ''}
+        onSave={(title) => handleRenameChat(chat._id, title)}
+        onCancel={() => setEditingChatId(null)}
+      />
+    ) : (
+      <ChatItem
+        key={chat._id}
+        chat={chat}
+        isSelected={view !== 'trash' && activeChatId === chat._id}
+        streaming={streamingChatId === chat._id}
+        tags={tags}
+        selecting={selecting}
+        checked={checkedIds.has(chat._id)}
+        caption={view === 'trash' ? describeTrashedChat(chat, retentionDays) : null}
+        // Chats in the trash can't be opened, only picked
+        onSelect={selecting || view === 'trash' ? toggleChecked : selectChat}
+        onOpenMenu={openChatMenu}
+        onStartRename={handleStartRename}
+      />
+    )
+  );
+
+  const renderRow = (row) => {
+    switch (row.type) {
+      case 'chat':
+        return row.indent ? <Box sx={{ pl: 2 }}>{renderChat(row.chat)}</Box> : renderChat(row.chat);
+      case 'folder':
+        return editingFolderId === row.folder._id ? (
+          <TitleEditor
+            initialTitle={row.folder.name}
+            label="folder name"
+            onSave={(name) => {
+              setEditingFolderId(null);
+              handleUpdateFolder(row.folder._id, { name });
+            }}
+            onCancel={() => setEditingFolderId(null)}
+          />
+        ) : (
+          <FolderHeader
+            folder={row.folder}
+            count={row.count}
+            isDragOver={dragOverFolderId === row.folder._id}
+            onToggle={() => handleUpdateFolder(row.folder._id, { collapsed: !row.folder.collapsed })}
+            onDropChat={(chatId) => handleMoveChat(chatId, row.folder._id)}
+            onDragOverChange={(isOver) => setDragOverFolderId(isOver ? row.folder._id : undefined)}
+            onOpenMenu={(e) => openFolderMenu(row.folder, e)}
+          />
+        );
+      case 'bucket':
+        // With folders around, dropping a chat on a date heading takes it out of its folder
+        return (
+          <ListSubheader
+            component="div"
+            disableSticky
+            {...(view === 'chats' && folders.length > 0 && {
+              onDragOver: (e) => {
+                e.preventDefault();
+                setDragOverFolderId(null);
+              },
+              onDragLeave: () => setDragOverFolderId(undefined),
+              onDrop: (e) => {
+                e.preventDefault();
+                setDragOverFolderId(undefined);
+                handleMoveChat(e.dataTransfer.getData('text/plain'), null);
+              }
+            })}
+            sx={{
+              lineHeight: `${ROW_HEIGHTS.header}px`,
+              backgroundColor: dragOverFolderId === null ? 'action.hover' : 'transparent',
+              borderRadius: '4px'
+            }}
+          >
+            {row.label}
+          </ListSubheader>
+        );
+      case 'loading':
+        return (
+          <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
+            <CircularProgress size={20} />
+          </Box>
+        );
+      default:
+        return (
+          <ListSubheader
+            component="div"
+            disableSticky
+            sx={{ lineHeight: `${ROW_HEIGHTS.header}px`, backgroundColor: 'transparent' }}
+          >
+            {row.label}
+          </ListSubheader>
+        );
+    }
+  };
 
   // Render error message if there's an error
   if (error) {
@@ -230,29 +1036,472 @@ const ChatHistory = ({ refreshTrigger, onSelectChat, selectedChatId, activeChatI
         justifyContent: 'space-between'
       }}>
         Chat History
-        {loading && chats.length > 0 && (
-          <CircularProgress size={16} sx={{ ml: 1 }} />
-        )}
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          {loading && chats.length > 0 && (
+            <CircularProgress size={16} sx={{ ml: 1 }} />
+          )}
+          <Tooltip title="Import chats">
+            <span>
+              <IconButton
+                size="small"
+                aria-label="import chats"
+                disabled={importing}
+                onClick={() => importInputRef.current?.click()}
+              >
+                {importing ? <CircularProgress size={16} /> : <FileUploadIcon fontSize="small" />}
+              </IconButton>
+            </span>
+          </Tooltip>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            hidden
+            onChange={handleImportFile}
+          />
+          {view === 'chats' && (
+            <Tooltip title="New folder">
+              <IconButton size="small" aria-label="new folder" onClick={handleCreateFolder}>
+                <CreateNewFolderIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          <Tooltip title={selecting ? 'Done selecting' : 'Select chats'}>
+            <IconButton
+              size="small"
+              aria-label={selecting ? 'done selecting' : 'select chats'}
+              onClick={selecting ? stopSelecting : () => setSelecting(true)}
+            >
+              {selecting ? <CloseIcon fontSize="small" /> : <ChecklistIcon fontSize="small" />}
+            </IconButton>
+          </Tooltip>
+        </Box>
       </Typography>
-      
-      <List sx={{ 
-        overflowY: 'auto',
-        flexGrow: 1,
-        px: 1
-      }}>
-        {chats.map(chat => (
-          <ChatItem key={chat._id} chat={chat} />
-        ))}
-        
-        {chats.length === 0 && !loading && (
-          <ListItem sx={{ justifyContent: 'center', opacity: 0.7 }}>
-            <ListItemText
-              primary="No chat history"
-              secondary="Start a new chat to begin"
-            />
-          </ListItem>
+
+      <Box sx={{ px: 2, pt: 2 }}>
+        <ToggleButtonGroup
+          value={view}
+          exclusive
+          fullWidth
+          size="small"
+          onChange={(e, nextView) => nextView && handleChangeView(nextView)}
+          aria-label="chats shown"
+        >
+          <ToggleButton value="chats">Chats</ToggleButton>
+          <ToggleButton value="archived">Archived</ToggleButton>
+          <ToggleButton value="trash">Trash</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+
+      {view === 'chats' && (
+        <Box sx={{ px: 2, pt: 2 }}>
+          <TextField
+            fullWidth
+            size="small"
+            placeholder="Search all conversations"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            inputProps={{ 'aria-label': 'search conversations' }}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <SearchIcon fontSize="small" />
+                </InputAdornment>
+              ),
+              endAdornment: searchQuery && (
+                <InputAdornment position="end">
+                  {searching ? (
+                    <CircularProgress size={16} />
+                  ) : (
+                    <IconButton size="small" aria-label="clear search" onClick={() => setSearchQuery('')}>
+                      <ClearIcon fontSize="small" />
+                    </IconButton>
+                  )}
+                </InputAdornment>
+              )
+            }}
+          />
+        </Box>
+      )}
+
+      {isSearching ? (
+        <List sx={{ 
+          overflowY: 'auto',
+          flexGrow: 1,
+          px: 1
+        }}>
+          {searchResults.map(result => (
+            <ListItem
+              key={`${result.chatId}-${result.messageId}`}
+              onClick={() => selectChat(result.chatId, result.messageId)}
+              sx={{
+                flexDirection: 'column',
+                alignItems: 'flex-start',
+                py: 1,
+                cursor: 'pointer',
+                '&:hover': {
+                  backgroundColor: 'action.hover'
+                },
+                borderRadius: '4px',
+                my: 0.5
+              }}
+            >
+              <ListItemText
+                primary={result.chatTitle || chats.find(chat => chat._id === result.chatId)?.title || 'Untitled Chat'}
+                secondary={
+                  <>
+                    <Typography variant="body2" component="span" sx={{ display: 'block', color: 'text.primary' }}>
+                      <HighlightedText text={result.snippet} terms={searchTerms} />
+                    </Typography>
+                    <Typography variant="caption" component="span" sx={{ color: 'text.secondary' }}>
+                      {result.role === 'user' ? 'You' : result.figure || 'Unknown'}
+                      {result.date && ` · ${formatDate(result.date) || ''}`}
+                    </Typography>
+                  </>
+                }
+              />
+            </ListItem>
+          ))}
+
+          {searchResults.length === 0 && !searching && (
+            <ListItem sx={{ justifyContent: 'center', opacity: 0.7 }}>
+              <ListItemText
+                primary="No matching messages"
+                secondary="Try different words"
+              />
+            </ListItem>
+          )}
+        </List>
+      ) : (
+        <>
+          {/* Filter by tag or by figure */}
+          {view === 'chats' && (tagNames.length > 0 || figureNames.length > 1) && (
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, px: 2, pt: 1 }}>
+              {tagNames.map(name => (
+                <Chip
+                  key={`tag-${name}`}
+                  icon={<LocalOfferIcon />}
+                  label={name}
+                  size="small"
+                  clickable
+                  onClick={() => setTagFilter(tagFilter === name ? null : name)}
+                  variant={tagFilter === name ? 'filled' : 'outlined'}
+                  sx={tagFilter === name
+                    ? { backgroundColor: getTagColor(tags, name), color: 'common.white', '& .MuiChip-icon': { color: 'common.white' } }
+                    : { borderColor: getTagColor(tags, name) }}
+                />
+              ))}
+              {figureNames.length > 1 && figureNames.map(name => (
+                <Chip
+                  key={`figure-${name}`}
+                  label={name}
+                  size="small"
+                  clickable
+                  color={figureFilter === name ? 'primary' : 'default'}
+                  variant={figureFilter === name ? 'filled' : 'outlined'}
+                  onClick={() => setFigureFilter(figureFilter === name ? null : name)}
+                />
+              ))}
+            </Box>
+          )}
+
+          {/* How long the trash keeps chats, and emptying it */}
+          {view === 'trash' && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, px: 2, pt: 2 }}>
+              <TextField
+                select
+                size="small"
+                label="Keep deleted chats for"
+                value={retentionDays}
+                onChange={(e) => handleChangeRetention(e.target.value)}
+                sx={{ flexGrow: 1 }}
+              >
+                {[...new Set([...TRASH_RETENTION_OPTIONS, retentionDays])].sort((a, b) => a - b).map(days => (
+                  <MenuItem key={days} value={days}>{days} days</MenuItem>
+                ))}
+              </TextField>
+              <Button size="small" color="error" onClick={handleEmptyTrash} disabled={chats.length === 0}>
+                Empty
+              </Button>
+            </Box>
+          )}
+
+          {/* Actions for the checked chats */}
+          {selecting && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, px: 1, pt: 1 }}>
+              <Checkbox
+                size="small"
+                checked={allChecked}
+                indeterminate={checkedIds.size > 0 && !allChecked}
+                disabled={listedChatIds.length === 0}
+                onChange={() => setCheckedIds(allChecked ? new Set() : new Set(listedChatIds))}
+                inputProps={{ 'aria-label': 'select all chats' }}
+              />
+              <Typography variant="body2" sx={{ flexGrow: 1 }}>
+                {checkedIds.size} selected
+              </Typography>
+              {view === 'trash' ? (
+                <>
+                  <Tooltip title="Restore">
+                    <span>
+                      <IconButton size="small" aria-label="restore selected" disabled={checkedIds.size === 0} onClick={fromSelection(handleRestoreChats)}>
+                        <RestoreFromTrashIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title="Delete forever">
+                    <span>
+                      <IconButton size="small" color="error" aria-label="delete selected forever" disabled={checkedIds.size === 0} onClick={fromSelection(handleDeleteForever)}>
+                        <DeleteForeverIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                </>
+              ) : (
+                <>
+                  <Tooltip title="Export">
+                    <span>
+                      <IconButton
+                        size="small"
+                        aria-label="export selected"
+                        disabled={checkedIds.size === 0}
+                        onClick={(e) => setExportTarget({ anchorEl: e.currentTarget, chatIds: [...checkedIds] })}
+                      >
+                        <FileDownloadIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title={view === 'archived' ? 'Unarchive' : 'Archive'}>
+                    <span>
+                      <IconButton
+                        size="small"
+                        aria-label={view === 'archived' ? 'unarchive selected' : 'archive selected'}
+                        disabled={checkedIds.size === 0}
+                        onClick={fromSelection(chatIds => handleArchiveChats(chatIds, view !== 'archived'))}
+                      >
+                        {view === 'archived' ? <UnarchiveIcon fontSize="small" /> : <ArchiveIcon fontSize="small" />}
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title="Delete">
+                    <span>
+                      <IconButton size="small" aria-label="delete selected" disabled={checkedIds.size === 0} onClick={fromSelection(handleTrashChats)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                </>
+              )}
+            </Box>
+          )}
+
+          <Box ref={listContainerRef} sx={{ flexGrow: 1, minHeight: 0, px: 1 }}>
+            {loading && chats.length === 0 && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', pt: 4 }}>
+                <CircularProgress />
+              </Box>
+            )}
+
+            {rows.length > 0 && listHeight > 0 && (
+              <VariableSizeList
+                ref={listRef}
+                height={listHeight}
+                width="100%"
+                itemCount={rows.length}
+                itemSize={(index) => getRowHeight(rows[index])}
+                itemKey={(index, data) => data.rows[index].key}
+                itemData={{ rows, renderRow }}
+                overscanCount={5}
+                onItemsRendered={({ visibleStopIndex }) => {
+                  if (visibleStopIndex >= rows.length - LOAD_MORE_THRESHOLD) {
+                    loadMore();
+                  }
+                }}
+              >
+                {HistoryRow}
+              </VariableSizeList>
+            )}
+          
+            {chats.length === 0 && !loading && (
+              <ListItem component="div" sx={{ justifyContent: 'center', opacity: 0.7 }}>
+                {view === 'trash' ? (
+                  <ListItemText
+                    primary="Trash is empty"
+                    secondary={`Deleted chats are kept for ${retentionDays} days`}
+                  />
+                ) : view === 'archived' ? (
+                  <ListItemText
+                    primary="No archived chats"
+                    secondary="Archive chats to tidy up your history"
+                  />
+                ) : (
+                  <ListItemText
+                    primary="No chat history"
+                    secondary="Start a new chat to begin"
+                  />
+                )}
+              </ListItem>
+            )}
+
+            {chats.length > 0 && rows.length === 0 && (
+              <ListItem component="div" sx={{ flexDirection: 'column', opacity: 0.7 }}>
+                <ListItemText
+                  primary="No chats match these filters"
+                  secondary="Clear a filter to see more"
+                  sx={{ textAlign: 'center' }}
+                />
+                {/* Older pages may still hold matches */}
+                {nextCursor && (
+                  <Button size="small" onClick={loadMore} disabled={loadingMore}>
+                    Load older chats
+                  </Button>
+                )}
+              </ListItem>
+            )}
+          </Box>
+        </>
+      )}
+
+      {/* Options for a single chat in the trash */}
+      <Menu
+        anchorEl={chatMenu?.anchorEl}
+        open={Boolean(chatMenu) && view === 'trash'}
+        onClose={() => setChatMenu(null)}
+      >
+        <MenuItem onClick={fromChatMenu(chat => handleRestoreChats([chat._id]))}>
+          <ListItemIcon><RestoreFromTrashIcon fontSize="small" /></ListItemIcon>
+          Restore
+        </MenuItem>
+        <MenuItem onClick={fromChatMenu(chat => handleDeleteForever([chat._id]))} sx={{ color: 'error.main' }}>
+          <ListItemIcon><DeleteForeverIcon fontSize="small" color="error" /></ListItemIcon>
+          Delete forever
+        </MenuItem>
+      </Menu>
+
+      {/* Options for a single chat */}
+      <Menu
+        anchorEl={chatMenu?.anchorEl}
+        open={Boolean(chatMenu) && view !== 'trash'}
+        onClose={() => setChatMenu(null)}
+      >
+        <MenuItem onClick={fromChatMenu(chat => setEditingChatId(chat._id))}>
+          <ListItemIcon><EditIcon fontSize="small" /></ListItemIcon>
+          Rename
+        </MenuItem>
+        {view === 'chats' && (
+          <MenuItem onClick={fromChatMenu(handleTogglePin)}>
+            <ListItemIcon><PushPinIcon fontSize="small" /></ListItemIcon>
+            {chatMenu?.chat.pinned ? 'Unpin' : 'Pin to top'}
+          </MenuItem>
         )}
-      </List>
+        <MenuItem onClick={fromChatMenu(setTaggingChat)}>
+          <ListItemIcon><LocalOfferIcon fontSize="small" /></ListItemIcon>
+          Tags…
+        </MenuItem>
+        {view === 'chats' && folders.length > 0 && <Divider />}
+        {view === 'chats' && folders.length > 0 && [{ _id: null, name: 'No folder' }, ...folders].map(folder => (
+          <MenuItem
+            key={`move-${folder._id}`}
+            disabled={(chatMenu?.chat.folderId || null) === folder._id}
+            onClick={fromChatMenu(chat => handleMoveChat(chat._id, folder._id))}
+          >
+            <ListItemIcon><DriveFileMoveIcon fontSize="small" /></ListItemIcon>
+            Move to {folder.name}
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem
+          onClick={() => {
+            setExportTarget({ anchorEl: chatMenu.anchorEl, chatIds: [chatMenu.chat._id] });
+            setChatMenu(null);
+          }}
+        >
+          <ListItemIcon><FileDownloadIcon fontSize="small" /></ListItemIcon>
+          Export…
+        </MenuItem>
+        <MenuItem onClick={fromChatMenu(chat => handleArchiveChats([chat._id], view !== 'archived'))}>
+          <ListItemIcon>
+            {view === 'archived' ? <UnarchiveIcon fontSize="small" /> : <ArchiveIcon fontSize="small" />}
+          </ListItemIcon>
+          {view === 'archived' ? 'Unarchive' : 'Archive'}
+        </MenuItem>
+        <MenuItem onClick={fromChatMenu(chat => handleTrashChats([chat._id]))} sx={{ color: 'error.main' }}>
+          <ListItemIcon><DeleteIcon fontSize="small" color="error" /></ListItemIcon>
+          Delete
+        </MenuItem>
+      </Menu>
+
+      {/* Options for a folder */}
+      <Menu
+        anchorEl={folderMenu?.anchorEl}
+        open={Boolean(folderMenu)}
+        onClose={() => setFolderMenu(null)}
+      >
+        <MenuItem
+          onClick={() => {
+            setEditingFolderId(folderMenu.folder._id);
+            setFolderMenu(null);
+          }}
+        >
+          <ListItemIcon><EditIcon fontSize="small" /></ListItemIcon>
+          Rename
+        </MenuItem>
+        <MenuItem
+          onClick={() => {
+            handleDeleteFolder(folderMenu.folder._id);
+            setFolderMenu(null);
+          }}
+          sx={{ color: 'error.main' }}
+        >
+          <ListItemIcon><DeleteIcon fontSize="small" color="error" /></ListItemIcon>
+          Delete folder
+        </MenuItem>
+      </Menu>
+
+      <ChatTagsDialog
+        key={taggingChat?._id || 'closed'}
+        open={Boolean(taggingChat)}
+        value={taggingChat?.tags || []}
+        tags={tags}
+        onSave={(names) => handleSaveTags(taggingChat._id, names)}
+        onClose={() => setTaggingChat(null)}
+      />
+
+      {/* Confirmation for actions that can't be undone */}
+      <Dialog open={Boolean(confirmAction)} onClose={() => setConfirmAction(null)} maxWidth="xs">
+        <DialogTitle>{confirmAction?.title}</DialogTitle>
+        <DialogContent>
+          <DialogContentText>{confirmAction?.message}</DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmAction(null)}>Cancel</Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={() => {
+              confirmAction.onConfirm();
+              setConfirmAction(null);
+            }}
+          >
+            {confirmAction?.confirmLabel}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <ExportMenu
+        anchorEl={exportTarget?.anchorEl}
+        onExport={(exportFormat) => handleExport(exportTarget.chatIds, exportFormat)}
+        onClose={() => setExportTarget(null)}
+      />
+
+      <UndoSnackbar action={undoAction} onClose={handleUndoClose} />
+
+      <Snackbar
+        open={Boolean(notice)}
+        autoHideDuration={6000}
+        message={notice}
+        onClose={() => setNotice(null)}
+      />
     </Box>
   );
 };
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Dialog for choosing the tags of a chat.
+ * Existing tags can be picked from a list, and typing a new name creates a tag.
+ */
+
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Autocomplete,
+  TextField,
+  Chip
+} from '@mui/material';
+
+/**
+ * Colors handed out to new tags in turn.
+ * @constant {Array<string>}
+ */
+export const TAG_COLORS = [
+  '#1976d2',
+  '#9c27b0',
+  '#2e7d32',
+  '#ed6c02',
+  '#d32f2f',
+  '#0288d1',
+  '#6d4c41',
+  '#c2185b'
+];
+
+/**
+ * Tags offered before the user has created any of their own.
+ * @constant {Array<string>}
+ */
+const SUGGESTED_TAGS = ['work', 'grief', 'habits'];
+
+/**
+ * Returns the color of a tag, falling back to a stable color for unknown tags.
+ *
+ * @function getTagColor
+ * @param {Array<Object>} tags - Known tags with name and color
+ * @param {string} name - Name of the tag
+ * @returns {string} CSS color
+ */
+export const getTagColor = (tags, name) => {
+  const tag = tags.find(item => item.name === name);
+  if (tag && tag.color) return tag.color;
+
+  const hash = [...name].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return TAG_COLORS[hash % TAG_COLORS.length];
+};
+
+/**
+ * Component that renders a dialog for editing the tags of one chat.
+ * Give it a key per chat so it starts from that chat's tags.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Array<string>} props.value - Tags the chat currently has
+ * @param {Array<Object>} props.tags - All of the user's tags, with name and color
+ * @param {Function} props.onSave - Called with the chosen tag names
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ *
+ * @example
+ * <ChatTagsDialog
+ *   key={taggingChat?._id}
+ *   open={Boolean(taggingChat)}
+ *   value={taggingChat?.tags || []}
+ *   tags={tags}
+ *   onSave={(names) => handleSaveTags(taggingChat._id, names)}
+ *   onClose={() => setTaggingChat(null)}
+ * />
+ */
+export default function ChatTagsDialog({ open, value, tags, onSave, onClose }) {
+  const [selected, setSelected] = useState(value);
+
+  const options = [...new Set([
+    ...tags.map(tag => tag.name),
+    ...(tags.length === 0 ? SUGGESTED_TAGS : [])
+  ])];
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>Tags</DialogTitle>
+      <DialogContent>
+        <Autocomplete
+          multiple
+          freeSolo
+          options={options}
+          value={selected}
+          onChange={(e, names) => setSelected([...new Set(names.map(name => name.trim().toLowerCase()).filter(Boolean))])}
+          renderTags={(names, getTagProps) => names.map((name, index) => {
+            const { key, ...tagProps } = getTagProps({ index });
+            return (
+              <Chip
+                key={key}
+                label={name}
+                size="small"
+                sx={{ backgroundColor: getTagColor(tags, name), color: 'common.white' }}
+                {...tagProps}
+              />
+            );
+          })}
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              autoFocus
+              margin="dense"
+              placeholder="Add a tag and press Enter"
+            />
+          )}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={() => onSave(selected)}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -1,6 +1,6 @@
 import React, { useMemo } from 'react';
 import { Box, Chip, Typography, useMediaQuery, Paper, Fade } from '@mui/material';
-import { useTheme } from '@mui/material/styles';
+import { useTheme, alpha, darken } from '@mui/material/styles';
 
 // Conversation starters for each wisdom figure
 const STARTERS = {
@@ -52,7 +52,7 @@ const STARTERS = {
 };
 
 // Color mapping for each wisdom figure
-const FIGURE_COLORS = {
+export const FIGURE_COLORS = {
   Buddha: {
     light: '#e3f2fd',
     medium: '#bbdefb',
@@ -100,13 +100,27 @@ const FIGURE_COLORS = {
   }
 };
 
-// Get colors for a figure with fallback to default
-const getColors = (figure) => {
-  return FIGURE_COLORS[figure] || {
-    light: '#f0f7ff',
-    medium: '#daeaff',
-    dark: '#90caf9'
-  };
+const DEFAULT_COLORS = {
+  light: '#f0f7ff',
+  medium: '#daeaff',
+  dark: '#90caf9'
+};
+
+// Get colors for a figure with fallback to default.
+// On a dark background the pastels become tints of the figure's color, and text
+// in the figure's color is darkened on a light one so it stays readable.
+export const getColors = (figure, mode = 'light') => {
+  const colors = FIGURE_COLORS[figure] || DEFAULT_COLORS;
+
+  if (mode === 'dark') {
+    return {
+      light: alpha(colors.dark, 0.12),
+      medium: alpha(colors.dark, 0.3),
+      dark: colors.dark,
+      text: colors.dark
+    };
+  }
+  return { ...colors, text: darken(colors.dark, 0.5) };
 };
 
 /**
@@ -124,7 +138,7 @@ const ConversationStarters = ({ selectedFigure, onSelectStarter, disabled }) =>
   
   // Memoize colors to prevent unnecessary re-renders
   const colors = useMemo(() => 
-    getColors(selectedFigure || 'Buddha'), [selectedFigure]);
+    getColors(selectedFigure || 'Buddha', theme.palette.mode), [selectedFigure, theme.palette.mode]);
 
   // Memoize starter items to prevent unnecessary re-renders
   const starterItems = useMemo(() => {
@@ -154,7 +168,7 @@ const ConversationStarters = ({ selectedFigure, onSelectStarter, disabled }) =>
         sx={{ 
           mb: 2,
           p: 2,
-          backgroundColor: 'rgba(255, 255, 255, 0.7)',
+          backgroundColor: alpha(theme.palette.background.paper, 0.7),
           borderRadius: 2,
           border: `1px solid ${colors.medium}`
         }}
@@ -213,11 +227,11 @@ const StarterChip = React.memo(({ starter, onSelect, disabled, colors, isMobile
         '&:hover': {
           backgroundColor: colors.medium,
           transform: 'translateY(-2px)',
-          boxShadow: '0 3px 8px rgba(0,0,0,0.08)'
+          boxShadow: 2
         },
         '&:active': {
           transform: 'translateY(0px)',
-          boxShadow: '0 1px 3px rgba(0,0,0,0.12)'
+          boxShadow: 1
         },
         cursor: disabled ? 'not-allowed' : 'pointer',
         opacity: disabled ? 0.7 : 1,
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Marker for the topic and rounds of a debate between two figures.
+ */
+
+import React from 'react';
+import { Box, Typography, Chip } from '@mui/material';
+
+/**
+ * Component that marks the topic and the start of each round in a debate transcript.
+ * It stands in for the prompts the figures were given, which aren't meant for the reader.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.debate - Debate info of a prompt: topic, round and turn
+ *
+ * @example
+ * <DebateMarker debate={message.debate} />
+ */
+export default function DebateMarker({ debate }) {
+  // Only the first prompt of a round gets a marker
+  if (debate.turn % 2 !== 0) return null;
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 1, my: 2 }}>
+      {debate.turn === 0 && (
+        <Typography variant="h6" sx={{ textAlign: 'center' }}>
+          Debate: {debate.topic}
+        </Typography>
+      )}
+      <Chip size="small" label={`Round ${debate.round}`} />
+    </Box>
+  );
+}
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Menu for choosing the format chats are exported in.
+ */
+
+import React from 'react';
+import { Menu, MenuItem, ListItemIcon } from '@mui/material';
+import DescriptionIcon from '@mui/icons-material/Description';
+import PrintIcon from '@mui/icons-material/Print';
+import DataObjectIcon from '@mui/icons-material/DataObject';
+import { EXPORT_FORMATS } from '../services/exportService';
+
+const FORMAT_ICONS = {
+  markdown: DescriptionIcon,
+  print: PrintIcon,
+  json: DataObjectIcon
+};
+
+/**
+ * Component that renders the export formats as a menu.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {HTMLElement|null} props.anchorEl - Element the menu opens from; the menu is closed without one
+ * @param {Function} props.onExport - Called with the chosen format
+ * @param {Function} props.onClose - Called when the menu is dismissed or a format is chosen
+ *
+ * @example
+ * <ExportMenu
+ *   anchorEl={exportAnchorEl}
+ *   onExport={(format) => exportChats([chatId], format)}
+ *   onClose={() => setExportAnchorEl(null)}
+ * />
+ */
+export default function ExportMenu({ anchorEl, onExport, onClose }) {
+  return (
+    <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={onClose}>
+      {EXPORT_FORMATS.map(({ value, label }) => {
+        const Icon = FORMAT_ICONS[value];
+        return (
+          <MenuItem
+            key={value}
+            onClick={() => {
+              onClose();
+              onExport(value);
+            }}
+          >
+            <ListItemIcon><Icon fontSize="small" /></ListItemIcon>
+            {label}
+          </MenuItem>
+        );
+      })}
+    </Menu>
+  );
+}
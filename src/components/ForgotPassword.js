@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Forgot password component for WisdomAI application.
+ * Asks for the account's email and sends it a link to reset the password.
+ */
+
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Paper,
+  Alert,
+  Link,
+} from '@mui/material';
+
+/**
+ * Base URL for API requests.
+ * Uses environment variable for production URL.
+ * @constant {string}
+ */
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
+
+/**
+ * ForgotPassword component that requests a password reset link.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} [props.initialEmail] - Email to start with, such as one typed on the login form
+ * @param {Function} props.onSwitchToLogin - Callback function to switch to login view
+ *
+ * @example
+ * <ForgotPassword onSwitchToLogin={() => setView('login')} />
+ */
+const ForgotPassword = ({ initialEmail = '', onSwitchToLogin }) => {
+  const [email, setEmail] = useState(initialEmail);
+  const [error, setError] = useState('');
+  const [sentTo, setSentTo] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  /**
+   * Handles form submission by asking the server to email a reset link.
+   *
+   * @async
+   * @function handleSubmit
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/forgot-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email }),
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || 'Could not send the reset link');
+      }
+
+      setSentTo(email);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        minHeight: '100vh',
+        bgcolor: 'background.default',
+      }}
+    >
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          width: '100%',
+          maxWidth: 400,
+          textAlign: 'center',
+        }}
+      >
+        <Typography variant="h5" component="h1" gutterBottom>
+          Reset your password
+        </Typography>
+
+        {sentTo ? (
+          <>
+            {/* The server doesn't say whether the address has an account, and neither do we */}
+            <Alert severity="success" sx={{ mb: 2, textAlign: 'left' }}>
+              If an account exists for {sentTo}, we've sent it a link to reset the password.
+              If it doesn't arrive in a few minutes, check your spam folder.
+            </Alert>
+            <Button variant="text" onClick={() => setSentTo(null)}>
+              Send it again
+            </Button>
+          </>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              Enter the email you signed up with and we'll send you a link to choose a new password.
+            </Typography>
+
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+
+            <form onSubmit={handleSubmit}>
+              <TextField
+                fullWidth
+                label="Email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                margin="normal"
+                required
+                autoFocus
+              />
+              <Button
+                type="submit"
+                variant="contained"
+                fullWidth
+                sx={{ mt: 3 }}
+                disabled={isLoading}
+              >
+                {isLoading ? 'Sending...' : 'Send reset link'}
+              </Button>
+            </form>
+          </>
+        )}
+
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="body2">
+            Remembered it?{' '}
+            <Link
+              component="button"
+              variant="body2"
+              onClick={onSwitchToLogin}
+              sx={{ textDecoration: 'none' }}
+            >
+              Back to login
+            </Link>
+          </Typography>
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default ForgotPassword;
@@ -13,7 +13,7 @@ import {
   Alert,
   Link,
 } from '@mui/material';
-import { setAuthToken, setUser } from '../utils/auth';
+import { setAuthToken, setRefreshToken, setUser } from '../utils/auth';
 
 /**
  * Base URL for API requests.
@@ -31,6 +31,8 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
  * @param {Object} props - Component props
  * @param {Function} props.onLoginSuccess - Callback function called after successful login
  * @param {Function} props.onSwitchToRegister - Callback function to switch to registration view
+ * @param {Function} props.onForgotPassword - Callback function called with the typed email to start a password reset
+ * @param {string} [props.notice] - Message shown above the form, such as why the user was signed out
  * 
  * @example
  * <Login 
@@ -38,7 +40,7 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
  *   onSwitchToRegister={() => setView('register')}
  * />
  */
-const Login = ({ onLoginSuccess, onSwitchToRegister }) => {
+const Login = ({ onLoginSuccess, onSwitchToRegister, onForgotPassword, notice }) => {
   // Form state
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -77,6 +79,7 @@ const Login = ({ onLoginSuccess, onSwitchToRegister }) => {
 
       // Store token and user data
       setAuthToken(data.token);
+      setRefreshToken(data.refreshToken);
       setUser(data.user);
 
       // Clear form
@@ -99,7 +102,7 @@ const Login = ({ onLoginSuccess, onSwitchToRegister }) => {
         justifyContent: 'center',
         alignItems: 'center',
         minHeight: '100vh',
-        bgcolor: '#fafafa',
+        bgcolor: 'background.default',
       }}
     >
       <Paper
@@ -115,6 +118,12 @@ const Login = ({ onLoginSuccess, onSwitchToRegister }) => {
           Login to WisdomAI
         </Typography>
 
+        {notice && !error && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            {notice}
+          </Alert>
+        )}
+
         {error && (
           <Alert severity="error" sx={{ mb: 2 }}>
             {error}
@@ -151,6 +160,17 @@ const Login = ({ onLoginSuccess, onSwitchToRegister }) => {
           </Button>
         </form>
 
+        <Box sx={{ mt: 2 }}>
+          <Link
+            component="button"
+            variant="body2"
+            onClick={() => onForgotPassword(email)}
+            sx={{ textDecoration: 'none' }}
+          >
+            Forgot password?
+          </Link>
+        </Box>
+
         <Box sx={{ mt: 2 }}>
           <Typography variant="body2">
             Don't have an account?{' '}
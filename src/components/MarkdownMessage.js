@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Component for rendering wisdom figure replies as Markdown.
+ * Supports GitHub-flavoured Markdown, syntax-highlighted code blocks and a
+ * strictly sanitized subset of inline HTML.
+ */
+
+import React, { useState } from 'react';
+import { flushSync } from 'react-dom';
+import { createRoot } from 'react-dom/client';
+import { Box, IconButton, Tooltip } from '@mui/material';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import CheckIcon from '@mui/icons-material/Check';
+import ReactMarkdown from 'react-markdown';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import remarkGfm from 'remark-gfm';
+import rehypeRaw from 'rehype-raw';
+import rehypeSanitize, { defaultSchema } from 'rehype-sanitize';
+
+/**
+ * Allowlist applied after raw HTML has been parsed.
+ * Only presentational Markdown elements survive; scripts, styles, frames,
+ * forms, event handler attributes and non-http(s) URLs are all removed.
+ * @constant {Object}
+ */
+const SANITIZE_SCHEMA = {
+  ...defaultSchema,
+  tagNames: [
+    'a', 'b', 'blockquote', 'br', 'code', 'del', 'em', 'h1', 'h2', 'h3', 'h4',
+    'h5', 'h6', 'hr', 'i', 'img', 'input', 'li', 'ol', 'p', 'pre', 's', 'strong',
+    'sub', 'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul'
+  ],
+  attributes: {
+    a: ['href', 'title'],
+    code: [['className', /^language-./]],
+    img: ['src', 'alt', 'title'],
+    input: [['type', 'checkbox'], ['disabled', true], 'checked'],
+    li: [['className', 'task-list-item']],
+    ol: ['start', ['className', 'contains-task-list']],
+    ul: [['className', 'contains-task-list']],
+    td: ['align'],
+    th: ['align']
+  },
+  protocols: {
+    href: ['http', 'https', 'mailto'],
+    src: ['http', 'https']
+  },
+  strip: ['script', 'style', 'iframe', 'object', 'embed', 'form', 'noscript']
+};
+
+/**
+ * Collects the text of a parsed HTML node and everything inside it.
+ * @param {Object} node - hast node
+ * @returns {string} Concatenated text content
+ */
+const getNodeText = (node) => (
+  node.type === 'text' ? node.value : (node.children || []).map(getNodeText).join('')
+);
+
+/**
+ * Markdown syntax and HTML handling shared by every place messages are rendered.
+ * @constant {Object}
+ */
+const MARKDOWN_PLUGINS = {
+  remarkPlugins: [remarkGfm],
+  rehypePlugins: [rehypeRaw, [rehypeSanitize, SANITIZE_SCHEMA]]
+};
+
+/**
+ * Renders a fenced code block with Prism highlighting and a copy button.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.language - Language taken from the fence info string
+ * @param {string} props.code - Raw source code of the block
+ */
+const CodeBlock = ({ language, code }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying code block:', err);
+    }
+  };
+
+  return (
+    <Box sx={{ position: 'relative', my: 1 }}>
+      <Tooltip title={copied ? 'Copied' : 'Copy code'}>
+        <IconButton
+          size="small"
+          aria-label="copy code"
+          onClick={handleCopy}
+          sx={{
+            position: 'absolute',
+            top: 4,
+            right: 4,
+            color: 'common.white',
+            opacity: 0.7,
+            '&:hover': { opacity: 1 }
+          }}
+        >
+          {copied ? <CheckIcon fontSize="small" /> : <ContentCopyIcon fontSize="small" />}
+        </IconButton>
+      </Tooltip>
+      <SyntaxHighlighter
+        language={language}
+        style={vscDarkPlus}
+        PreTag="pre"
+        customStyle={{ margin: 0, borderRadius: 8, fontSize: '0.85rem' }}
+      >
+        {code}
+      </SyntaxHighlighter>
+    </Box>
+  );
+};
+
+/**
+ * Element overrides passed to ReactMarkdown.
+ * @constant {Object}
+ */
+const MARKDOWN_COMPONENTS = {
+  // Code blocks are handled by pre, so code on its own is always inline
+  code({ node, className, children, ...props }) {
+    return (
+      <Box
+        component="code"
+        sx={{ px: 0.5, borderRadius: 1, backgroundColor: 'action.selected', fontSize: '0.9em' }}
+        {...props}
+      >
+        {children}
+      </Box>
+    );
+  },
+  // Any <pre> holding code is a block, whether or not it declares a language
+  pre({ node, children, ...props }) {
+    const codeNode = node?.children.find(child => child.tagName === 'code');
+    if (!codeNode) {
+      return <pre {...props}>{children}</pre>;
+    }
+
+    const classNames = [].concat(codeNode.properties?.className || []);
+    const languageClass = classNames.find(name => String(name).startsWith('language-'));
+    const code = getNodeText(codeNode).replace(/\n$/, '');
+
+    return <CodeBlock language={languageClass ? languageClass.slice('language-'.length) : 'text'} code={code} />;
+  },
+  a({ node, children, ...props }) {
+    return (
+      <a {...props} target="_blank" rel="noopener noreferrer nofollow">
+        {children}
+      </a>
+    );
+  }
+};
+
+/**
+ * Component that renders message content as sanitized Markdown.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.content - Markdown source to render
+ *
+ * @example
+ * <MarkdownMessage content={message.content} />
+ */
+const MarkdownMessage = ({ content }) => {
+  return (
+    <Box
+      sx={{
+        typography: 'body1',
+        wordBreak: 'break-word',
+        '& > :first-of-type': { mt: 0 },
+        '& > :last-child': { mb: 0 },
+        '& p': { my: 1 },
+        '& ul, & ol': { my: 1, pl: 3 },
+        '& blockquote': {
+          my: 1,
+          mx: 0,
+          pl: 2,
+          borderLeft: 4,
+          borderColor: 'divider',
+          color: 'text.secondary'
+        },
+        '& table': { borderCollapse: 'collapse', my: 1, display: 'block', overflowX: 'auto' },
+        '& th, & td': { border: 1, borderColor: 'divider', px: 1, py: 0.5 },
+        '& img': { maxWidth: '100%' }
+      }}
+    >
+      <ReactMarkdown {...MARKDOWN_PLUGINS} components={MARKDOWN_COMPONENTS}>
+        {content || ''}
+      </ReactMarkdown>
+    </Box>
+  );
+};
+
+/**
+ * Renders Markdown to an HTML string through the same sanitizing pipeline, for pages outside the app
+ * such as print views. Elements are left unstyled, as the page brings its own stylesheet.
+ *
+ * @function renderMarkdownToHtml
+ * @param {string} content - Markdown source to render
+ * @returns {string} Sanitized HTML
+ */
+export const renderMarkdownToHtml = (content) => {
+  const container = document.createElement('div');
+  const root = createRoot(container);
+  flushSync(() => {
+    root.render(<ReactMarkdown {...MARKDOWN_PLUGINS}>{content || ''}</ReactMarkdown>);
+  });
+  const html = container.innerHTML;
+  root.unmount();
+  return html;
+};
+
+export default React.memo(MarkdownMessage);
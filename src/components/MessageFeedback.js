@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Component for rating a wisdom figure's reply.
+ * Offers thumbs up/down and, for a thumbs down, an optional list of reasons.
+ */
+
+import React from 'react';
+import { Box, Chip, IconButton, Tooltip } from '@mui/material';
+import ThumbUpIcon from '@mui/icons-material/ThumbUp';
+import ThumbUpOutlinedIcon from '@mui/icons-material/ThumbUpOutlined';
+import ThumbDownIcon from '@mui/icons-material/ThumbDown';
+import ThumbDownOutlinedIcon from '@mui/icons-material/ThumbDownOutlined';
+
+/**
+ * Reasons a user can give for a thumbs down.
+ * @constant {Array<string>}
+ */
+export const FEEDBACK_REASONS = [
+  'too generic',
+  'out of character',
+  'inaccurate',
+  'too long'
+];
+
+/**
+ * Component that renders the rating controls of an assistant message.
+ * Clicking the selected thumb again removes the rating.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} [props.feedback] - Current rating: { rating: 'up' | 'down', reasons: Array<string> }
+ * @param {Function} props.onChange - Called with the new feedback, or null when the rating is removed
+ *
+ * @example
+ * <MessageFeedback
+ *   feedback={getVariantFeedback(message)}
+ *   onChange={(feedback) => handleRateMessage(message, feedback)}
+ * />
+ */
+export default function MessageFeedback({ feedback, onChange }) {
+  const rating = feedback?.rating || null;
+  const reasons = feedback?.reasons || [];
+
+  const handleRate = (value) => {
+    onChange(rating === value ? null : { rating: value, reasons: value === 'down' ? reasons : [] });
+  };
+
+  const toggleReason = (reason) => {
+    const nextReasons = reasons.includes(reason)
+      ? reasons.filter(item => item !== reason)
+      : [...reasons, reason];
+    onChange({ rating: 'down', reasons: nextReasons });
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 0.5 }}>
+      <Tooltip title="Good answer">
+        <IconButton
+          size="small"
+          aria-label="good answer"
+          aria-pressed={rating === 'up'}
+          onClick={() => handleRate('up')}
+        >
+          {rating === 'up' ? <ThumbUpIcon fontSize="small" /> : <ThumbUpOutlinedIcon fontSize="small" />}
+        </IconButton>
+      </Tooltip>
+      <Tooltip title="Bad answer">
+        <IconButton
+          size="small"
+          aria-label="bad answer"
+          aria-pressed={rating === 'down'}
+          onClick={() => handleRate('down')}
+        >
+          {rating === 'down' ? <ThumbDownIcon fontSize="small" /> : <ThumbDownOutlinedIcon fontSize="small" />}
+        </IconButton>
+      </Tooltip>
+      {rating === 'down' && FEEDBACK_REASONS.map(reason => (
+        <Chip
+          key={reason}
+          label={reason}
+          size="small"
+          clickable
+          color={reasons.includes(reason) ? 'primary' : 'default'}
+          variant={reasons.includes(reason) ? 'filled' : 'outlined'}
+          onClick={() => toggleReason(reason)}
+        />
+      ))}
+    </Box>
+  );
+}
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Bar showing how strong a new password is, with the rules that make it stronger.
+ */
+
+import React from 'react';
+import { Box, LinearProgress, Typography } from '@mui/material';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import RadioButtonUncheckedIcon from '@mui/icons-material/RadioButtonUnchecked';
+import { getPasswordStrength, MIN_ACCEPTED_SCORE, MIN_PASSWORD_LENGTH, STRENGTH_LABELS } from '../utils/passwordStrength';
+
+// Bar color for each score
+const SCORE_COLORS = ['error', 'error', 'warning', 'info', 'success'];
+
+/**
+ * Shows the strength of a password as it is typed, and which rules it meets.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.password - The password being typed
+ * @returns {JSX.Element|null} The meter, or nothing while the field is empty
+ */
+const PasswordStrengthMeter = ({ password }) => {
+  if (!password) return null;
+
+  const { score, label, rules } = getPasswordStrength(password);
+
+  return (
+    <Box sx={{ mt: 1, textAlign: 'left' }}>
+      <LinearProgress
+        variant="determinate"
+        value={(score / (STRENGTH_LABELS.length - 1)) * 100}
+        color={SCORE_COLORS[score]}
+        aria-label="Password strength"
+        sx={{ height: 6, borderRadius: 3 }}
+      />
+      <Typography variant="caption" color="text.secondary" aria-live="polite">
+        {password.length < MIN_PASSWORD_LENGTH
+          ? `${label}: use at least ${MIN_PASSWORD_LENGTH} characters`
+          : `${label}. Use at least ${MIN_ACCEPTED_SCORE} of these:`}
+      </Typography>
+      <Box component="ul" sx={{ listStyle: 'none', p: 0, m: 0 }}>
+        {rules.map(rule => (
+          <Box
+            component="li"
+            key={rule.hint}
+            sx={{ display: 'flex', alignItems: 'center', gap: 0.5, color: rule.passed ? 'success.main' : 'text.secondary' }}
+          >
+            {rule.passed
+              ? <CheckCircleIcon sx={{ fontSize: 14 }} />
+              : <RadioButtonUncheckedIcon sx={{ fontSize: 14 }} />}
+            <Typography variant="caption">{rule.hint}</Typography>
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default PasswordStrengthMeter;
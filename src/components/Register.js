@@ -3,7 +3,7 @@
  * Handles new user account creation with username, email, and password.
  */
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   Box,
   Button,
@@ -12,8 +12,13 @@ import {
   Paper,
   Alert,
   Link,
+  CircularProgress,
+  InputAdornment,
 } from '@mui/material';
-import { setAuthToken, setUser } from '../utils/auth';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import PasswordStrengthMeter from './PasswordStrengthMeter';
+import { setAuthToken, setRefreshToken, setUser } from '../utils/auth';
+import { getPasswordStrength } from '../utils/passwordStrength';
 
 /**
  * Base URL for API requests.
@@ -22,6 +27,82 @@ import { setAuthToken, setUser } from '../utils/auth';
  */
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
 
+// How long to wait after the user stops typing before checking a username or email
+const AVAILABILITY_DEBOUNCE_MS = 500;
+
+// Values too short or malformed to be worth asking the server about
+const AVAILABILITY_CHECKS = {
+  username: value => value.trim().length >= 3,
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim())
+};
+
+/**
+ * Asks the server whether a username or email is free, once the user stops typing.
+ * Newer values supersede older ones.
+ *
+ * @param {string} field - 'username' or 'email'
+ * @param {string} value - The typed value
+ * @returns {string|null} 'checking', 'available' or 'taken', or null when there is nothing to show
+ */
+const useAvailability = (field, value) => {
+  const [availability, setAvailability] = useState(null);
+
+  useEffect(() => {
+    if (!AVAILABILITY_CHECKS[field](value)) {
+      setAvailability(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    setAvailability('checking');
+
+    const timeout = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ [field]: value.trim() });
+        const response = await fetch(`${API_BASE_URL}/api/auth/availability?${params}`, {
+          signal: controller.signal,
+        });
+        if (!response.ok) {
+          throw new Error(`Availability check failed with ${response.status}`);
+        }
+        const data = await response.json();
+        setAvailability(data.available ? 'available' : 'taken');
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        // Registration checks again anyway, so a failed check just shows nothing
+        console.error(`Error checking ${field} availability:`, err);
+        setAvailability(null);
+      }
+    }, AVAILABILITY_DEBOUNCE_MS);
+
+    return () => {
+      controller.abort();
+      clearTimeout(timeout);
+    };
+  }, [field, value]);
+
+  return availability;
+};
+
+// Helper text and end icon for a field being checked for availability
+const availabilityProps = (availability, takenText) => {
+  if (availability === 'taken') {
+    return { error: true, helperText: takenText };
+  }
+  if (availability === 'checking') {
+    return {
+      helperText: 'Checking...',
+      InputProps: { endAdornment: <InputAdornment position="end"><CircularProgress size={16} /></InputAdornment> }
+    };
+  }
+  if (availability === 'available') {
+    return {
+      InputProps: { endAdornment: <InputAdornment position="end"><CheckCircleIcon color="success" fontSize="small" /></InputAdornment> }
+    };
+  }
+  return {};
+};
+
 /**
  * Register component that handles new user account creation.
  * Provides a form for username, email, and password input with validation,
@@ -46,6 +127,9 @@ const Register = ({ onRegisterSuccess, onSwitchToLogin }) => {
   const [confirmPassword, setConfirmPassword] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const usernameAvailability = useAvailability('username', username);
+  const emailAvailability = useAvailability('email', email);
+  const passwordStrength = getPasswordStrength(password);
 
   /**
    * Handles form submission for user registration.
@@ -68,8 +152,13 @@ const Register = ({ onRegisterSuccess, onSwitchToLogin }) => {
       return;
     }
 
-    if (password.length < 6) {
-      setError('Password must be at least 6 characters long');
+    if (!passwordStrength.acceptable) {
+      setError('Please choose a stronger password');
+      return;
+    }
+
+    if (usernameAvailability === 'taken' || emailAvailability === 'taken') {
+      setError('Please use a username and email that are not already registered');
       return;
     }
 
@@ -92,6 +181,7 @@ const Register = ({ onRegisterSuccess, onSwitchToLogin }) => {
 
       // Store token and user data
       setAuthToken(data.token);
+      setRefreshToken(data.refreshToken);
       setUser(data.user);
 
       // Clear form
@@ -116,7 +206,7 @@ const Register = ({ onRegisterSuccess, onSwitchToLogin }) => {
         justifyContent: 'center',
         alignItems: 'center',
         minHeight: '100vh',
-        bgcolor: '#fafafa',
+        bgcolor: 'background.default',
       }}
     >
       <Paper
@@ -146,6 +236,7 @@ const Register = ({ onRegisterSuccess, onSwitchToLogin }) => {
             onChange={(e) => setUsername(e.target.value)}
             margin="normal"
             required
+            {...availabilityProps(usernameAvailability, 'This username is taken')}
           />
           <TextField
             fullWidth
@@ -155,6 +246,7 @@ const Register = ({ onRegisterSuccess, onSwitchToLogin }) => {
             onChange={(e) => setEmail(e.target.value)}
             margin="normal"
             required
+            {...availabilityProps(emailAvailability, 'An account already uses this email. Try logging in instead.')}
           />
           <TextField
             fullWidth
@@ -164,7 +256,9 @@ const Register = ({ onRegisterSuccess, onSwitchToLogin }) => {
             onChange={(e) => setPassword(e.target.value)}
             margin="normal"
             required
+            autoComplete="new-password"
           />
+          <PasswordStrengthMeter password={password} />
           <TextField
             fullWidth
             label="Confirm Password"
@@ -173,13 +267,14 @@ const Register = ({ onRegisterSuccess, onSwitchToLogin }) => {
             onChange={(e) => setConfirmPassword(e.target.value)}
             margin="normal"
             required
+            autoComplete="new-password"
           />
           <Button
             type="submit"
             variant="contained"
             fullWidth
             sx={{ mt: 3 }}
-            disabled={isLoading}
+            disabled={isLoading || usernameAvailability === 'taken' || emailAvailability === 'taken'}
           >
             {isLoading ? 'Creating Account...' : 'Create Account'}
           </Button>
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Reset password component for WisdomAI application.
+ * Sets a new password from the link in a reset email, then signs the user in.
+ */
+
+import React, { useState } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Paper,
+  Alert,
+  Link,
+} from '@mui/material';
+import PasswordStrengthMeter from './PasswordStrengthMeter';
+import { setAuthToken, setRefreshToken, setUser } from '../utils/auth';
+import { getPasswordStrength } from '../utils/passwordStrength';
+
+/**
+ * Base URL for API requests.
+ * Uses environment variable for production URL.
+ * @constant {string}
+ */
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
+
+/**
+ * ResetPassword component shown at /reset-password/:token.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} props.onResetSuccess - Callback function called once the user is signed in with the new password
+ * @param {Function} props.onRequestNewLink - Callback function to ask for another link when this one no longer works
+ *
+ * @example
+ * <ResetPassword
+ *   onResetSuccess={() => navigate('/')}
+ *   onRequestNewLink={() => navigate('/forgot-password')}
+ * />
+ */
+const ResetPassword = ({ onResetSuccess, onRequestNewLink }) => {
+  const { token } = useParams();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [linkExpired, setLinkExpired] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const mismatch = confirmPassword.length > 0 && password !== confirmPassword;
+
+  /**
+   * Handles form submission by saving the new password and signing in with it.
+   *
+   * @async
+   * @function handleSubmit
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (!getPasswordStrength(password).acceptable) {
+      setError('Please choose a stronger password');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/reset-password/${encodeURIComponent(token)}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ password }),
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        // Used or expired links can't be retried; the user needs a new one
+        if (response.status === 404 || response.status === 410) {
+          setLinkExpired(true);
+        }
+        throw new Error(data.message || 'Could not reset the password');
+      }
+
+      // Sign in with the new password
+      setAuthToken(data.token);
+      setRefreshToken(data.refreshToken);
+      setUser(data.user);
+
+      setPassword('');
+      setConfirmPassword('');
+
+      onResetSuccess();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        minHeight: '100vh',
+        bgcolor: 'background.default',
+      }}
+    >
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          width: '100%',
+          maxWidth: 400,
+          textAlign: 'center',
+        }}
+      >
+        <Typography variant="h5" component="h1" gutterBottom>
+          Choose a new password
+        </Typography>
+
+        {linkExpired ? (
+          <>
+            <Alert severity="error" sx={{ mb: 2, textAlign: 'left' }}>
+              {error || 'This reset link has expired or has already been used.'}
+            </Alert>
+            <Button variant="contained" fullWidth onClick={onRequestNewLink}>
+              Send me a new link
+            </Button>
+          </>
+        ) : (
+          <>
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+
+            <form onSubmit={handleSubmit}>
+              <TextField
+                fullWidth
+                label="New Password"
+                type="password"
+                autoComplete="new-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                margin="normal"
+                required
+                autoFocus
+              />
+              <PasswordStrengthMeter password={password} />
+              <TextField
+                fullWidth
+                label="Confirm New Password"
+                type="password"
+                autoComplete="new-password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                margin="normal"
+                required
+                error={mismatch}
+                helperText={mismatch ? 'Passwords do not match' : ' '}
+              />
+              <Button
+                type="submit"
+                variant="contained"
+                fullWidth
+                sx={{ mt: 2 }}
+                disabled={isLoading || !getPasswordStrength(password).acceptable || password !== confirmPassword}
+              >
+                {isLoading ? 'Saving...' : 'Save and sign in'}
+              </Button>
+            </form>
+
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="body2">
+                Link not working?{' '}
+                <Link
+                  component="button"
+                  variant="body2"
+                  onClick={onRequestNewLink}
+                  sx={{ textDecoration: 'none' }}
+                >
+                  Request a new one
+                </Link>
+              </Typography>
+            </Box>
+          </>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default ResetPassword;
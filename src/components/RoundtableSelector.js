@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Component for choosing the wisdom figures of a roundtable or debate.
+ * Provides a multi-select dropdown limited to a few figures at a time.
+ */
+
+import React from 'react';
+import { FormControl, InputLabel, Select, MenuItem, Chip, Box, FormHelperText } from '@mui/material';
+import { WISDOM_FIGURES } from './WisdomSelector';
+import { getColors } from './ConversationStarters';
+
+/**
+ * Fewest figures a roundtable needs.
+ * @constant {number}
+ */
+export const MIN_ROUNDTABLE_FIGURES = 2;
+
+/**
+ * Most figures that can answer at once.
+ * @constant {number}
+ */
+export const MAX_ROUNDTABLE_FIGURES = 3;
+
+/**
+ * Component that renders a multi-select for the figures taking part in a roundtable.
+ * Each selected figure is shown as a chip in its own colors.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.figures - Currently selected wisdom figures
+ * @param {Function} props.setFigures - Function to update the selected wisdom figures
+ * @param {number} [props.min=MIN_ROUNDTABLE_FIGURES] - Fewest figures that must be selected
+ * @param {number} [props.max=MAX_ROUNDTABLE_FIGURES] - Most figures that can be selected
+ * @param {string} [props.label] - Label of the dropdown
+ * @param {boolean} [props.disabled=false] - Whether the selector should be disabled
+ *
+ * @example
+ * <RoundtableSelector
+ *   figures={['Buddha', 'Epictetus']}
+ *   setFigures={(figures) => setRoundtableFigures(figures)}
+ *   disabled={isTyping}
+ * />
+ */
+export default function RoundtableSelector({
+  figures,
+  setFigures,
+  min = MIN_ROUNDTABLE_FIGURES,
+  max = MAX_ROUNDTABLE_FIGURES,
+  label = 'Who Should Join The Roundtable?',
+  disabled = false
+}) {
+  const handleChange = (e) => {
+    const selected = typeof e.target.value === 'string' ? e.target.value.split(',') : e.target.value;
+    setFigures(selected.slice(0, max));
+  };
+
+  return (
+    <FormControl fullWidth sx={{ mb: 2 }} disabled={disabled} error={figures.length < min}>
+      <InputLabel>{label}</InputLabel>
+      <Select
+        multiple
+        value={figures}
+        label={label}
+        onChange={handleChange}
+        renderValue={(selected) => (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+            {selected.map((name) => (
+              <Chip
+                key={name}
+                label={name}
+                size="small"
+                sx={{ backgroundColor: (theme) => getColors(name, theme.palette.mode).medium }}
+              />
+            ))}
+          </Box>
+        )}
+      >
+        {WISDOM_FIGURES.map((name) => (
+          <MenuItem
+            key={name}
+            value={name}
+            disabled={!figures.includes(name) && figures.length >= max}
+          >
+            {name}
+          </MenuItem>
+        ))}
+      </Select>
+      <FormHelperText>
+        {min === max
+          ? `Pick ${min} figures`
+          : `Pick ${min} to ${max} figures to answer the same question`}
+      </FormHelperText>
+    </FormControl>
+  );
+}
@@ -0,0 +1,402 @@
+/**
+ * @fileoverview Settings page for the signed-in user: their profile and password,
+ * the figure new chats start with, appearance, their data, and deleting the account.
+ */
+
+import React, { useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  TextField,
+  Alert,
+  ToggleButton,
+  ToggleButtonGroup,
+  FormControlLabel,
+  Switch,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import DownloadIcon from '@mui/icons-material/Download';
+import WisdomSelector from './WisdomSelector';
+import PasswordStrengthMeter from './PasswordStrengthMeter';
+import { getUser, setUser, setAuthToken, setRefreshToken } from '../utils/auth';
+import { THEME_MODES } from '../utils/theme';
+import { getPasswordStrength } from '../utils/passwordStrength';
+import { updateProfile, changePassword, deleteAccount } from '../services/userService';
+import { exportAccountData } from '../services/exportService';
+import { useAppSelector, useAppActions, getDefaultFigure } from '../store/appStore';
+
+const MODE_LABELS = {
+  light: 'Light',
+  dark: 'Dark',
+  system: 'System'
+};
+
+// Title and contents of one settings card
+const Section = ({ title, children, ...props }) => (
+  <Paper sx={{ p: 3, mt: 2 }} {...props}>
+    <Typography variant="subtitle1" component="h3" gutterBottom>
+      {title}
+    </Typography>
+    {children}
+  </Paper>
+);
+
+// Username and email. A new email has to be verified again.
+// focusEmail puts the cursor in the email field, for users sent here to correct it.
+const ProfileSection = ({ onProfileUpdated, focusEmail = false }) => {
+  const [user, setLocalUser] = useState(getUser);
+  const [username, setUsername] = useState(user?.username || '');
+  const [email, setEmail] = useState(user?.email || '');
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const changes = {
+    ...(username.trim() !== (user?.username || '') && { username: username.trim() }),
+    ...(email.trim() !== (user?.email || '') && { email: email.trim() })
+  };
+  const hasChanges = Object.keys(changes).length > 0;
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage(null);
+    try {
+      const updated = { ...user, ...(await updateProfile(changes)) };
+      setUser(updated);
+      setLocalUser(updated);
+      onProfileUpdated();
+      setMessage({
+        severity: 'success',
+        text: changes.email
+          ? `Saved. We've sent a link to ${updated.email} to verify it.`
+          : 'Saved.'
+      });
+    } catch (err) {
+      setMessage({ severity: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Section title="Profile">
+      {message && <Alert severity={message.severity} sx={{ mb: 1 }}>{message.text}</Alert>}
+      <form onSubmit={handleSave}>
+        <TextField
+          fullWidth
+          size="small"
+          label="Username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          margin="dense"
+          required
+        />
+        <TextField
+          fullWidth
+          size="small"
+          label="Email"
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          margin="dense"
+          required
+          autoFocus={focusEmail}
+          helperText={changes.email ? "You'll need to verify the new address before chatting again." : ' '}
+        />
+        <Button type="submit" variant="contained" disabled={!hasChanges || saving}>
+          {saving ? 'Saving...' : 'Save profile'}
+        </Button>
+      </form>
+    </Section>
+  );
+};
+
+const PasswordSection = () => {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const mismatch = confirmPassword.length > 0 && newPassword !== confirmPassword;
+  const canSave = currentPassword && getPasswordStrength(newPassword).acceptable && newPassword === confirmPassword;
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage(null);
+    try {
+      const data = await changePassword(currentPassword, newPassword);
+      // Servers that sign other sessions out hand this one new tokens
+      if (data?.token) {
+        setAuthToken(data.token);
+        setRefreshToken(data.refreshToken);
+      }
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      setMessage({ severity: 'success', text: 'Your password has been changed.' });
+    } catch (err) {
+      setMessage({ severity: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Section title="Password">
+      {message && <Alert severity={message.severity} sx={{ mb: 1 }}>{message.text}</Alert>}
+      <form onSubmit={handleSave}>
+        <TextField
+          fullWidth
+          size="small"
+          label="Current password"
+          type="password"
+          autoComplete="current-password"
+          value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)}
+          margin="dense"
+          required
+        />
+        <TextField
+          fullWidth
+          size="small"
+          label="New password"
+          type="password"
+          autoComplete="new-password"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          margin="dense"
+          required
+        />
+        <PasswordStrengthMeter password={newPassword} />
+        <TextField
+          fullWidth
+          size="small"
+          label="Confirm new password"
+          type="password"
+          autoComplete="new-password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          margin="dense"
+          required
+          error={mismatch}
+          helperText={mismatch ? 'Passwords do not match' : ' '}
+        />
+        <Button type="submit" variant="contained" disabled={!canSave || saving}>
+          {saving ? 'Changing...' : 'Change password'}
+        </Button>
+      </form>
+    </Section>
+  );
+};
+
+// The figure picked here opens each new chat; the change shows at once and goes back if saving fails
+const DefaultFigureSection = () => {
+  const [figure, setFigure] = useState(getDefaultFigure);
+  const [error, setError] = useState('');
+  const { setDefaultFigure } = useAppActions();
+
+  const handleChange = async (newFigure) => {
+    const previousFigure = figure;
+    setFigure(newFigure);
+    setError('');
+    try {
+      await setDefaultFigure(newFigure);
+    } catch (err) {
+      setFigure(previousFigure);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Section title="Default figure">
+      {error && <Alert severity="error" sx={{ mb: 1 }}>{error}</Alert>}
+      <Typography variant="body2" sx={{ color: 'text.secondary', mb: 2 }}>
+        The figure each new chat starts with.
+      </Typography>
+      <WisdomSelector figure={figure} setFigure={handleChange} />
+    </Section>
+  );
+};
+
+const AppearanceSection = () => {
+  const themePreferences = useAppSelector(state => state.theme);
+  const { setThemePreferences } = useAppActions();
+
+  return (
+    <Section title="Appearance">
+      <ToggleButtonGroup
+        exclusive
+        size="small"
+        value={themePreferences.mode}
+        onChange={(e, mode) => mode && setThemePreferences({ mode })}
+        aria-label="theme"
+      >
+        {THEME_MODES.map(mode => (
+          <ToggleButton key={mode} value={mode}>{MODE_LABELS[mode]}</ToggleButton>
+        ))}
+      </ToggleButtonGroup>
+      <Box sx={{ mt: 2 }}>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={themePreferences.figureAmbience}
+              onChange={(e) => setThemePreferences({ figureAmbience: e.target.checked })}
+            />
+          }
+          label="Figure ambience"
+        />
+        <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+          Tint the chat with the colors of the figure you are talking to.
+        </Typography>
+      </Box>
+    </Section>
+  );
+};
+
+const DataSection = () => {
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError('');
+    try {
+      await exportAccountData();
+    } catch (err) {
+      setError('Could not prepare your data. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Section title="Your data">
+      {error && <Alert severity="error" sx={{ mb: 1 }}>{error}</Alert>}
+      <Typography variant="body2" sx={{ color: 'text.secondary', mb: 2 }}>
+        Download a zip archive of your profile, what the figures remember about you,
+        and all of your chats, including archived and trashed ones.
+      </Typography>
+      <Button variant="outlined" startIcon={<DownloadIcon />} onClick={handleExport} disabled={exporting}>
+        {exporting ? 'Preparing archive...' : 'Download my data'}
+      </Button>
+    </Section>
+  );
+};
+
+// Deleting can't be undone, so the user confirms it with their password
+const DeleteAccountSection = ({ onAccountDeleted }) => {
+  const [open, setOpen] = useState(false);
+  const [password, setPassword] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleClose = () => {
+    if (deleting) return;
+    setOpen(false);
+    setPassword('');
+    setError('');
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setDeleting(true);
+    setError('');
+    try {
+      await deleteAccount(password);
+      onAccountDeleted();
+    } catch (err) {
+      setError(err.message);
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <Section title="Delete account" sx={{ p: 3, mt: 2, borderColor: 'error.main', borderWidth: 1, borderStyle: 'solid' }}>
+      <Typography variant="body2" sx={{ color: 'text.secondary', mb: 2 }}>
+        Permanently delete your account, your chats and everything the figures remember about you.
+        This can't be undone, so you may want to download your data first.
+      </Typography>
+      <Button variant="outlined" color="error" onClick={() => setOpen(true)}>
+        Delete account
+      </Button>
+
+      <Dialog open={open} onClose={handleClose} maxWidth="xs" fullWidth>
+        <form onSubmit={handleDelete}>
+          <DialogTitle>Delete your account?</DialogTitle>
+          <DialogContent>
+            <DialogContentText>
+              Enter your password to confirm. Your account and all of its chats will be deleted for good.
+            </DialogContentText>
+            {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+            <TextField
+              fullWidth
+              autoFocus
+              label="Password"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              margin="normal"
+              required
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleClose} disabled={deleting}>Cancel</Button>
+            <Button type="submit" color="error" variant="contained" disabled={!password || deleting}>
+              {deleting ? 'Deleting...' : 'Delete forever'}
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Section>
+  );
+};
+
+/**
+ * Component that renders the settings page.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} props.onProfileUpdated - Called after the profile is saved, e.g. to ask for a new email to be verified
+ * @param {Function} props.onAccountDeleted - Called once the account is gone, to sign the user out
+ * @returns {JSX.Element} The rendered Settings component
+ */
+const Settings = ({ onProfileUpdated, onAccountDeleted }) => {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  return (
+    <Box sx={{ flex: 1, overflowY: 'auto', p: 3 }}>
+      <Box sx={{ maxWidth: 640, mx: 'auto' }}>
+        <Button startIcon={<ArrowBackIcon />} onClick={() => navigate('/')} sx={{ mb: 2 }}>
+          Back to chats
+        </Button>
+        <Typography variant="h5" component="h2" gutterBottom>
+          Settings
+        </Typography>
+
+        <ProfileSection
+          onProfileUpdated={onProfileUpdated}
+          focusEmail={location.state?.focusField === 'email'}
+        />
+        <PasswordSection />
+        <DefaultFigureSection />
+        <AppearanceSection />
+        <DataSection />
+        <DeleteAccountSection onAccountDeleted={onAccountDeleted} />
+      </Box>
+    </Box>
+  );
+};
+
+export default Settings;
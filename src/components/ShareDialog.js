@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Dialog for sharing a chat through read-only links.
+ * Each link is a snapshot of the chat that can be revoked at any time.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  FormControlLabel,
+  Checkbox,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Typography,
+  CircularProgress
+} from '@mui/material';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import CheckIcon from '@mui/icons-material/Check';
+import LinkOffIcon from '@mui/icons-material/LinkOff';
+import { format, parseISO } from 'date-fns';
+import { shareChat, getChatShares, revokeShare, getShareUrl } from '../services/shareService';
+
+/**
+ * Component that renders a dialog for creating and revoking links to a chat.
+ * Give it a key per chat so it starts afresh for each one.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {string} props.chatId - ID of the chat being shared
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ *
+ * @example
+ * <ShareDialog
+ *   key={selectedChatId}
+ *   open={isSharing}
+ *   chatId={selectedChatId}
+ *   onClose={() => setIsSharing(false)}
+ * />
+ */
+export default function ShareDialog({ open, chatId, onClose }) {
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [redactUserMessages, setRedactUserMessages] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Links made earlier are listed so they can be copied again or revoked
+  useEffect(() => {
+    if (!open || !chatId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    getChatShares(chatId)
+      .then(result => {
+        if (!cancelled) setShares(result || []);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not load the links to this chat.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, chatId]);
+
+  const handleCopy = async (shareId) => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(shareId));
+      setCopiedId(shareId);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      console.error('Failed to copy link:', err);
+    }
+  };
+
+  // New links are copied straight away, since that is what the user will do next
+  const handleCreate = async () => {
+    setCreating(true);
+    setError(null);
+    try {
+      const share = await shareChat(chatId, { redactUserMessages });
+      setShares(prevShares => [share, ...prevShares]);
+      handleCopy(share._id);
+    } catch (err) {
+      setError('Could not create a link. Please try again.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (shareId) => {
+    const previous = shares;
+    setShares(prevShares => prevShares.filter(share => share._id !== shareId));
+    try {
+      await revokeShare(shareId);
+    } catch (err) {
+      setShares(previous);
+      setError('Could not revoke the link. Please try again.');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Share chat</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" sx={{ color: 'text.secondary', mb: 1 }}>
+          Anyone with a link can read the chat as it is now. Messages you send later aren't shared.
+        </Typography>
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={redactUserMessages}
+              onChange={(e) => setRedactUserMessages(e.target.checked)}
+            />
+          }
+          label="Hide my messages, sharing only the replies"
+        />
+
+        {error && (
+          <Typography variant="body2" color="error" sx={{ mt: 1 }}>
+            {error}
+          </Typography>
+        )}
+
+        {loading ? (
+          <CircularProgress size={20} sx={{ display: 'block', mx: 'auto', mt: 2 }} />
+        ) : shares.length > 0 && (
+          <List dense sx={{ mt: 1 }}>
+            {shares.map(share => (
+              <ListItem
+                key={share._id}
+                disableGutters
+                secondaryAction={
+                  <>
+                    <Tooltip title={copiedId === share._id ? 'Copied!' : 'Copy link'}>
+                      <IconButton size="small" aria-label="copy link" onClick={() => handleCopy(share._id)}>
+                        {copiedId === share._id ? <CheckIcon fontSize="small" /> : <ContentCopyIcon fontSize="small" />}
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Revoke link">
+                      <IconButton size="small" edge="end" aria-label="revoke link" onClick={() => handleRevoke(share._id)}>
+                        <LinkOffIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </>
+                }
+                sx={{ pr: 10 }}
+              >
+                <ListItemText
+                  primary={getShareUrl(share._id)}
+                  secondary={[
+                    share.createdAt && `Created ${format(parseISO(share.createdAt), 'MMM d, yyyy h:mm a')}`,
+                    share.redactUserMessages && 'your messages hidden'
+                  ].filter(Boolean).join(' · ')}
+                  primaryTypographyProps={{ noWrap: true }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button variant="contained" onClick={handleCreate} disabled={creating}>
+          Create link
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
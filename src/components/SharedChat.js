@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Public, read-only page showing a shared snapshot of a chat.
+ * It is reachable without signing in and ends with an invitation to start a chat of one's own.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { useTheme } from '@mui/material/styles';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  CircularProgress,
+  Container
+} from '@mui/material';
+import MarkdownMessage from './MarkdownMessage';
+import DebateMarker from './DebateMarker';
+import { getColors } from './ConversationStarters';
+import { getSharedChat } from '../services/shareService';
+import { getActivePath, getVariantState } from '../utils/messageTree';
+
+// One message of the snapshot, styled as it is in the chat itself
+const SharedMessage = ({ message }) => {
+  const { shown } = getVariantState(message);
+  const isUser = message.role === 'user';
+
+  // Debate prompts are written for the figures, not the reader
+  if (isUser && message.debate) {
+    return <DebateMarker debate={message.debate} />;
+  }
+
+  return (
+    <Box sx={{ display: 'flex', justifyContent: isUser ? 'flex-end' : 'flex-start', mb: 2 }}>
+      <Paper
+        sx={{
+          p: 2,
+          maxWidth: '75%',
+          backgroundColor: isUser ? 'chat.userBubble' : 'chat.assistantBubble',
+          borderRadius: isUser ? '15px 15px 0 15px' : '15px 15px 15px 0',
+          borderLeft: isUser ? 'none' : (theme) => `4px solid ${getColors(shown.figure, theme.palette.mode).dark}`
+        }}
+        elevation={1}
+      >
+        {isUser ? (
+          message.redacted ? (
+            <Typography variant="body2" sx={{ fontStyle: 'italic', color: 'text.secondary' }}>
+              Message hidden by the author
+            </Typography>
+          ) : (
+            <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>{message.content}</Typography>
+          )
+        ) : (
+          <MarkdownMessage content={shown.content} />
+        )}
+        {!isUser && shown.figure && (
+          <Typography variant="caption" sx={{ display: 'block', mt: 1, textAlign: 'right', fontStyle: 'italic' }}>
+            - {shown.figure}
+          </Typography>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+/**
+ * Component that renders a shared chat from the share ID in the URL.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} props.onStartConversation - Called with a figure when the reader wants a chat with them
+ * @returns {JSX.Element} The rendered SharedChat component
+ */
+const SharedChat = ({ onStartConversation }) => {
+  const { shareId } = useParams();
+  const theme = useTheme();
+  const [snapshot, setSnapshot] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    getSharedChat(shareId)
+      .then(result => {
+        if (!cancelled) setSnapshot(result);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        // Revoked links are gone just like ones that never existed
+        setError(err.response?.status === 404
+          ? 'This link has been revoked or never existed.'
+          : 'This chat could not be loaded. Please try again later.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [shareId]);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Container maxWidth="sm" sx={{ mt: 8, textAlign: 'center' }}>
+        <Typography variant="h5" gutterBottom>
+          Shared chat unavailable
+        </Typography>
+        <Typography sx={{ color: 'text.secondary', mb: 3 }}>{error}</Typography>
+        <Button variant="contained" onClick={() => onStartConversation(null)}>
+          Start your own conversation
+        </Button>
+      </Container>
+    );
+  }
+
+  const figure = snapshot.wisdomFigure;
+  const colors = getColors(figure, theme.palette.mode);
+
+  return (
+    <Box sx={{ minHeight: '100vh', backgroundColor: 'chat.surface' }}>
+      <Container maxWidth="md" sx={{ py: 4 }}>
+        <Box sx={{ mb: 3, pb: 2, borderBottom: `3px solid ${colors.dark}` }}>
+          <Typography variant="h4" component="h1">
+            {snapshot.title || 'Untitled Chat'}
+          </Typography>
+          <Typography variant="subtitle1" sx={{ color: 'text.secondary' }}>
+            {figure ? `A conversation with ${figure}` : 'A shared conversation'} · Wisdom Triangle
+          </Typography>
+        </Box>
+
+        {getActivePath(snapshot.messages || []).map(({ message, parentKey }) => (
+          <SharedMessage key={message._id || parentKey} message={message} />
+        ))}
+
+        <Paper
+          elevation={0}
+          sx={{ mt: 4, p: 3, textAlign: 'center', backgroundColor: colors.light, border: `1px solid ${colors.medium}` }}
+        >
+          <Typography variant="h6" gutterBottom>
+            Have something on your mind?
+          </Typography>
+          <Button
+            variant="contained"
+            onClick={() => onStartConversation(figure)}
+            sx={{ backgroundColor: colors.dark, '&:hover': { backgroundColor: colors.dark, filter: 'brightness(0.9)' } }}
+          >
+            {figure ? `Start your own conversation with ${figure}` : 'Start your own conversation'}
+          </Button>
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default SharedChat;
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Snackbar offering to undo the action the user just took.
+ */
+
+import React from 'react';
+import { Snackbar, Button } from '@mui/material';
+
+/**
+ * How long the undo offer stays on screen, in milliseconds.
+ * @constant {number}
+ */
+export const UNDO_TIMEOUT_MS = 8000;
+
+/**
+ * Component that announces an action and lets the user undo it for a short while.
+ * Whoever owns the action decides what happens once the offer is gone: the reason
+ * passed to onClose is 'undo' when the user took it back, and 'timeout' otherwise.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object|null} props.action - Action on offer, or null when there is none
+ * @param {string} props.action.message - Text describing what was done
+ * @param {Function} props.onClose - Called with the reason the offer went away
+ *
+ * @example
+ * <UndoSnackbar
+ *   action={undoAction}
+ *   onClose={(reason) => handleUndoClose(reason)}
+ * />
+ */
+export default function UndoSnackbar({ action, onClose }) {
+  return (
+    <Snackbar
+      // A new action restarts the timer instead of inheriting the old one
+      key={action?.id}
+      open={Boolean(action)}
+      autoHideDuration={UNDO_TIMEOUT_MS}
+      message={action?.message}
+      onClose={(event, reason) => {
+        // Clicks elsewhere on the page shouldn't dismiss the offer early
+        if (reason === 'clickaway') return;
+        onClose('timeout');
+      }}
+      action={
+        <Button color="secondary" size="small" onClick={() => onClose('undo')}>
+          Undo
+        </Button>
+      }
+    />
+  );
+}
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Email verification component for WisdomAI application.
+ * Confirms the address from the link in a verification email.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  Typography,
+  Paper,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { getUser, setUser } from '../utils/auth';
+
+/**
+ * Base URL for API requests.
+ * Uses environment variable for production URL.
+ * @constant {string}
+ */
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
+
+/**
+ * VerifyEmail component shown at /verify-email/:token.
+ * The link may be opened on a device where nobody is signed in, so it works either way.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.isLoggedIn - Whether someone is signed in on this device
+ * @param {Function} props.onVerified - Callback function called once the email is verified
+ * @param {Function} props.onContinue - Callback function to leave the page, into the app or to login
+ */
+const VerifyEmail = ({ isLoggedIn, onVerified, onContinue }) => {
+  const { token } = useParams();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  // Links work only once, so the request mustn't be repeated when effects run twice
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/auth/verify-email/${encodeURIComponent(token)}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+          throw new Error(data.message || 'This verification link has expired or has already been used.');
+        }
+
+        // Only update the signed-in user if the link was theirs
+        const user = getUser();
+        if (user && (!data.user || data.user.email === user.email)) {
+          setUser({ ...user, ...data.user, emailVerified: true });
+          onVerified();
+        }
+        setStatus('verified');
+      } catch (err) {
+        setError(err.message);
+        setStatus('failed');
+      }
+    };
+
+    verify();
+  }, [token, onVerified]);
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        minHeight: '100vh',
+        bgcolor: 'background.default',
+      }}
+    >
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          width: '100%',
+          maxWidth: 400,
+          textAlign: 'center',
+        }}
+      >
+        <Typography variant="h5" component="h1" gutterBottom>
+          Verify your email
+        </Typography>
+
+        {status === 'verifying' && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 1, my: 2 }}>
+            <CircularProgress size={20} />
+            <Typography variant="body2">Verifying...</Typography>
+          </Box>
+        )}
+
+        {status === 'verified' && (
+          <Alert severity="success" sx={{ mb: 2, textAlign: 'left' }}>
+            Your email is verified. Thanks!
+          </Alert>
+        )}
+
+        {status === 'failed' && (
+          <Alert severity="error" sx={{ mb: 2, textAlign: 'left' }}>
+            {error} {isLoggedIn
+              ? 'You can ask for a new link from the app.'
+              : 'Sign in to ask for a new link.'}
+          </Alert>
+        )}
+
+        {status !== 'verifying' && (
+          <Button variant="contained" fullWidth onClick={onContinue}>
+            {isLoggedIn ? 'Continue to WisdomAI' : 'Go to login'}
+          </Button>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Shown in place of the chat until the signed-in user verifies their email.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Box, Button, Typography, Paper, Alert, Link } from '@mui/material';
+import MarkEmailUnreadIcon from '@mui/icons-material/MarkEmailUnread';
+import { getUser } from '../utils/auth';
+import { resendVerificationEmail } from '../services/userService';
+
+// How long to wait before another email can be sent
+const RESEND_COOLDOWN_SECONDS = 60;
+
+/**
+ * Asks the user to verify their email, with a way to send the link again.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} props.onCheckAgain - Async callback that checks with the server whether the email is verified yet
+ * @returns {JSX.Element} The prompt
+ */
+const VerifyEmailPrompt = ({ onCheckAgain }) => {
+  const navigate = useNavigate();
+  const email = getUser()?.email;
+  const [cooldown, setCooldown] = useState(0);
+  const [sending, setSending] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Count the cooldown down once a second
+  useEffect(() => {
+    if (cooldown <= 0) return;
+    const timeout = setTimeout(() => setCooldown(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timeout);
+  }, [cooldown]);
+
+  const handleResend = async () => {
+    setSending(true);
+    setMessage(null);
+    try {
+      await resendVerificationEmail();
+      setMessage({ severity: 'success', text: `We've sent a new link to ${email || 'your email'}.` });
+      setCooldown(RESEND_COOLDOWN_SECONDS);
+    } catch (err) {
+      setMessage({ severity: 'error', text: err.message });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleCheckAgain = async () => {
+    setChecking(true);
+    setMessage(null);
+    try {
+      const verified = await onCheckAgain();
+      if (!verified) {
+        setMessage({ severity: 'info', text: "Your email isn't verified yet. Open the link in the email we sent you." });
+      }
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <Box sx={{ flex: 1, display: 'flex', justifyContent: 'center', alignItems: 'center', p: 2, overflow: 'auto' }}>
+      <Paper elevation={3} sx={{ p: 4, width: '100%', maxWidth: 440, textAlign: 'center' }}>
+        <MarkEmailUnreadIcon color="primary" sx={{ fontSize: 48, mb: 1 }} />
+        <Typography variant="h5" component="h2" gutterBottom>
+          Verify your email
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          We sent a link to <strong>{email || 'your email'}</strong>. Open it to start chatting.
+          Until then, only your settings are available.
+        </Typography>
+
+        {message && (
+          <Alert severity={message.severity} sx={{ mb: 2, textAlign: 'left' }}>
+            {message.text}
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+          <Button variant="contained" onClick={handleCheckAgain} disabled={checking}>
+            {checking ? 'Checking...' : "I've verified my email"}
+          </Button>
+          <Button variant="outlined" onClick={handleResend} disabled={sending || cooldown > 0}>
+            {sending ? 'Sending...' : cooldown > 0 ? `Resend email (${cooldown}s)` : 'Resend email'}
+          </Button>
+        </Box>
+
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2 }}>
+          Wrong address?{' '}
+          <Link
+            component="button"
+            variant="caption"
+            onClick={() => navigate('/settings', { state: { focusField: 'email' } })}
+            sx={{ verticalAlign: 'baseline' }}
+          >
+            Change your email in Settings
+          </Link>
+        </Typography>
+      </Paper>
+    </Box>
+  );
+};
+
+export default VerifyEmailPrompt;
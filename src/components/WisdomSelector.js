@@ -10,7 +10,7 @@ import { FormControl, InputLabel, Select, MenuItem } from '@mui/material';
  * List of available wisdom figures that users can select from.
  * @constant {Array<string>}
  */
-const WISDOM_FIGURES = [
+export const WISDOM_FIGURES = [
   'Buddha',
   'Jesus',
   'Epictetus',
@@ -31,6 +31,7 @@ const WISDOM_FIGURES = [
  * @param {string} props.figure - Currently selected wisdom figure
  * @param {Function} props.setFigure - Function to update the selected wisdom figure
  * @param {boolean} [props.disabled=false] - Whether the selector should be disabled
+ * @param {boolean} [props.compact=false] - Whether to render a small, unlabelled picker, e.g. for a header
  * 
  * @example
  * <WisdomSelector 
@@ -39,7 +40,23 @@ const WISDOM_FIGURES = [
  *   disabled={isTyping}
  * />
  */
-export default function WisdomSelector({ figure, setFigure, disabled = false }) {
+export default function WisdomSelector({ figure, setFigure, disabled = false, compact = false }) {
+  if (compact) {
+    return (
+      <FormControl size="small" sx={{ minWidth: 0, flexShrink: 1 }} disabled={disabled}>
+        <Select
+          value={figure}
+          onChange={(e) => setFigure(e.target.value)}
+          inputProps={{ 'aria-label': 'wisdom figure' }}
+        >
+          {WISDOM_FIGURES.map((name) => (
+            <MenuItem key={name} value={name}>{name}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+    );
+  }
+
   return (
     <FormControl fullWidth sx={{ mb: 2 }} disabled={disabled}>
       <InputLabel>With Whom Would You Like To Speak?</InputLabel>
@@ -7,6 +7,7 @@ import React from "react";
 import { createRoot } from "react-dom/client";
 import { BrowserRouter } from 'react-router-dom';
 import App from "./App";
+import { AppStoreProvider } from "./store/appStore";
 import "./index.css";
 
 /**
@@ -19,7 +20,9 @@ const root = createRoot(container);
 root.render(
   <React.StrictMode>
     <BrowserRouter>
-      <App />
+      <AppStoreProvider>
+        <App />
+      </AppStoreProvider>
     </BrowserRouter>
   </React.StrictMode>
 );
@@ -1,17 +1,97 @@
 import axios from 'axios';
-import { getAuthToken } from '../utils/auth';
+import {
+  getAuthToken,
+  setAuthToken,
+  getRefreshToken,
+  setRefreshToken,
+  getUser,
+  isTokenExpired,
+  logout
+} from '../utils/auth';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
+
+// Tokens expiring within this window are refreshed before a request goes out
+const REFRESH_LEEWAY_MS = 60 * 1000;
 
 const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5001',
+  baseURL: API_URL,
   headers: {
     'Content-Type': 'application/json'
   }
 });
 
-// Add auth token to requests
+const sessionExpiredListeners = new Set();
+
+/**
+ * Be told when the session has expired and can't be refreshed; the user is signed out by then
+ * @param {Function} listener - Called with the user who was signed out
+ * @returns {Function} Stops listening
+ */
+export const onSessionExpired = (listener) => {
+  sessionExpiredListeners.add(listener);
+  return () => sessionExpiredListeners.delete(listener);
+};
+
+// Several requests can fail at once; only the first one signs the user out
+const expireSession = () => {
+  if (!getAuthToken() && !getRefreshToken()) return;
+  const user = getUser();
+  logout();
+  sessionExpiredListeners.forEach(listener => listener(user));
+};
+
+let refreshPromise = null;
+
+/**
+ * Get a new token with the refresh token. Concurrent callers share one request,
+ * and the session expires if the refresh fails.
+ * @returns {Promise<string>} The new token
+ */
+export const refreshAuthToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = getRefreshToken();
+
+    // A bare axios call, so a failing refresh doesn't go through the interceptors below
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_URL}/api/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token')))
+      .then(({ data }) => {
+        setAuthToken(data.token);
+        if (data.refreshToken) {
+          setRefreshToken(data.refreshToken);
+        }
+        return data.token;
+      })
+      .catch((error) => {
+        console.error('Error refreshing session:', error.response?.data || error.message);
+        expireSession();
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * The current token, refreshed first if it is about to expire.
+ * For requests made outside this instance, such as streams.
+ * @returns {Promise<string|null>} The token, or null when signed out
+ */
+export const getFreshAuthToken = async () => {
+  const token = getAuthToken();
+  if (token && getRefreshToken() && isTokenExpired(token, REFRESH_LEEWAY_MS)) {
+    return refreshAuthToken();
+  }
+  return token;
+};
+
+// Add auth token to requests, refreshing it first if it is about to expire
 api.interceptors.request.use(
-  (config) => {
-    const token = getAuthToken();
+  async (config) => {
+    const token = await getFreshAuthToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -22,4 +102,30 @@ api.interceptors.request.use(
   }
 );
 
-export default api; 
\ No newline at end of file
+// A request rejected for its token is retried once with a refreshed one.
+// Requests that check the user's password opt out with `skipSessionRefresh`, since a wrong password
+// is a 401 too and mustn't sign the user out.
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || config.skipSessionRefresh) {
+      return Promise.reject(error);
+    }
+
+    if (config._retried) {
+      expireSession();
+      return Promise.reject(error);
+    }
+
+    config._retried = true;
+    try {
+      await refreshAuthToken();
+    } catch (refreshError) {
+      return Promise.reject(error);
+    }
+    return api(config);
+  }
+);
+
+export default api;
@@ -1,9 +1,27 @@
-import axios from 'axios';
+import api, { getFreshAuthToken, refreshAuthToken } from './api';
 import { getAuthToken } from '../utils/auth';
+import { withParentIds } from '../utils/messageTree';
+import { postEventStream } from './sseClient';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
 const API_VERSION = '/api/v1';
 
+const chatListListeners = new Set();
+
+/**
+ * Be told when chats are created, renamed, removed or get new messages
+ * @param {Function} listener - Called with the ID of the changed chat, or null for several
+ * @returns {Function} Stops listening
+ */
+export const onChatListChanged = (listener) => {
+  chatListListeners.add(listener);
+  return () => chatListListeners.delete(listener);
+};
+
+const notifyChatListChanged = (chatId = null) => {
+  chatListListeners.forEach(listener => listener(chatId));
+};
+
 /**
  * Updates user memory with conversation data
  * This ensures the backend extracts facts and preferences from the conversation
@@ -15,7 +33,7 @@ const API_VERSION = '/api/v1';
 export const updateMemory = async (userMessage, aiResponse, wisdomFigure) => {
   try {
     console.log('Updating user memory with conversation');
-    const response = await axios.post(`${API_URL}${API_VERSION}/chat/update-memory`, {
+    const response = await api.post(`${API_URL}${API_VERSION}/chat/update-memory`, {
       userMessage,
       aiResponse,
       wisdomFigure
@@ -34,110 +52,428 @@ export const updateMemory = async (userMessage, aiResponse, wisdomFigure) => {
 };
 
 /**
- * Sets up an EventSource connection to stream chat responses.
+ * How many times in a row a dropped stream is reopened before giving up.
+ * The count starts over once a reopened stream delivers new content.
+ * @constant {number}
+ */
+const MAX_RECONNECT_ATTEMPTS = 5;
+
+/**
+ * How many times one reply's stream is reopened in all, however much content each attempt brings.
+ * @constant {number}
+ */
+const MAX_TOTAL_RECONNECTS = 20;
+
+/**
+ * Delay before the first reconnect; doubled on every further attempt.
+ * @constant {number}
+ */
+const RECONNECT_BASE_DELAY_MS = 1000;
+
+/**
+ * Upper bound for the reconnect delay.
+ * @constant {number}
+ */
+const RECONNECT_MAX_DELAY_MS = 15000;
+
+/**
+ * Whether a failed stream request is worth retrying.
+ * Network failures, server errors, timeouts and rate limits are; auth and validation errors aren't.
+ * @param {Error} error - The error the stream failed with.
+ * @returns {boolean} - True if the stream should be reopened.
+ */
+const isRetryableStreamError = (error) => {
+  if (!error.status) return true;
+  return error.status >= 500 || error.status === 408 || error.status === 429;
+};
+
+/**
+ * Builds the function components call to open a chat response stream.
+ * Dropped connections are reopened with exponential backoff, asking the server
+ * to resume after the last event received.
+ * @param {object} params - Stream parameters.
+ * @param {string} [params.message] - The user message the figure responds to; omitted when continuing.
+ * @param {string} params.wisdomFigure - Selected wisdom figure to respond.
+ * @param {string} params.chatId - ID of the chat thread.
+ * @param {string | null} [params.parentId] - ID of the saved user message, so context follows its branch.
+ * @param {boolean} [params.regenerate=false] - Whether this replaces the last reply.
+ * @param {string | null} [params.continueFrom] - ID of an interrupted reply to extend rather than answer a message.
+ * @returns {Function} - setupStream(handleChunk, handleDone, handleError, options) returning a cleanup function.
+ *   options.signal cancels the stream; options.onReconnecting(isReconnecting, attempt) reports retries.
+ */
+const createStreamSetup = ({ message, wisdomFigure, chatId, parentId = null, regenerate = false, continueFrom = null }) => {
+  return (handleChunk, handleDone, handleError, { signal, onReconnecting = () => {} } = {}) => {
+    const controller = new AbortController();
+    let finished = false;
+    let retryTimeout = null;
+
+    // Let the caller's AbortController cancel the request as well
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        signal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+    }
+
+    const finish = () => {
+      finished = true;
+      clearTimeout(retryTimeout);
+      controller.abort();
+    };
+
+    let fullResponse = '';
+    let lastEventId = null;
+    let attempt = 0;
+    let totalReconnects = 0;
+    // Length of the reply when the stream last dropped; only content past it counts as progress
+    let droppedAt = 0;
+    let isReconnecting = false;
+    // An expired token is refreshed once; a second rejection means the session is over
+    let refreshedToken = false;
+
+    // Handle incoming message chunks
+    const handleEvent = (event) => {
+      if (finished) return;
+
+      if (event.id) {
+        lastEventId = event.id;
+      }
+
+      // The connection is back after a reconnect, though it only counts as healthy once new content arrives
+      if (isReconnecting) {
+        isReconnecting = false;
+        onReconnecting(false, 0);
+      }
+
+      try {
+        const data = JSON.parse(event.data);
+
+        // A resumed stream reports where its content starts, so nothing is duplicated
+        if (typeof data.offset === 'number' && data.offset < fullResponse.length) {
+          fullResponse = fullResponse.slice(0, data.offset);
+        }
+
+        // If we have content, update the UI
+        if (data.content) {
+          fullResponse += data.content;
+          handleChunk(data.content, fullResponse);
+
+          if (fullResponse.length > droppedAt) {
+            attempt = 0;
+          }
+        }
+
+        // If we're done, clean up and notify the component
+        if (data.done) {
+          console.log('Stream complete');
+          finish();
+          handleDone(fullResponse);
+        }
+      } catch (err) {
+        console.error('Error handling stream message:', err);
+        finish();
+        handleError(err);
+      }
+    };
+
+    const baseUrl = process.env.REACT_APP_API_URL || 'http://localhost:5001';
+
+    const handleDisconnect = (err) => {
+      // Aborting is how streams are stopped, not a failure
+      if (finished || controller.signal.aborted) return;
+
+      if (err.status === 401 && !refreshedToken) {
+        refreshedToken = true;
+        refreshAuthToken().then(openStream, (refreshErr) => {
+          finish();
+          handleError(refreshErr);
+        });
+        return;
+      }
+
+      if (attempt >= MAX_RECONNECT_ATTEMPTS || totalReconnects >= MAX_TOTAL_RECONNECTS || !isRetryableStreamError(err)) {
+        console.error('Chat stream failed:', err);
+        finish();
+        handleError(err);
+        return;
+      }
+
+      attempt += 1;
+      totalReconnects += 1;
+      droppedAt = fullResponse.length;
+      isReconnecting = true;
+      const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1), RECONNECT_MAX_DELAY_MS);
+      console.warn(`Chat stream dropped, reconnecting in ${delay}ms (attempt ${attempt}/${MAX_RECONNECT_ATTEMPTS})`);
+      onReconnecting(true, attempt);
+      retryTimeout = setTimeout(openStream, delay);
+    };
+
+    // The message and token travel in the body and header, never in the URL
+    const openStream = () => {
+      const isResume = fullResponse.length > 0 || lastEventId !== null;
+
+      getFreshAuthToken().then(token => postEventStream(`${baseUrl}/chat-stream`, {
+        body: {
+          message,
+          wisdomFigure,
+          chatId,
+          ...(parentId && { parentId }),
+          // Ask the server to answer the last user message again rather than a new one
+          ...(regenerate && { regenerate: true }),
+          // Ask the server to pick up an interrupted reply where it stopped
+          ...(continueFrom && { continue: { messageId: continueFrom } }),
+          // Ask the server to continue the same reply instead of starting over
+          ...(isResume && { resume: { lastEventId, offset: fullResponse.length } })
+        },
+        headers: {
+          Authorization: `Bearer ${token}`,
+          ...(lastEventId && { 'Last-Event-ID': lastEventId })
+        },
+        signal: controller.signal,
+        onEvent: handleEvent
+      }))
+        .then(() => {
+          if (!finished) {
+            handleDisconnect(new Error('Stream ended before the response was complete'));
+          }
+        })
+        .catch(handleDisconnect);
+    };
+
+    openStream();
+
+    // Return a cleanup function
+    return () => {
+      if (!finished) {
+        console.log('Aborting chat stream');
+        finish();
+      }
+    };
+  };
+};
+
+/**
+ * Saves a user message and prepares a stream of the figure's response.
  * @param {string | null} chatId - Optional ID of the current chat thread.
- * @param {object} message - The user message object.
+ * @param {object | string} message - The user message object (extra fields are saved with it) or its text.
  * @param {string} wisdomFigure - Selected wisdom figure to respond.
- * @returns {Promise<object>} - Object containing the chat ID and setup function.
+ * @param {string | null} [parentId] - ID of the message this one follows; a different parent starts a branch.
+ * @returns {Promise<object>} - Object containing the chat ID, the saved user message ID and setup function.
  */
-export const sendMessage = async (chatId, message, wisdomFigure) => {
+export const sendMessage = async (chatId, message, wisdomFigure, parentId = null) => {
   try {
     console.log('Attempting to stream chat with chatId:', chatId, 'and figure:', wisdomFigure);
     
     // First save the user message to get a chatId if we don't have one
-    const userMessageObj = {
-      role: 'user',
-      content: message.content || message,
-    };
+    const userMessageObj = typeof message === 'string'
+      ? { role: 'user', content: message }
+      : { ...message, role: 'user' };
     
-    const savedChat = await saveMessage(chatId, userMessageObj, wisdomFigure);
+    const savedChat = await saveMessage(chatId, userMessageObj, wisdomFigure, parentId);
     const updatedChatId = savedChat._id;
     
+    // The saved message is the newest one in the chat
+    const savedMessages = savedChat.messages || [];
+    const messageId = savedMessages.length > 0 ? savedMessages[savedMessages.length - 1]._id : null;
+    
     console.log('Created/Updated chat with ID:', updatedChatId);
     
     // Function to set up streaming, to be called by the component
-    const setupStream = (handleChunk, handleDone, handleError) => {
-      try {
-        const baseUrl = process.env.REACT_APP_API_URL || 'http://localhost:5001';
-        const token = getAuthToken();
-        
-        // IMPORTANT: This is the correct streaming endpoint URL
-        const eventSourceUrl = new URL(`${baseUrl}/chat-stream`);
-        
-        // Add the required query parameters
-        eventSourceUrl.searchParams.append('message', userMessageObj.content);
-        eventSourceUrl.searchParams.append('wisdomFigure', wisdomFigure);
-        eventSourceUrl.searchParams.append('chatId', updatedChatId);
-        
-        // Add authentication token as query parameter since EventSource doesn't support custom headers
-        eventSourceUrl.searchParams.append('token', token);
-        
-        // Create the EventSource
-        console.log(`Creating EventSource with URL: ${eventSourceUrl.toString()}`);
-        const eventSource = new EventSource(eventSourceUrl.toString());
-        
-        let fullResponse = '';
-        
-        // Handle incoming message chunks
-        eventSource.onmessage = (event) => {
-          try {
-            const data = JSON.parse(event.data);
-            
-            // If we have content, update the UI
-            if (data.content) {
-              fullResponse += data.content;
-              handleChunk(data.content, fullResponse);
-            }
-            
-            // If we're done, clean up and notify the component
-            if (data.done) {
-              console.log('Stream complete');
-              eventSource.close();
-              handleDone(fullResponse);
-            }
-          } catch (err) {
-            console.error('Error handling stream message:', err);
-            eventSource.close();
-            handleError(err);
-          }
-        };
-        
-        // Handle errors
-        eventSource.onerror = (err) => {
-          console.error('EventSource failed:', err);
-          eventSource.close();
-          handleError(err);
-        };
-        
-        // Return a cleanup function
-        return () => {
-          if (eventSource && eventSource.readyState !== EventSource.CLOSED) {
-            console.log('Closing EventSource connection');
-            eventSource.close();
-          }
-        };
-      } catch (err) {
-        console.error('Error setting up streaming:', err);
-        handleError(err);
-        return () => {}; // Empty cleanup function if setup failed
-      }
-    };
+    const setupStream = createStreamSetup({
+      message: userMessageObj.content,
+      wisdomFigure,
+      chatId: updatedChatId,
+      parentId: messageId
+    });
     
-    return { chatId: updatedChatId, setupStream };
+    return { chatId: updatedChatId, messageId, setupStream };
   } catch (error) {
     console.error('Error in sendMessage:', error);
     throw error;
   }
 };
 
+/**
+ * Streams a new answer to the last user message of a chat.
+ * The result is stored as another variant of the existing assistant message.
+ * @param {string} chatId - ID of the chat thread.
+ * @param {string} userContent - Content of the user message being answered again.
+ * @param {string} wisdomFigure - Wisdom figure to answer, may differ from the original.
+ * @param {string | null} [userMessageId] - ID of the user message being answered again.
+ * @returns {Promise<object>} - Object containing the chat ID and setup function.
+ */
+export const regenerateMessage = async (chatId, userContent, wisdomFigure, userMessageId = null) => {
+  if (!chatId) {
+    throw new Error('Chat ID is required');
+  }
+
+  console.log('Regenerating reply in chat:', chatId, 'with figure:', wisdomFigure);
+
+  const setupStream = createStreamSetup({
+    message: userContent,
+    wisdomFigure,
+    chatId,
+    parentId: userMessageId,
+    regenerate: true
+  });
+
+  return { chatId, setupStream };
+};
+
+/**
+ * Streams the answer to a user message that is already saved but was never answered.
+ * @param {string} chatId - ID of the chat thread.
+ * @param {string} userContent - Content of the saved user message.
+ * @param {string} wisdomFigure - Wisdom figure to answer.
+ * @param {string} userMessageId - ID of the saved user message.
+ * @returns {Promise<object>} - Object containing the chat ID and setup function.
+ */
+export const requestReply = async (chatId, userContent, wisdomFigure, userMessageId) => {
+  const setupStream = createStreamSetup({
+    message: userContent,
+    wisdomFigure,
+    chatId,
+    parentId: userMessageId
+  });
+
+  return { chatId, setupStream };
+};
+
+/**
+ * Streams the rest of an interrupted assistant reply.
+ * Only the new text is streamed; no user message is saved.
+ * @param {string} chatId - ID of the chat thread.
+ * @param {string} messageId - ID of the interrupted assistant message.
+ * @param {string} wisdomFigure - Wisdom figure who wrote the reply.
+ * @returns {Promise<object>} - Object containing the chat ID and setup function.
+ */
+export const continueMessage = async (chatId, messageId, wisdomFigure) => {
+  if (!chatId || !messageId) {
+    throw new Error('Chat ID and message ID are required');
+  }
+
+  console.log('Continuing reply', messageId, 'in chat:', chatId);
+
+  const setupStream = createStreamSetup({
+    wisdomFigure,
+    chatId,
+    continueFrom: messageId
+  });
+
+  return { chatId, setupStream };
+};
+
+/**
+ * Append the continuation of an interrupted reply to the variant it is showing
+ * @param {string} chatId - The chat ID
+ * @param {string} messageId - ID of the interrupted assistant message
+ * @param {Object} continuation - Appended content, and whether it was interrupted too
+ * @returns {Promise} Chat object with messages
+ */
+export const saveMessageContinuation = async (chatId, messageId, continuation) => {
+  try {
+    const response = await api.post(`${API_URL}${API_VERSION}/chat/${chatId}/messages/${messageId}/continuation`, 
+      continuation, 
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error saving message continuation:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Save a regenerated answer as a sibling variant of an assistant message
+ * @param {string} chatId - The chat ID
+ * @param {string} messageId - ID of the assistant message being regenerated
+ * @param {Object} variant - Variant with content, figure and optional interrupted flag
+ * @returns {Promise} Chat object with messages
+ */
+export const saveMessageVariant = async (chatId, messageId, variant) => {
+  try {
+    const response = await api.post(`${API_URL}${API_VERSION}/chat/${chatId}/messages/${messageId}/variants`, 
+      variant, 
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error saving message variant:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Select which variant of an assistant message is shown
+ * @param {string} chatId - The chat ID
+ * @param {string} messageId - ID of the assistant message
+ * @param {number} activeVariant - Index of the variant to show
+ * @returns {Promise} Success response
+ */
+export const selectMessageVariant = async (chatId, messageId, activeVariant) => {
+  try {
+    const response = await api.patch(`${API_URL}${API_VERSION}/chat/${chatId}/messages/${messageId}`, 
+      { activeVariant }, 
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error selecting message variant:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Rate an assistant message, replacing any earlier rating of it
+ * @param {string} chatId - The chat ID
+ * @param {string} messageId - ID of the assistant message
+ * @param {Object|null} feedback - Rating ('up' or 'down') and reasons, or null to remove the rating
+ * @param {number|null} [variant] - Index of the rated variant, for messages that have been regenerated
+ * @returns {Promise} Success response
+ */
+export const rateMessage = async (chatId, messageId, feedback, variant = null) => {
+  try {
+    const response = await api.put(`${API_URL}${API_VERSION}/chat/${chatId}/messages/${messageId}/feedback`,
+      { feedback, ...(variant !== null && { variant }) },
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error rating message:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
 /**
  * Save a message to chat history
  * @param {string} chatId - Optional chat ID for existing chat
  * @param {Object} message - Message object with role and content
  * @param {string} wisdomFigure - The selected wisdom figure
+ * @param {string} [parentId] - ID of the message this one follows; omitted to append to the end
  * @returns {Promise} Chat object with messages
  */
-export const saveMessage = async (chatId, message, wisdomFigure) => {
+export const saveMessage = async (chatId, message, wisdomFigure, parentId) => {
   try {
     if (chatId) {
       console.log('Adding message to existing chat:', chatId);
@@ -145,9 +481,9 @@ export const saveMessage = async (chatId, message, wisdomFigure) => {
       console.log('Creating a new chat with message:', message);
     }
     
-    const response = await axios.post(`${API_URL}${API_VERSION}/chat/message`, {
+    const response = await api.post(`${API_URL}${API_VERSION}/chat/message`, {
       chatId,
-      message,
+      message: parentId !== undefined ? { ...message, parentId } : message,
       wisdomFigure
     }, {
       headers: {
@@ -162,6 +498,7 @@ export const saveMessage = async (chatId, message, wisdomFigure) => {
       console.log('Updated chat ID:', response.data._id);
     }
     
+    notifyChatListChanged(response.data._id);
     return response.data;
   } catch (error) {
     console.error('Error saving message:', error.response?.data || error.message);
@@ -170,36 +507,368 @@ export const saveMessage = async (chatId, message, wisdomFigure) => {
 };
 
 /**
- * Get user's chat history
- * @returns {Promise} Array of chat objects
+ * Get one page of the user's chat history, most recently updated first
+ * @param {Object} [options] - Paging options
+ * @param {string|null} [options.cursor] - Cursor returned with the previous page; omitted for the first page
+ * @param {number} [options.limit] - Number of chats per page
+ * @param {string} [options.status] - 'archived' or 'trashed' to list those chats instead of the active ones
+ * @param {boolean} [options.pinned] - Only list pinned chats, unpaged
+ * @returns {Promise} Object with the page's chats and the cursor of the next page (null on the last page)
  */
-export const getChatHistory = async () => {
+export const getChatHistory = async ({ cursor = null, limit, status, pinned } = {}) => {
   try {
-    const response = await axios.get(`${API_URL}${API_VERSION}/chat/history`, {
+    const response = await api.get(`${API_URL}${API_VERSION}/chat/history`, {
+      params: {
+        ...(cursor && { cursor }),
+        ...(limit && { limit }),
+        ...(status && { status }),
+        ...(pinned && { pinned: true })
+      },
       headers: {
         Authorization: `Bearer ${getAuthToken()}`
       }
     });
-    return response.data;
+
+    // Servers without paging return every chat at once
+    if (Array.isArray(response.data)) {
+      return { chats: response.data, nextCursor: null };
+    }
+    return { chats: response.data.chats || [], nextCursor: response.data.nextCursor || null };
   } catch (error) {
     console.error('Error fetching chat history:', error.response?.data || error.message);
     throw error;
   }
 };
 
+/**
+ * Get every chat of a view of the history, going through all of its pages
+ * @param {Object} [options] - Options
+ * @param {string} [options.status] - As for getChatHistory
+ * @returns {Promise<Array>} The chats, most recently updated first
+ */
+export const getAllChatHistory = async ({ status } = {}) => {
+  const chats = [];
+  let cursor = null;
+  do {
+    const page = await getChatHistory({ cursor, status });
+    chats.push(...page.chats);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return chats;
+};
+
+/**
+ * Get the pinned chats in one filtered request, wherever they fall in the paged history
+ * @returns {Promise<Array>} The pinned chats, most recently updated first
+ */
+export const getPinnedChats = async () => {
+  const { chats } = await getChatHistory({ pinned: true });
+  // A server that ignores the filter returns its first page of every chat
+  return chats.filter(chat => chat.pinned);
+};
+
+/**
+ * Get a single chat as it appears in the history
+ * @param {string} chatId - The chat ID
+ * @returns {Promise} Chat object without its messages
+ */
+export const getChat = async (chatId) => {
+  try {
+    const response = await api.get(`${API_URL}${API_VERSION}/chat/${chatId}`, {
+      headers: {
+        Authorization: `Bearer ${getAuthToken()}`
+      }
+    });
+    const { messages, ...chat } = response.data;
+    return chat;
+  } catch (error) {
+    console.error('Error fetching chat:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Rename a chat
+ * @param {string} chatId - The chat ID
+ * @param {string} title - The new title
+ * @returns {Promise} Updated chat object
+ */
+export const renameChat = async (chatId, title) => {
+  try {
+    const response = await api.patch(`${API_URL}${API_VERSION}/chat/${chatId}`, 
+      { title }, 
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    notifyChatListChanged(chatId);
+    return response.data;
+  } catch (error) {
+    console.error('Error renaming chat:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Pin a chat to the top of the history, or unpin it
+ * @param {string} chatId - The chat ID
+ * @param {boolean} pinned - Whether the chat is pinned
+ * @returns {Promise} Updated chat object
+ */
+export const pinChat = async (chatId, pinned) => {
+  try {
+    const response = await api.patch(`${API_URL}${API_VERSION}/chat/${chatId}`, 
+      { pinned }, 
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error pinning chat:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Replace the tags of a chat
+ * @param {string} chatId - The chat ID
+ * @param {Array<string>} tags - Names of the tags
+ * @returns {Promise} Updated chat object
+ */
+export const setChatTags = async (chatId, tags) => {
+  try {
+    const response = await api.patch(`${API_URL}${API_VERSION}/chat/${chatId}`, 
+      { tags }, 
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error tagging chat:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Move a chat into a folder
+ * @param {string} chatId - The chat ID
+ * @param {string|null} folderId - ID of the folder, or null to take the chat out of its folder
+ * @returns {Promise} Updated chat object
+ */
+export const moveChatToFolder = async (chatId, folderId) => {
+  try {
+    const response = await api.patch(`${API_URL}${API_VERSION}/chat/${chatId}`, 
+      { folderId }, 
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error moving chat:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get the user's chat folders
+ * @returns {Promise} Array of folders with _id, name and collapsed
+ */
+export const getFolders = async () => {
+  try {
+    const response = await api.get(`${API_URL}${API_VERSION}/folders`, {
+      headers: {
+        Authorization: `Bearer ${getAuthToken()}`
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching folders:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Create a chat folder
+ * @param {string} name - Name of the folder
+ * @returns {Promise} The new folder
+ */
+export const createFolder = async (name) => {
+  try {
+    const response = await api.post(`${API_URL}${API_VERSION}/folders`,
+      { name }, 
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error creating folder:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Rename a folder or change whether it is collapsed
+ * @param {string} folderId - The folder ID
+ * @param {Object} changes - New name and/or collapsed flag
+ * @returns {Promise} The updated folder
+ */
+export const updateFolder = async (folderId, changes) => {
+  try {
+    const response = await api.patch(`${API_URL}${API_VERSION}/folders/${folderId}`,
+      changes, 
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error updating folder:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Delete a folder; its chats move back out of it
+ * @param {string} folderId - The folder ID
+ * @returns {Promise} Success response
+ */
+export const deleteFolder = async (folderId) => {
+  try {
+    const response = await api.delete(`${API_URL}${API_VERSION}/folders/${folderId}`, {
+      headers: {
+        Authorization: `Bearer ${getAuthToken()}`
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error deleting folder:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get the user's tags
+ * @returns {Promise} Array of tags with name and color
+ */
+export const getTags = async () => {
+  try {
+    const response = await api.get(`${API_URL}${API_VERSION}/tags`, {
+      headers: {
+        Authorization: `Bearer ${getAuthToken()}`
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching tags:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Create a tag
+ * @param {string} name - Name of the tag
+ * @param {string} color - Color the tag is shown in
+ * @returns {Promise} The new tag
+ */
+export const createTag = async (name, color) => {
+  try {
+    const response = await api.post(`${API_URL}${API_VERSION}/tags`,
+      { name, color }, 
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error creating tag:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Ask the server to title a chat from its first exchange
+ * The server leaves titles the user has set alone
+ * @param {string} chatId - The chat ID
+ * @returns {Promise} Object with the generated title, or null if none could be generated
+ */
+export const generateChatTitle = async (chatId) => {
+  try {
+    const response = await api.post(`${API_URL}${API_VERSION}/chat/${chatId}/title`, 
+      {}, 
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error generating chat title:', error.response?.data || error.message);
+    // Don't throw the error - the chat simply keeps its current title
+    return null;
+  }
+};
+
+/**
+ * Search message contents across all of the user's chats
+ * @param {string} query - Text to look for
+ * @returns {Promise} Array of matches with chatId, chatTitle, messageId, figure, content and date
+ */
+export const searchChats = async (query) => {
+  try {
+    const response = await api.get(`${API_URL}${API_VERSION}/chat/search`, {
+      params: { q: query },
+      headers: {
+        Authorization: `Bearer ${getAuthToken()}`
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error searching chats:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
 /**
  * Get messages for a specific chat
+ * Messages form a tree; each one is returned with the parentId it follows
  * @param {string} chatId - The chat ID
  * @returns {Promise} Array of messages
  */
 export const getChatMessages = async (chatId) => {
   try {
-    const response = await axios.get(`${API_URL}${API_VERSION}/chat/${chatId}`, {
+    const response = await api.get(`${API_URL}${API_VERSION}/chat/${chatId}`, {
       headers: {
         Authorization: `Bearer ${getAuthToken()}`
       }
     });
-    return response.data.messages;
+    return withParentIds(response.data.messages);
   } catch (error) {
     console.error('Error fetching chat messages:', error.response?.data || error.message);
     throw error;
@@ -207,17 +876,18 @@ export const getChatMessages = async (chatId) => {
 };
 
 /**
- * Delete a chat
+ * Permanently delete a chat, skipping the trash
  * @param {string} chatId - The chat ID to delete
  * @returns {Promise} Success response
  */
 export const deleteChat = async (chatId) => {
   try {
-    const response = await axios.delete(`${API_URL}${API_VERSION}/chat/${chatId}`, {
+    const response = await api.delete(`${API_URL}${API_VERSION}/chat/${chatId}`, {
       headers: {
         Authorization: `Bearer ${getAuthToken()}`
       }
     });
+    notifyChatListChanged(chatId);
     return response.data;
   } catch (error) {
     console.error('Error deleting chat:', error.response?.data || error.message);
@@ -225,6 +895,131 @@ export const deleteChat = async (chatId) => {
   }
 };
 
+/**
+ * Move a chat to the trash; it is deleted for good once the retention period has passed
+ * @param {string} chatId - The chat ID
+ * @returns {Promise} Updated chat object, with the date it was trashed in deletedAt
+ */
+export const trashChat = async (chatId) => {
+  try {
+    const response = await api.post(`${API_URL}${API_VERSION}/chat/${chatId}/trash`, {}, {
+      headers: {
+        Authorization: `Bearer ${getAuthToken()}`
+      }
+    });
+    notifyChatListChanged(chatId);
+    return response.data;
+  } catch (error) {
+    console.error('Error moving chat to trash:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Bring a chat back out of the trash
+ * @param {string} chatId - The chat ID
+ * @returns {Promise} Restored chat object
+ */
+export const restoreChat = async (chatId) => {
+  try {
+    const response = await api.post(`${API_URL}${API_VERSION}/chat/${chatId}/restore`, {}, {
+      headers: {
+        Authorization: `Bearer ${getAuthToken()}`
+      }
+    });
+    notifyChatListChanged(chatId);
+    return response.data;
+  } catch (error) {
+    console.error('Error restoring chat:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Archive a chat, hiding it from the history without deleting it, or unarchive it
+ * @param {string} chatId - The chat ID
+ * @param {boolean} archived - Whether the chat is archived
+ * @returns {Promise} Updated chat object
+ */
+export const archiveChat = async (chatId, archived) => {
+  try {
+    const response = await api.patch(`${API_URL}${API_VERSION}/chat/${chatId}`, 
+      { archived }, 
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    notifyChatListChanged(chatId);
+    return response.data;
+  } catch (error) {
+    console.error('Error archiving chat:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Permanently delete every chat in the trash
+ * @returns {Promise} Success response
+ */
+export const emptyTrash = async () => {
+  try {
+    const response = await api.delete(`${API_URL}${API_VERSION}/chat/trash`, {
+      headers: {
+        Authorization: `Bearer ${getAuthToken()}`
+      }
+    });
+    notifyChatListChanged();
+    return response.data;
+  } catch (error) {
+    console.error('Error emptying trash:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get how long chats stay in the trash before they are deleted for good
+ * @returns {Promise} Object with retentionDays
+ */
+export const getTrashSettings = async () => {
+  try {
+    const response = await api.get(`${API_URL}${API_VERSION}/chat/trash/settings`, {
+      headers: {
+        Authorization: `Bearer ${getAuthToken()}`
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching trash settings:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Change how long chats stay in the trash before they are deleted for good
+ * @param {number} retentionDays - Days a trashed chat is kept
+ * @returns {Promise} Updated settings object
+ */
+export const updateTrashSettings = async (retentionDays) => {
+  try {
+    const response = await api.put(`${API_URL}${API_VERSION}/chat/trash/settings`, 
+      { retentionDays }, 
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error updating trash settings:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
 /**
  * Clear the current chat messages
  * @param {string} chatId - ID of the chat to clear
@@ -237,7 +1032,7 @@ export const clearChat = async (chatId) => {
   }
   
   try {
-    const response = await axios.post(`${API_URL}${API_VERSION}/chat/clear`, 
+    const response = await api.post(`${API_URL}${API_VERSION}/chat/clear`, 
       { chatId }, 
       {
         headers: {
@@ -246,9 +1041,27 @@ export const clearChat = async (chatId) => {
         }
       }
     );
+    notifyChatListChanged(chatId);
     return response.data;
   } catch (error) {
     console.error('Error clearing chat:', error.response?.data || error.message);
     throw error;
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Clear a chat while the page is being closed or reloaded
+ * A keepalive request outlives the page, where an ordinary one would be cancelled with it
+ * @param {string} chatId - ID of the chat to clear
+ */
+export const clearChatOnUnload = (chatId) => {
+  fetch(`${API_URL}${API_VERSION}/chat/clear`, {
+    method: 'POST',
+    keepalive: true,
+    headers: {
+      'Authorization': `Bearer ${getAuthToken()}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ chatId })
+  }).catch(error => console.error('Error clearing chat on unload:', error));
+};
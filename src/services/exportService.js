@@ -0,0 +1,168 @@
+/**
+ * Service for exporting chats to files and importing them back, and for downloading all of an account's data
+ */
+import { format } from 'date-fns';
+import { getChat, getAllChatHistory, getChatMessages, saveMessage, renameChat, setChatTags } from './chatService';
+import { getUserProfile } from './userService';
+import {
+  toMarkdown,
+  toExportJson,
+  toPrintHtml,
+  getExportFilename,
+  downloadFile,
+  printHtml
+} from '../utils/chatExport';
+import { withParentIds } from '../utils/messageTree';
+import { renderMarkdownToHtml } from '../components/MarkdownMessage';
+import { createZip } from '../utils/zip';
+
+/**
+ * Formats chats can be exported in.
+ * @constant {Array<{value: string, label: string}>}
+ */
+export const EXPORT_FORMATS = [
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'print', label: 'Print / Save as PDF' },
+  { value: 'json', label: 'JSON (can be imported)' }
+];
+
+// Chats loaded at a time when exporting everything, so large accounts don't flood the server
+const ARCHIVE_BATCH_SIZE = 5;
+
+// Every view of the history, as the status the server filters on
+const ARCHIVE_STATUSES = [undefined, 'archived', 'trashed'];
+
+const loadChat = async (chatId) => {
+  const [chat, messages] = await Promise.all([getChat(chatId), getChatMessages(chatId)]);
+  return { chat, messages };
+};
+
+/**
+ * Export chats as a download, or open them in the browser's print dialog, where they can be saved as a PDF
+ * @param {Array<string>} chatIds - IDs of the chats to export
+ * @param {string} exportFormat - One of the EXPORT_FORMATS values
+ * @returns {Promise} Resolves once the file has been handed to the browser
+ */
+export const exportChats = async (chatIds, exportFormat) => {
+  try {
+    const exports = await Promise.all(chatIds.map(loadChat));
+
+    switch (exportFormat) {
+      case 'markdown':
+        downloadFile(toMarkdown(exports), getExportFilename(exports, 'md'), 'text/markdown');
+        break;
+      case 'json':
+        downloadFile(toExportJson(exports), getExportFilename(exports, 'json'), 'application/json');
+        break;
+      case 'print':
+        printHtml(toPrintHtml(exports, renderMarkdownToHtml));
+        break;
+      default:
+        throw new Error(`Unknown export format: ${exportFormat}`);
+    }
+  } catch (error) {
+    console.error('Error exporting chats:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+// Messages are saved one at a time so that each can be attached to its parent's new ID
+const importChat = async (chat) => {
+  const newIds = new Map();
+  let chatId = null;
+
+  for (const message of withParentIds(chat.messages)) {
+    const { _id, parentId, ...fields } = message;
+    // A parent missing from the file leaves the message at the end of the chat
+    const newParentId = parentId ? newIds.get(parentId) : null;
+
+    const savedChat = await saveMessage(chatId, fields, chat.wisdomFigure, newParentId);
+    chatId = savedChat._id;
+
+    const savedMessages = savedChat.messages || [];
+    if (_id && savedMessages.length > 0) {
+      newIds.set(_id, savedMessages[savedMessages.length - 1]._id);
+    }
+  }
+
+  if (chatId && chat.title) {
+    await renameChat(chatId, chat.title);
+  }
+  if (chatId && chat.tags?.length > 0) {
+    await setChatTags(chatId, chat.tags);
+  }
+  return chatId;
+};
+
+/**
+ * Recreate exported chats in the current account
+ * Chats are imported one after another; those without messages are skipped
+ * @param {Array<Object>} chats - Chats read from an export with parseChatExport
+ * @returns {Promise} Array of the new chat IDs
+ */
+export const importChats = async (chats) => {
+  try {
+    const chatIds = [];
+    for (const chat of chats) {
+      if (chat.messages.length > 0) {
+        chatIds.push(await importChat(chat));
+      }
+    }
+    return chatIds;
+  } catch (error) {
+    console.error('Error importing chats:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+// Every chat the user has, including archived and trashed ones.
+// Each is kept once, in case the views overlap or the server ignores the status filter.
+const listAllChats = async () => {
+  const views = await Promise.all(ARCHIVE_STATUSES.map(status => getAllChatHistory({ status })));
+  const byId = new Map();
+  views.flat().forEach((chat) => {
+    if (!byId.has(chat._id)) {
+      byId.set(chat._id, chat);
+    }
+  });
+  return [...byId.values()];
+};
+
+/**
+ * Download everything the account holds as a zip archive: the profile, the memory the figures
+ * keep about the user, and every chat as JSON (which can be imported again) and as Markdown
+ * @returns {Promise} Resolves once the archive has been handed to the browser
+ */
+export const exportAccountData = async () => {
+  try {
+    const profile = await getUserProfile();
+    if (!profile) {
+      throw new Error('Could not load your profile');
+    }
+    const { memory = null, ...account } = profile;
+
+    const chats = await listAllChats();
+    const exports = [];
+    for (let i = 0; i < chats.length; i += ARCHIVE_BATCH_SIZE) {
+      const batch = chats.slice(i, i + ARCHIVE_BATCH_SIZE);
+      exports.push(...await Promise.all(batch.map(chat => loadChat(chat._id))));
+    }
+
+    const now = new Date();
+    const files = [
+      { name: 'profile.json', content: JSON.stringify(account, null, 2) },
+      { name: 'memory.json', content: JSON.stringify(memory, null, 2) },
+      { name: 'chats.json', content: toExportJson(exports, now) },
+      // Numbered, so chats with the same title don't overwrite each other
+      ...exports.map((chatExport, index) => ({
+        name: `chats/${String(index + 1).padStart(3, '0')}-${getExportFilename([chatExport], 'md', now)}`,
+        content: toMarkdown([chatExport])
+      }))
+    ];
+
+    downloadFile(createZip(files, now), `wisdomai-data-${format(now, 'yyyy-MM-dd')}.zip`, 'application/zip');
+  } catch (error) {
+    console.error('Error exporting account data:', error.response?.data || error.message);
+    throw error;
+  }
+};
@@ -0,0 +1,140 @@
+import { importChats, exportAccountData } from './exportService';
+import { getChat, getAllChatHistory, getChatMessages, saveMessage, renameChat, setChatTags } from './chatService';
+import { getUserProfile } from './userService';
+import { downloadFile } from '../utils/chatExport';
+import { createZip } from '../utils/zip';
+
+jest.mock('./chatService', () => ({
+  getChat: jest.fn(),
+  getAllChatHistory: jest.fn(),
+  getChatMessages: jest.fn(),
+  saveMessage: jest.fn(),
+  renameChat: jest.fn(),
+  setChatTags: jest.fn()
+}));
+jest.mock('./userService', () => ({ getUserProfile: jest.fn() }));
+jest.mock('../components/MarkdownMessage', () => ({ renderMarkdownToHtml: content => content }));
+jest.mock('../utils/chatExport', () => ({
+  ...jest.requireActual('../utils/chatExport'),
+  downloadFile: jest.fn()
+}));
+jest.mock('../utils/zip', () => ({ createZip: jest.fn() }));
+
+// Stands in for the server: each saved message gets a new ID in the chat it is added to
+const mockServer = () => {
+  const chats = new Map();
+  let nextId = 1;
+
+  saveMessage.mockImplementation(async (chatId, message, wisdomFigure, parentId) => {
+    const id = chatId || `chat-${nextId++}`;
+    const messages = chats.get(id) || [];
+    messages.push({ ...message, parentId, _id: `new-${nextId++}` });
+    chats.set(id, messages);
+    return { _id: id, messages: [...messages] };
+  });
+
+  return chats;
+};
+
+describe('importChats', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('re-links every branch to the new IDs of its parents', async () => {
+    const chats = mockServer();
+
+    const [chatId] = await importChats([{
+      title: 'On virtue',
+      wisdomFigure: 'Socrates',
+      messages: [
+        { _id: 'u1', role: 'user', content: 'Is virtue teachable?', parentId: null },
+        { _id: 'a1', role: 'assistant', content: 'Let us see.', parentId: 'u1' },
+        { _id: 'u1b', role: 'user', content: 'Can virtue be taught?', parentId: null },
+        { _id: 'a1b', role: 'assistant', content: 'By habit.', parentId: 'u1b' },
+        { _id: 'u2', role: 'user', content: 'How?', parentId: 'a1' }
+      ]
+    }]);
+
+    const saved = chats.get(chatId);
+    const newIdOf = content => saved.find(message => message.content === content)._id;
+
+    expect(saved.map(({ content, parentId }) => [content, parentId])).toEqual([
+      ['Is virtue teachable?', null],
+      ['Let us see.', newIdOf('Is virtue teachable?')],
+      ['Can virtue be taught?', null],
+      ['By habit.', newIdOf('Can virtue be taught?')],
+      ['How?', newIdOf('Let us see.')]
+    ]);
+    // Exported IDs never reach the server
+    expect(saved.every(message => !['u1', 'a1', 'u1b', 'a1b', 'u2'].includes(message._id))).toBe(true);
+    expect(saveMessage.mock.calls.every(([, message]) => message._id === undefined)).toBe(true);
+  });
+
+  it('links messages from exports without parents to the message before them', async () => {
+    const chats = mockServer();
+
+    const [chatId] = await importChats([{
+      messages: [
+        { _id: 'u1', role: 'user', content: 'Hi' },
+        { _id: 'a1', role: 'assistant', content: 'Hello' }
+      ]
+    }]);
+
+    const [first, second] = chats.get(chatId);
+    expect(first.parentId).toBeNull();
+    expect(second.parentId).toBe(first._id);
+  });
+
+  it('appends a message whose parent is missing from the file to the end of the chat', async () => {
+    const chats = mockServer();
+
+    const [chatId] = await importChats([{
+      messages: [{ _id: 'a2', role: 'assistant', content: 'Orphan', parentId: 'gone' }]
+    }]);
+
+    expect(chats.get(chatId)[0].parentId).toBeUndefined();
+  });
+
+  it('restores the title and tags, and skips chats without messages', async () => {
+    mockServer();
+
+    const chatIds = await importChats([
+      { title: 'Empty', messages: [] },
+      { title: 'On virtue', tags: ['philosophy'], messages: [{ role: 'user', content: 'Hi' }] }
+    ]);
+
+    expect(chatIds).toHaveLength(1);
+    expect(renameChat).toHaveBeenCalledWith(chatIds[0], 'On virtue');
+    expect(setChatTags).toHaveBeenCalledWith(chatIds[0], ['philosophy']);
+  });
+});
+
+describe('exportAccountData', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('exports each chat once when the history views overlap', async () => {
+    const chat = (id, fields = {}) => ({ _id: id, title: `Chat ${id}`, ...fields });
+    getUserProfile.mockResolvedValue({ username: 'reader', memory: { facts: [] } });
+    // A server that ignores the status filter lists every chat in every view
+    getAllChatHistory.mockImplementation(async ({ status }) => (status === 'trashed'
+      ? [chat('c3', { deletedAt: '2024-03-01T00:00:00Z' })]
+      : [chat('c1'), chat('c2', { archived: true }), ...(status ? [] : [chat('c3')])]));
+    getChat.mockImplementation(async chatId => chat(chatId));
+    getChatMessages.mockResolvedValue([{ _id: 'u1', role: 'user', content: 'Hi' }]);
+    const archive = new Uint8Array([1]);
+    createZip.mockReturnValue(archive);
+
+    await exportAccountData();
+
+    expect(getChatMessages.mock.calls.map(([chatId]) => chatId)).toEqual(['c1', 'c2', 'c3']);
+
+    const [files] = createZip.mock.calls[0];
+    const chatsJson = JSON.parse(files.find(file => file.name === 'chats.json').content);
+    expect(chatsJson.chats.map(exported => exported._id)).toEqual(['c1', 'c2', 'c3']);
+    expect(files.filter(file => file.name.startsWith('chats/'))).toHaveLength(3);
+    expect(downloadFile).toHaveBeenCalledWith(archive, expect.stringMatching(/^wisdomai-data-.*\.zip$/), 'application/zip');
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Offline outbox for user messages
+ * Messages written while the server can't be reached are kept in IndexedDB
+ * and replayed in order, with their replies, once connectivity returns
+ */
+import { runInStore } from '../utils/indexedDb';
+import { getUser } from '../utils/auth';
+import { getChat, sendMessage, requestReply, saveMessage, updateMemory } from './chatService';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
+const STORE_NAME = 'outbox';
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Identifies the signed-in user so queued messages aren't replayed into another account
+ * @returns {string|null} Stable key for the current user
+ */
+const getOwnerKey = () => {
+  const user = getUser();
+  return user ? user._id || user.id || user.email || null : null;
+};
+
+/**
+ * Get the current user's queued messages, oldest first
+ * @returns {Promise<Array>} Outbox entries
+ */
+export const getOutbox = async () => {
+  try {
+    const entries = await runInStore(STORE_NAME, 'readonly', store => store.getAll());
+    const owner = getOwnerKey();
+    return (entries || [])
+      .filter(entry => entry.owner === owner)
+      .sort((a, b) => a.id - b.id);
+  } catch (error) {
+    console.error('Error reading outbox:', error);
+    return [];
+  }
+};
+
+/**
+ * Queue a user message for delivery
+ * @param {Object} entry - chatId, parentId, content and figure of the message;
+ *   afterOutboxId links it to a queued message it has to follow
+ * @returns {Promise<number>} ID of the outbox entry
+ */
+export const addToOutbox = async (entry) => {
+  return runInStore(STORE_NAME, 'readwrite', store => store.add({
+    ...entry,
+    owner: getOwnerKey(),
+    status: 'pending',
+    createdAt: new Date().toISOString()
+  }));
+};
+
+/**
+ * Store changes to a queued message
+ * @param {Object} entry - The full outbox entry
+ * @returns {Promise} Resolves once written
+ */
+const putOutboxEntry = async (entry) => {
+  return runInStore(STORE_NAME, 'readwrite', store => store.put(entry));
+};
+
+/**
+ * Remove a queued message, re-linking anything queued behind it
+ * @param {number} id - ID of the outbox entry
+ * @returns {Promise} Resolves once removed
+ */
+export const discardOutboxEntry = async (id) => {
+  const entries = await getOutbox();
+  const entry = entries.find(item => item.id === id);
+
+  await Promise.all(entries
+    .filter(item => item.afterOutboxId === id)
+    .map(item => putOutboxEntry({
+      ...item,
+      afterOutboxId: entry ? entry.afterOutboxId : null,
+      parentId: entry ? entry.parentId : null
+    })));
+
+  return runInStore(STORE_NAME, 'readwrite', store => store.delete(id));
+};
+
+/**
+ * Send a message whose chat was deleted, trashed or archived as the start of a new chat instead
+ * @param {number} id - ID of the conflicting outbox entry
+ * @returns {Promise} Resolves once updated
+ */
+export const resendAsNewChat = async (id) => {
+  const entries = await getOutbox();
+  const entry = entries.find(item => item.id === id);
+  if (!entry) return;
+
+  await putOutboxEntry({ ...entry, chatId: null, parentId: null, savedMessageId: null, status: 'pending', conflictReason: null });
+};
+
+/**
+ * Check whether the API server answers at all
+ * navigator.onLine only reports a network interface, not a working route to the server
+ * @returns {Promise<boolean>} True if the server is reachable
+ */
+export const checkServerReachable = async () => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), HEALTH_CHECK_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(`${API_URL}/health`, { signal: controller.signal, cache: 'no-store' });
+    return response.ok;
+  } catch (error) {
+    return false;
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+/**
+ * Find out whether the chat a message was queued for can still take it
+ * Trashed and archived chats still answer, so a failed send alone doesn't catch them
+ * @param {string|null} chatId - The chat, or null for a message that starts a new chat
+ * @returns {Promise<string|null>} 'deleted', 'trashed' or 'archived', or null if the chat is fine
+ */
+const getConflictReason = async (chatId) => {
+  if (!chatId) return null;
+
+  try {
+    const chat = await getChat(chatId);
+    if (chat?.deletedAt) return 'trashed';
+    if (chat?.archived) return 'archived';
+    return null;
+  } catch (error) {
+    if (error.response?.status === 404) return 'deleted';
+    throw error;
+  }
+};
+
+/**
+ * Deliver one queued message and wait for the figure's full reply
+ * @param {Object} entry - The outbox entry
+ * @returns {Promise<Object>} Chat ID and ID of the saved reply
+ */
+const deliverEntry = async (entry) => {
+  let { chatId, savedMessageId: messageId } = entry;
+  let setupStream;
+
+  if (messageId) {
+    // The message was saved on an earlier attempt; only the reply is missing
+    ({ setupStream } = await requestReply(chatId, entry.content, entry.figure, messageId));
+  } else {
+    ({ chatId, messageId, setupStream } = await sendMessage(entry.chatId, { content: entry.content }, entry.figure, entry.parentId));
+
+    // Never save the same message twice if the reply fails below
+    Object.assign(entry, { chatId, savedMessageId: messageId });
+    await putOutboxEntry(entry);
+  }
+
+  const reply = await new Promise((resolve, reject) => {
+    setupStream(() => {}, resolve, reject);
+  });
+
+  const savedChat = await saveMessage(chatId, { role: 'assistant', content: reply, figure: entry.figure }, undefined, messageId || undefined);
+
+  updateMemory(entry.content, reply, entry.figure)
+    .catch(err => console.error('Error updating memory:', err));
+
+  const savedMessages = savedChat.messages || [];
+  return {
+    chatId,
+    replyId: savedMessages.length > 0 ? savedMessages[savedMessages.length - 1]._id : null
+  };
+};
+
+/**
+ * Replay queued messages in order
+ * Stops at the first network failure so later messages never overtake earlier ones
+ * @param {Object} callbacks - onDelivered(chatId, queuedChatId) and onConflict(entry)
+ * @returns {Promise} Resolves when the outbox is drained or delivery has to wait
+ */
+const deliverPending = async ({ onDelivered = () => {}, onConflict = () => {} }) => {
+  const entries = await getOutbox();
+
+  for (const entry of entries) {
+    // Conflicts wait for the user, and so does everything queued behind them
+    if (entry.status === 'conflict' || entry.afterOutboxId) continue;
+
+    // Chat the message was queued for; null when it starts a new chat
+    const queuedChatId = entry.chatId;
+
+    let delivered;
+    let conflictReason;
+    try {
+      conflictReason = await getConflictReason(entry.chatId);
+      if (!conflictReason) {
+        delivered = await deliverEntry(entry);
+      }
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error('Error replaying outbox, will retry later:', error.response?.data || error.message);
+        return;
+      }
+      conflictReason = 'deleted';
+    }
+
+    if (conflictReason) {
+      console.warn(`Chat for queued message was ${conflictReason}:`, entry.chatId);
+      const conflict = { ...entry, status: 'conflict', conflictReason };
+      await putOutboxEntry(conflict);
+      onConflict(conflict);
+      continue;
+    }
+
+    await runInStore(STORE_NAME, 'readwrite', store => store.delete(entry.id));
+
+    // Messages queued behind this one continue from its reply
+    for (const next of entries) {
+      if (next.afterOutboxId === entry.id) {
+        Object.assign(next, { chatId: delivered.chatId, parentId: delivered.replyId, afterOutboxId: null });
+        await putOutboxEntry(next);
+      }
+    }
+
+    onDelivered(delivered.chatId, queuedChatId);
+  }
+};
+
+let flushPromise = null;
+
+/**
+ * Replay queued messages; concurrent calls share a single run
+ * @param {Object} callbacks - onDelivered(chatId, queuedChatId) and onConflict(entry)
+ * @returns {Promise} Resolves when the run finishes
+ */
+export const flushOutbox = (callbacks = {}) => {
+  if (!flushPromise) {
+    flushPromise = deliverPending(callbacks).finally(() => {
+      flushPromise = null;
+    });
+  }
+  return flushPromise;
+};
@@ -0,0 +1,140 @@
+/**
+ * Full-text search across past conversations
+ * Uses the server's search endpoint when it has one; otherwise messages are
+ * fetched per chat, cached, and searched through an index built in the browser
+ */
+import { searchChats, getChatMessages, getAllChatHistory, onChatListChanged } from './chatService';
+import { getUser } from '../utils/auth';
+import { buildSearchIndex, querySearchIndex, tokenize, getSnippet } from '../utils/searchIndex';
+
+// Responses meaning the server has no search endpoint, rather than a failed search
+const UNSUPPORTED_STATUSES = [400, 404, 405, 501];
+const FETCH_BATCH_SIZE = 4;
+const MAX_RESULTS = 50;
+
+let serverSearchAvailable = true;
+
+// Messages of each chat, refetched when the chat's updatedAt changes
+const messageCache = new Map();
+let cachedIndex = { key: null, index: null };
+
+/**
+ * Fetch messages for chats that are new or changed since they were cached
+ * @param {Array} chats - Chats from getChatHistory
+ * @returns {Promise} Resolves once the cache is current
+ */
+const refreshMessageCache = async (chats) => {
+  const stale = chats.filter(chat => messageCache.get(chat._id)?.updatedAt !== chat.updatedAt);
+
+  // A few at a time, so a long history doesn't flood the server
+  for (let i = 0; i < stale.length; i += FETCH_BATCH_SIZE) {
+    await Promise.all(stale.slice(i, i + FETCH_BATCH_SIZE).map(async (chat) => {
+      try {
+        const messages = await getChatMessages(chat._id);
+        messageCache.set(chat._id, { updatedAt: chat.updatedAt, messages: messages || [] });
+      } catch (error) {
+        console.error('Error caching chat messages for search:', chat._id, error);
+      }
+    }));
+  }
+
+  // Forget chats that were deleted
+  const chatIds = new Set(chats.map(chat => chat._id));
+  [...messageCache.keys()].forEach((chatId) => {
+    if (!chatIds.has(chatId)) {
+      messageCache.delete(chatId);
+    }
+  });
+};
+
+// Every chat of the signed-in user, listed once for local searches and again only after chats change
+let listedChats = null;
+let listedFor = null;
+let listVersion = 0;
+
+onChatListChanged(() => {
+  listVersion += 1;
+  listedFor = null;
+});
+
+const listChatsToSearch = async () => {
+  const user = getUser();
+  const owner = user ? user._id || user.id || user.email : null;
+  if (listedFor !== null && listedFor === owner) return listedChats;
+
+  const version = listVersion;
+  try {
+    const chats = await getAllChatHistory();
+    listedChats = chats;
+    // A change made while listing means the list may already be out of date
+    listedFor = version === listVersion ? owner : null;
+  } catch (error) {
+    // Search what was listed before, if anything, when the history can't be listed now
+    console.error('Error listing chats to search:', error);
+  }
+  return listedChats || [];
+};
+
+/**
+ * Get the local index for the given chats, rebuilding it only when a chat changed
+ * @param {Array} chats - Chats from getChatHistory
+ * @returns {Promise<Object>} Search index over their messages
+ */
+const getLocalIndex = async (chats) => {
+  await refreshMessageCache(chats);
+
+  const key = chats.map(chat => `${chat._id}:${messageCache.get(chat._id)?.updatedAt}`).join('|');
+  if (cachedIndex.key === key) {
+    return cachedIndex.index;
+  }
+
+  const documents = chats.flatMap(chat => (messageCache.get(chat._id)?.messages || [])
+    // Debate prompts are scaffolding written for the figures, not something the user said
+    .filter(message => message._id && message.content && !(message.role === 'user' && message.debate))
+    .map(message => ({
+      chatId: chat._id,
+      chatTitle: chat.title,
+      messageId: message._id,
+      role: message.role,
+      figure: message.figure || chat.wisdomFigure || null,
+      content: message.content,
+      date: message.createdAt || chat.updatedAt
+    })));
+
+  cachedIndex = { key, index: buildSearchIndex(documents) };
+  return cachedIndex.index;
+};
+
+/**
+ * Search the contents of every message the user has exchanged
+ * @param {string} query - Text to look for
+ * @returns {Promise<Array>} Matches, newest first, each with a snippet around the match
+ */
+export const searchMessages = async (query) => {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  let results = null;
+
+  if (serverSearchAvailable) {
+    try {
+      results = await searchChats(query);
+    } catch (error) {
+      if (UNSUPPORTED_STATUSES.includes(error.response?.status)) {
+        // Don't ask again this session
+        serverSearchAvailable = false;
+      }
+    }
+  }
+
+  // No search endpoint, or the server can't be reached: search what can be fetched or is cached.
+  // The history shows only the pages scrolled to so far, so every chat is listed here.
+  if (!results) {
+    results = querySearchIndex(await getLocalIndex(await listChatsToSearch()), query);
+  }
+
+  return results
+    .map(result => ({ ...result, snippet: result.snippet || getSnippet(result.content, terms) }))
+    .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0))
+    .slice(0, MAX_RESULTS);
+};
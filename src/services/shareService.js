@@ -0,0 +1,98 @@
+/**
+ * Read-only links to snapshots of a chat
+ * A share is a copy of the chat taken when the link is made, so later messages
+ * aren't shown, and revoking the link removes the copy
+ */
+import axios from 'axios';
+import api from './api';
+import { getAuthToken } from '../utils/auth';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
+const API_VERSION = '/api/v1';
+
+/**
+ * Address at which a share can be viewed
+ * @param {string} shareId - The share ID
+ * @returns {string} Absolute URL of the shared page
+ */
+export const getShareUrl = (shareId) => `${window.location.origin}/share/${shareId}`;
+
+/**
+ * Create a read-only snapshot of a chat
+ * @param {string} chatId - The chat ID
+ * @param {Object} [options] - Share options
+ * @param {boolean} [options.redactUserMessages=false] - Whether the user's own messages are left out of the snapshot
+ * @returns {Promise} Share object with _id, createdAt and redactUserMessages
+ */
+export const shareChat = async (chatId, { redactUserMessages = false } = {}) => {
+  try {
+    const response = await api.post(`${API_URL}${API_VERSION}/chat/${chatId}/shares`,
+      { redactUserMessages },
+      {
+        headers: {
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error sharing chat:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get the links that have been made for a chat and not revoked
+ * @param {string} chatId - The chat ID
+ * @returns {Promise} Array of share objects, newest first
+ */
+export const getChatShares = async (chatId) => {
+  try {
+    const response = await api.get(`${API_URL}${API_VERSION}/chat/${chatId}/shares`, {
+      headers: {
+        Authorization: `Bearer ${getAuthToken()}`
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching chat shares:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a link, so that it no longer shows the chat
+ * @param {string} shareId - The share ID
+ * @returns {Promise} Success response
+ */
+export const revokeShare = async (shareId) => {
+  try {
+    const response = await api.delete(`${API_URL}${API_VERSION}/shares/${shareId}`, {
+      headers: {
+        Authorization: `Bearer ${getAuthToken()}`
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error revoking share:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get a shared chat; anyone with the link can, so no token is sent
+ * A bare axios call, so a viewer's session is never refreshed or ended from a public page
+ * @param {string} shareId - The share ID
+ * @returns {Promise} Snapshot with title, wisdomFigure, createdAt and messages;
+ *   user messages in a redacted snapshot have redacted set and no content
+ */
+export const getSharedChat = async (shareId) => {
+  try {
+    const response = await axios.get(`${API_URL}${API_VERSION}/shares/${shareId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching shared chat:', error.response?.data || error.message);
+    throw error;
+  }
+};
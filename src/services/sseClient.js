@@ -0,0 +1,97 @@
+/**
+ * Minimal Server-Sent Events client built on fetch
+ * Unlike EventSource it can POST a JSON body and send an Authorization header,
+ * so nothing sensitive has to travel in the URL
+ */
+
+/**
+ * Parses one raw SSE event block into its fields
+ * @param {string} block - Lines of a single event, without the blank separator line
+ * @returns {Object|null} Event with id, event and data fields, or null for comment-only blocks
+ */
+export const parseEventBlock = (block) => {
+  const event = { id: null, event: 'message', data: '' };
+  const dataLines = [];
+
+  block.split(/\r?\n/).forEach((line) => {
+    // Lines starting with a colon are comments / keep-alives
+    if (!line || line.startsWith(':')) return;
+
+    const separatorIndex = line.indexOf(':');
+    const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+    let value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    if (field === 'data') {
+      dataLines.push(value);
+    } else if (field === 'id') {
+      event.id = value;
+    } else if (field === 'event') {
+      event.event = value;
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+
+  event.data = dataLines.join('\n');
+  return event;
+};
+
+/**
+ * POSTs a JSON body and reads the response as an event stream
+ * @param {string} url - Streaming endpoint URL
+ * @param {Object} options - Request options
+ * @param {Object} options.body - JSON body to send
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
+ * @param {Function} options.onEvent - Called with each parsed event
+ * @returns {Promise<void>} Resolves when the server closes the stream
+ */
+export const postEventStream = async (url, { body, headers = {}, signal, onEvent }) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      ...headers
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok || !response.body) {
+    const error = new Error(`Stream request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+
+    blocks.forEach((block) => {
+      const event = parseEventBlock(block);
+      if (event) {
+        onEvent(event);
+      }
+    });
+  }
+
+  // Flush a final event the server didn't terminate with a blank line
+  const event = parseEventBlock(buffer + decoder.decode());
+  if (event) {
+    onEvent(event);
+  }
+};
@@ -0,0 +1,143 @@
+/**
+ * @jest-environment node
+ */
+import { parseEventBlock, postEventStream } from './sseClient';
+
+/**
+ * Stand-in for fetch whose response body delivers the given chunks one read at a time
+ * @param {Array<string|Uint8Array>} chunks - Pieces of the response body
+ * @param {Object} [response] - Overrides for the response, such as ok and status
+ * @returns {Function} Mock fetch
+ */
+const mockFetch = (chunks, response = {}) => {
+  const encoder = new TextEncoder();
+  const queue = chunks.map(chunk => (typeof chunk === 'string' ? encoder.encode(chunk) : chunk));
+
+  return jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: async () => (queue.length > 0
+          ? { value: queue.shift(), done: false }
+          : { value: undefined, done: true })
+      })
+    },
+    ...response
+  });
+};
+
+const collectEvents = async () => {
+  const events = [];
+  await postEventStream('http://test/stream', {
+    body: { message: 'Hi' },
+    onEvent: event => events.push(event)
+  });
+  return events;
+};
+
+describe('parseEventBlock', () => {
+  it('reads the id, event type and data of a block', () => {
+    expect(parseEventBlock('id: 7\nevent: chunk\ndata: {"content":"Hi"}')).toEqual({
+      id: '7',
+      event: 'chunk',
+      data: '{"content":"Hi"}'
+    });
+  });
+
+  it('joins several data lines with newlines and defaults the event type', () => {
+    expect(parseEventBlock('data: first\ndata: second')).toEqual({
+      id: null,
+      event: 'message',
+      data: 'first\nsecond'
+    });
+  });
+
+  it('removes only one leading space from a value', () => {
+    expect(parseEventBlock('data:  indented').data).toBe(' indented');
+    expect(parseEventBlock('data:tight').data).toBe('tight');
+  });
+
+  it('accepts CRLF line endings', () => {
+    expect(parseEventBlock('id: 1\r\ndata: x')).toMatchObject({ id: '1', data: 'x' });
+  });
+
+  it('ignores comments and blocks without data', () => {
+    expect(parseEventBlock(': keep-alive')).toBeNull();
+    expect(parseEventBlock('id: 3')).toBeNull();
+    expect(parseEventBlock(': ping\ndata: x').data).toBe('x');
+  });
+});
+
+describe('postEventStream', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('posts the body as JSON with the given headers', async () => {
+    global.fetch = mockFetch([]);
+    const signal = new AbortController().signal;
+
+    await postEventStream('http://test/stream', {
+      body: { message: 'Hi' },
+      headers: { Authorization: 'Bearer token' },
+      signal,
+      onEvent: () => {}
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('http://test/stream', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        Authorization: 'Bearer token'
+      },
+      body: '{"message":"Hi"}',
+      signal
+    });
+  });
+
+  it('reassembles events split across chunks', async () => {
+    global.fetch = mockFetch(['id: 1\nda', 'ta: {"content":"Hel', 'lo"}\n', '\nid: 2\ndata: {"done":true}\n\n']);
+
+    expect(await collectEvents()).toEqual([
+      { id: '1', event: 'message', data: '{"content":"Hello"}' },
+      { id: '2', event: 'message', data: '{"done":true}' }
+    ]);
+  });
+
+  it('finds a CRLF separator split between chunks', async () => {
+    global.fetch = mockFetch(['data: a\r\n\r', '\ndata: b\r\n\r\n']);
+
+    expect((await collectEvents()).map(event => event.data)).toEqual(['a', 'b']);
+  });
+
+  it('decodes a multi-byte character split between chunks', async () => {
+    const bytes = new TextEncoder().encode('data: café\n\n');
+    // "é" takes two bytes; cut between them
+    const cut = bytes.length - 3;
+    global.fetch = mockFetch([bytes.slice(0, cut), bytes.slice(cut)]);
+
+    expect((await collectEvents()).map(event => event.data)).toEqual(['café']);
+  });
+
+  it('delivers a last event not followed by a blank line', async () => {
+    global.fetch = mockFetch(['data: a\n\n', 'data: b']);
+
+    expect((await collectEvents()).map(event => event.data)).toEqual(['a', 'b']);
+  });
+
+  it('skips keep-alive comments between events', async () => {
+    global.fetch = mockFetch([': ping\n\n', 'data: a\n\n', ': ping\n\n']);
+
+    expect((await collectEvents()).map(event => event.data)).toEqual(['a']);
+  });
+
+  it('rejects with the status of a failed request', async () => {
+    global.fetch = mockFetch([], { ok: false, status: 401 });
+
+    await expect(collectEvents()).rejects.toMatchObject({ status: 401 });
+  });
+});
@@ -1,10 +1,9 @@
 /**
  * Service for user-related API calls
  */
+import api from './api';
 import { getAuthToken } from '../utils/auth';
 
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
-
 /**
  * Fetch the current user's profile with memory information
  * @returns {Promise<Object>} User profile with memory data
@@ -16,19 +15,72 @@ export const getUserProfile = async () => {
       throw new Error('No authentication token found');
     }
     
-    const response = await fetch(`${API_URL}/api/users/profile`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error('Failed to fetch user profile');
-    }
-    
-    return await response.json();
+    const response = await api.get('/api/users/profile');
+    return response.data;
   } catch (error) {
     console.error('Error fetching user profile:', error);
     return null;
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Send the signed-in user another link to verify their email
+ * @returns {Promise<void>}
+ */
+export const resendVerificationEmail = async () => {
+  try {
+    await api.post('/api/auth/resend-verification');
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    throw new Error(error.response?.data?.message || 'Could not send the email');
+  }
+};
+
+/**
+ * Update the signed-in user's profile
+ * @param {Object} changes - Any of username, email and defaultFigure
+ * @returns {Promise<Object>} The updated user
+ */
+export const updateProfile = async (changes) => {
+  try {
+    const response = await api.patch('/api/users/profile', changes);
+    return response.data.user || response.data;
+  } catch (error) {
+    console.error('Error updating user profile:', error);
+    throw new Error(error.response?.data?.message || 'Could not save your profile');
+  }
+};
+
+/**
+ * Change the signed-in user's password
+ * @param {string} currentPassword - The password in use now
+ * @param {string} newPassword - The password to use from now on
+ * @returns {Promise<Object>} The server's response; it may carry new tokens
+ */
+export const changePassword = async (currentPassword, newPassword) => {
+  try {
+    const response = await api.post(
+      '/api/users/change-password',
+      { currentPassword, newPassword },
+      { skipSessionRefresh: true }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error changing password:', error);
+    throw new Error(error.response?.data?.message || 'Could not change your password');
+  }
+};
+
+/**
+ * Permanently delete the signed-in user's account and everything in it
+ * @param {string} password - The user's password, to confirm it's really them
+ * @returns {Promise<void>}
+ */
+export const deleteAccount = async (password) => {
+  try {
+    await api.delete('/api/users/account', { data: { password }, skipSessionRefresh: true });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    throw new Error(error.response?.data?.message || 'Could not delete your account');
+  }
+};
@@ -0,0 +1,615 @@
+/**
+ * @fileoverview Central store for the state that the chat and the history share:
+ * the listed chats, messages per chat, the active chat and figure, and whether a reply is streaming,
+ * along with the user's appearance preferences.
+ *
+ * The URL stays the source of truth for which chat is open: actions that open a chat navigate,
+ * and the provider copies the route into the store. Components subscribe to just the slices
+ * they need with useAppSelector, and change state through the actions from useAppActions.
+ */
+
+import React, { createContext, useContext, useEffect, useRef, useSyncExternalStore } from 'react';
+import { useNavigate, useMatch } from 'react-router-dom';
+import { WISDOM_FIGURES } from '../components/WisdomSelector';
+import { loadThemePreferences, saveThemePreferences } from '../utils/theme';
+import { loadBranchSelections, saveBranchSelections } from '../utils/branchSelections';
+import { getUser, setUser } from '../utils/auth';
+import { updateProfile } from '../services/userService';
+import {
+  getChat,
+  getChatHistory,
+  getPinnedChats,
+  sendMessage as sendChatMessage,
+  trashChat
+} from '../services/chatService';
+
+// Figure a new chat starts with when the URL doesn't name one and the user hasn't picked a default
+export const DEFAULT_FIGURE = 'Buddha';
+
+// Messages of a chat that hasn't been saved yet are kept under this key
+export const NEW_CHAT_KEY = 'new';
+
+// Chats fetched per page of history
+const PAGE_SIZE = 30;
+
+// Chats updated in quick succession are re-fetched together
+const REFRESH_DEBOUNCE_MS = 300;
+
+// Chats listed in each view of the history, as the status the server filters on
+const VIEW_STATUSES = {
+  chats: undefined,
+  archived: 'archived',
+  trash: 'trashed'
+};
+
+export const newChatPath = (figure) => `/new/${encodeURIComponent(figure)}`;
+
+// Figure names in URLs are matched regardless of case
+export const findFigure = (name) => WISDOM_FIGURES.find(figure => figure.toLowerCase() === name.toLowerCase()) || null;
+
+/**
+ * The figure the signed-in user starts new chats with.
+ *
+ * @returns {string} Their chosen default, or DEFAULT_FIGURE
+ */
+export const getDefaultFigure = () => findFigure(getUser()?.defaultFigure || '') || DEFAULT_FIGURE;
+
+const createInitialState = ({ activeChatId = null, activeFigure = getDefaultFigure() } = {}) => ({
+  activeChatId,
+  activeFigure,
+  // Changes whenever another chat, or another new chat, is opened
+  viewId: 0,
+  // The ID the new chat on screen got once its first message was saved; it stays at /new until the reply is in
+  savedNewChatId: null,
+  // Message picked from search results, waiting to be scrolled to
+  focusedMessageId: null,
+  messagesByChat: {},
+  // Branch picked at each fork, per chat, keyed like messagesByChat; the saved chats' ones outlive the session
+  branchSelectionsByChat: loadBranchSelections(),
+  // The chat a reply is streaming into and the view it was started from, or null while nothing streams
+  streaming: null,
+  // Light, dark or system mode, and whether the chat takes on the figure's colors
+  theme: loadThemePreferences(),
+  history: {
+    view: 'chats',
+    chats: [],
+    nextCursor: null,
+    loading: true,
+    loadingMore: false,
+    error: null
+  }
+});
+
+// Accepts either a new value or a function of the previous one, as setState does
+const applyUpdate = (update, previous) => (typeof update === 'function' ? update(previous) : update);
+
+const withoutChat = (chatList, chatId) => chatList.filter(chat => chat._id !== chatId);
+
+// The chat on screen: the open one, or the new one once it has been saved
+const getViewedChatId = (state) => state.activeChatId || state.savedNewChatId;
+
+const appReducer = (state, action) => {
+  switch (action.type) {
+    case 'chat/selected':
+      if (state.activeChatId === action.chatId) return state;
+      return { ...state, activeChatId: action.chatId, viewId: state.viewId + 1, savedNewChatId: null };
+
+    // Another new chat from a new chat: the route stays the same, so only the view changes
+    case 'chat/restarted':
+      return { ...state, viewId: state.viewId + 1, savedNewChatId: null };
+
+    // The new chat on screen got its ID: its messages move over, so nothing flashes while it reloads
+    case 'chat/saved': {
+      const { [NEW_CHAT_KEY]: newMessages, ...messagesByChat } = state.messagesByChat;
+      const { [NEW_CHAT_KEY]: newSelections, ...branchSelectionsByChat } = state.branchSelectionsByChat;
+      return {
+        ...state,
+        savedNewChatId: action.chatId,
+        messagesByChat: newMessages
+          ? { ...messagesByChat, [action.chatId]: messagesByChat[action.chatId] || newMessages }
+          : messagesByChat,
+        branchSelectionsByChat: newSelections
+          ? { ...branchSelectionsByChat, [action.chatId]: newSelections }
+          : branchSelectionsByChat
+      };
+    }
+
+    case 'chat/deleted': {
+      const { [action.chatId]: deletedMessages, ...messagesByChat } = state.messagesByChat;
+      const { [action.chatId]: deletedSelections, ...branchSelectionsByChat } = state.branchSelectionsByChat;
+      return {
+        ...state,
+        messagesByChat,
+        branchSelectionsByChat,
+        history: { ...state.history, chats: withoutChat(state.history.chats, action.chatId) }
+      };
+    }
+
+    case 'figure/set':
+      if (state.activeFigure === action.figure) return state;
+      return { ...state, activeFigure: action.figure };
+
+    case 'focus/set':
+      return { ...state, focusedMessageId: action.messageId };
+
+    case 'messages/set': {
+      const key = action.chatId || NEW_CHAT_KEY;
+      const previous = state.messagesByChat[key] || [];
+      return {
+        ...state,
+        messagesByChat: { ...state.messagesByChat, [key]: applyUpdate(action.update, previous) }
+      };
+    }
+
+    // The chat changed last moves to the end, so the oldest are the first to be dropped when saving
+    case 'branches/set': {
+      const key = action.chatId || NEW_CHAT_KEY;
+      const { [key]: previous = {}, ...branchSelectionsByChat } = state.branchSelectionsByChat;
+      return {
+        ...state,
+        branchSelectionsByChat: { ...branchSelectionsByChat, [key]: applyUpdate(action.update, previous) }
+      };
+    }
+
+    case 'branches/loaded':
+      return { ...state, branchSelectionsByChat: action.branchSelectionsByChat };
+
+    case 'streaming/set':
+      return { ...state, streaming: action.streaming };
+
+    // Each view is listed afresh
+    case 'history/loading':
+      return {
+        ...state,
+        history: {
+          ...state.history,
+          view: action.view,
+          chats: action.view === state.history.view ? state.history.chats : [],
+          nextCursor: action.view === state.history.view ? state.history.nextCursor : null,
+          loading: true,
+          loadingMore: false
+        }
+      };
+
+    case 'history/loaded':
+      return {
+        ...state,
+        history: { ...state.history, chats: action.chats, nextCursor: action.nextCursor, loading: false, error: null }
+      };
+
+    case 'history/failed':
+      return {
+        ...state,
+        history: { ...state.history, chats: [], loading: false, error: action.error }
+      };
+
+    case 'history/loadingMore':
+      return { ...state, history: { ...state.history, loadingMore: action.loadingMore } };
+
+    case 'history/pageLoaded': {
+      // A chat refreshed in while paging may come back again
+      const known = new Set(state.history.chats.map(chat => chat._id));
+      return {
+        ...state,
+        history: {
+          ...state.history,
+          chats: [...state.history.chats, ...action.chats.filter(chat => !known.has(chat._id))],
+          nextCursor: action.nextCursor,
+          loadingMore: false
+        }
+      };
+    }
+
+    // Chats from outside the loaded pages, such as pinned ones, join the list without changing the paging
+    case 'history/merged': {
+      const known = new Set(state.history.chats.map(chat => chat._id));
+      const added = action.chats.filter(chat => !known.has(chat._id));
+      if (added.length === 0) return state;
+      return { ...state, history: { ...state.history, chats: [...state.history.chats, ...added] } };
+    }
+
+    case 'history/set':
+      return {
+        ...state,
+        history: {
+          ...state.history,
+          chats: applyUpdate(action.update, state.history.chats),
+          ...(action.nextCursor !== undefined && { nextCursor: action.nextCursor })
+        }
+      };
+
+    // Refreshed chats move to the top; only the history itself follows the chat on screen
+    case 'history/refreshed':
+      if (state.history.view !== 'chats') return state;
+      return {
+        ...state,
+        history: {
+          ...state.history,
+          chats: action.updates.reduce((chats, { chatId, chat, deleted }) => {
+            // Chats archived or trashed elsewhere drop out of the history
+            if (chat && !chat.deletedAt && !chat.archived) {
+              return [chat, ...withoutChat(chats, chatId)];
+            }
+            return deleted || chat ? withoutChat(chats, chatId) : chats;
+          }, state.history.chats)
+        }
+      };
+
+    case 'theme/set':
+      return { ...state, theme: action.theme };
+
+    case 'store/reset':
+      return createInitialState();
+
+    default:
+      return state;
+  }
+};
+
+// A minimal external store, so that components re-render only when their slice changes
+const createStore = (reducer, initialState) => {
+  let state = initialState;
+  const listeners = new Set();
+
+  return {
+    getState: () => state,
+    dispatch: (action) => {
+      const nextState = reducer(state, action);
+      if (nextState === state) return;
+      state = nextState;
+      listeners.forEach(listener => listener());
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+// Actions are made once per store; navigate is read through a ref so it is always current
+const createActions = ({ getState, dispatch }, navigateRef) => {
+  const pendingRefreshes = new Set();
+  let refreshTimeout = null;
+
+  const navigate = (...args) => navigateRef.current(...args);
+
+  const actions = {
+    /**
+     * Open a chat, or a new chat when no ID is given
+     * @param {string|null} chatId - The chat to open
+     * @param {string|null} [messageId] - A message in it to scroll to, e.g. from search results
+     */
+    selectChat: (chatId, messageId = null) => {
+      dispatch({ type: 'focus/set', messageId });
+      const { activeChatId, activeFigure } = getState();
+      if (chatId !== activeChatId) {
+        navigate(chatId ? `/chat/${chatId}` : newChatPath(activeFigure));
+      }
+    },
+
+    // The next message will create a new chat
+    startNewChat: () => {
+      const { activeChatId, activeFigure } = getState();
+      if (!activeChatId) {
+        dispatch({ type: 'chat/restarted' });
+      }
+      navigate(newChatPath(activeFigure), { replace: !activeChatId });
+    },
+
+    clearFocusedMessage: () => dispatch({ type: 'focus/set', messageId: null }),
+
+    // A new chat's figure is in its URL; an existing chat just remembers the choice
+    setFigure: (figure) => {
+      dispatch({ type: 'figure/set', figure });
+      if (!getState().activeChatId) {
+        navigate(newChatPath(figure), { replace: true });
+      }
+    },
+
+    /**
+     * Replace a chat's messages
+     * @param {Array|Function} update - The messages, or a function of the previous ones
+     * @param {string|null} [chatId] - The chat they belong to, or null for a new chat that isn't saved yet;
+     *   the chat on screen by default
+     */
+    setMessages: (update, chatId = getViewedChatId(getState())) => {
+      dispatch({ type: 'messages/set', chatId, update });
+    },
+
+    /**
+     * Pick branches at the forks of a chat. Saved chats keep them for the next visit.
+     * @param {Object|Function} update - Child key by parent key, or a function of the previous selections
+     * @param {string|null} [chatId] - The chat, or null for a new chat that isn't saved yet;
+     *   the chat on screen by default
+     */
+    setBranchSelections: (update, chatId = getViewedChatId(getState())) => {
+      dispatch({ type: 'branches/set', chatId, update });
+      const { [NEW_CHAT_KEY]: newSelections, ...savedSelections } = getState().branchSelectionsByChat;
+      saveBranchSelections(savedSelections);
+    },
+
+    // A reply starts streaming into the chat on screen, or stops
+    setStreaming: (isStreaming) => {
+      const state = getState();
+      if (Boolean(state.streaming) === isStreaming) return;
+      dispatch({
+        type: 'streaming/set',
+        streaming: isStreaming ? { chatId: getViewedChatId(state), viewId: state.viewId } : null
+      });
+    },
+
+    /**
+     * Save a user message and prepare the figure's reply, as chatService.sendMessage does.
+     * A reply streaming into a chat that is only now created is tracked under its new ID,
+     * and the chat takes that ID on screen if the user is still looking at it.
+     * @param {string|null} chatId - The chat ID, or null to create a new chat
+     * @param {Object} message - The message with content and any extra fields
+     * @param {string} figure - The figure replying
+     * @param {string|null} [parentId] - Message this one follows
+     * @returns {Promise} The chatId, messageId and setupStream of chatService.sendMessage
+     */
+    sendMessage: async (chatId, message, figure, parentId = null) => {
+      const { viewId } = getState();
+      const result = await sendChatMessage(chatId, message, figure, parentId);
+      const { streaming, activeChatId, viewId: currentViewId } = getState();
+      if (!chatId && !activeChatId && currentViewId === viewId) {
+        dispatch({ type: 'chat/saved', chatId: result.chatId });
+      }
+      if (streaming && streaming.chatId !== result.chatId) {
+        dispatch({ type: 'streaming/set', streaming: { ...streaming, chatId: result.chatId } });
+      }
+      return result;
+    },
+
+    /**
+     * The new chat on screen was saved some other way, e.g. from the outbox
+     * @param {string} chatId - Its new ID
+     */
+    newChatSaved: (chatId) => {
+      if (!getState().activeChatId) {
+        dispatch({ type: 'chat/saved', chatId });
+      }
+    },
+
+    /**
+     * A chat was changed, e.g. a message was saved or it was retitled.
+     * A new chat still on screen at /new moves to its own URL, replacing the /new entry
+     * so going back doesn't land on an empty chat. Other chats are only refreshed in the history.
+     * @param {string} chatId - The chat ID
+     */
+    chatUpdated: (chatId) => {
+      const { activeChatId, savedNewChatId } = getState();
+      if (!activeChatId && chatId === savedNewChatId) {
+        navigate(`/chat/${chatId}`, { replace: true });
+      }
+      actions.refreshChat(chatId);
+    },
+
+    // Re-fetch just the chats that changed, instead of reloading the whole history
+    refreshChat: (chatId) => {
+      pendingRefreshes.add(chatId);
+      if (refreshTimeout) {
+        clearTimeout(refreshTimeout);
+      }
+
+      refreshTimeout = setTimeout(async () => {
+        refreshTimeout = null;
+        const chatIds = [...pendingRefreshes];
+        pendingRefreshes.clear();
+
+        const updates = await Promise.all(chatIds.map(id => getChat(id)
+          .then(chat => ({ chatId: id, chat }))
+          .catch(err => ({ chatId: id, chat: null, deleted: err.response?.status === 404 }))));
+
+        dispatch({ type: 'history/refreshed', updates });
+      }, REFRESH_DEBOUNCE_MS);
+    },
+
+    /**
+     * Move a chat to the trash. It leaves the history and, if it is open, the screen right away.
+     * @param {string} chatId - The chat ID
+     * @returns {Promise} Rejects if the server didn't trash the chat
+     */
+    deleteChat: async (chatId) => {
+      if (getState().activeChatId === chatId) {
+        actions.startNewChat();
+      }
+      dispatch({ type: 'chat/deleted', chatId });
+      await trashChat(chatId);
+    },
+
+    /**
+     * Load the first page of a view of the history
+     * @param {string} [view] - 'chats', 'archived' or 'trash'; the view listed now by default
+     */
+    loadHistory: async (view = getState().history.view) => {
+      dispatch({ type: 'history/loading', view });
+
+      try {
+        const page = await getChatHistory({ limit: PAGE_SIZE, status: VIEW_STATUSES[view] });
+        // The user may have switched views while this was loading
+        if (getState().history.view !== view) return;
+        dispatch({ type: 'history/loaded', chats: page.chats, nextCursor: page.nextCursor });
+      } catch (err) {
+        if (getState().history.view !== view) return;
+        console.error('Error loading chat history:', err);
+        dispatch({ type: 'history/failed', error: 'Failed to load chat history' });
+        return;
+      }
+
+      // Pinned chats are listed at the top, however far down the pages they are
+      if (view === 'chats' && getState().history.nextCursor) {
+        try {
+          const pinnedChats = await getPinnedChats();
+          if (getState().history.view !== view) return;
+          dispatch({ type: 'history/merged', chats: pinnedChats });
+        } catch (err) {
+          console.error('Error loading pinned chats:', err);
+        }
+      }
+    },
+
+    // Append the next page of the view listed now
+    loadMoreHistory: async () => {
+      const { view, nextCursor, loadingMore } = getState().history;
+      if (!nextCursor || loadingMore) return;
+
+      dispatch({ type: 'history/loadingMore', loadingMore: true });
+      try {
+        const page = await getChatHistory({ cursor: nextCursor, limit: PAGE_SIZE, status: VIEW_STATUSES[view] });
+        if (getState().history.view !== view) return;
+        dispatch({ type: 'history/pageLoaded', chats: page.chats, nextCursor: page.nextCursor });
+      } catch (err) {
+        console.error('Error loading more chat history:', err);
+        dispatch({ type: 'history/loadingMore', loadingMore: false });
+      }
+    },
+
+    /**
+     * Change the listed chats, e.g. to show an edit before the server confirms it
+     * @param {Array|Function} update - The chats, or a function of the previous ones
+     * @param {string|null} [nextCursor] - Cursor of the next page, if that changes too
+     */
+    setHistoryChats: (update, nextCursor) => {
+      dispatch({ type: 'history/set', update, nextCursor });
+    },
+
+    /**
+     * Change appearance preferences and save them for the signed-in user
+     * @param {Object} changes - Any of mode ('light', 'dark' or 'system') and figureAmbience
+     */
+    setThemePreferences: (changes) => {
+      const theme = { ...getState().theme, ...changes };
+      saveThemePreferences(theme);
+      dispatch({ type: 'theme/set', theme });
+    },
+
+    // Each user has their own preferences, so they are read again on signing in
+    loadUserPreferences: () => {
+      dispatch({ type: 'theme/set', theme: loadThemePreferences() });
+      dispatch({ type: 'branches/loaded', branchSelectionsByChat: loadBranchSelections() });
+      if (!getState().activeChatId) {
+        dispatch({ type: 'figure/set', figure: getDefaultFigure() });
+      }
+    },
+
+    /**
+     * Change the figure new chats start with, and save it to the user's profile.
+     * A new chat that is open takes it on right away.
+     * @param {string} figure - One of the wisdom figures
+     */
+    setDefaultFigure: async (figure) => {
+      const user = getUser();
+      const previousFigure = getState().activeFigure;
+      const isNewChat = !getState().activeChatId;
+
+      setUser({ ...user, defaultFigure: figure });
+      if (isNewChat) {
+        dispatch({ type: 'figure/set', figure });
+      }
+
+      try {
+        await updateProfile({ defaultFigure: figure });
+      } catch (err) {
+        setUser(user);
+        if (isNewChat) {
+          dispatch({ type: 'figure/set', figure: previousFigure });
+        }
+        throw err;
+      }
+    },
+
+    // Forget everything, e.g. when the user logs out
+    reset: () => dispatch({ type: 'store/reset' })
+  };
+
+  return actions;
+};
+
+const AppStoreContext = createContext(null);
+
+/**
+ * Provides the store to the app. Must be rendered inside the router.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - The app
+ * @returns {JSX.Element} The rendered AppStoreProvider component
+ */
+export const AppStoreProvider = ({ children }) => {
+  const navigate = useNavigate();
+  const navigateRef = useRef(navigate);
+  navigateRef.current = navigate;
+
+  const chatMatch = useMatch('/chat/:chatId');
+  const newChatMatch = useMatch('/new/:figure');
+  const routeChatId = chatMatch?.params.chatId || null;
+  const routeFigure = newChatMatch ? findFigure(newChatMatch.params.figure) : null;
+  const isChatRoute = Boolean(chatMatch || newChatMatch);
+
+  // Created once, starting from whatever the URL opens
+  const valueRef = useRef(null);
+  if (!valueRef.current) {
+    const store = createStore(appReducer, createInitialState({
+      activeChatId: routeChatId,
+      activeFigure: routeFigure || getDefaultFigure()
+    }));
+    valueRef.current = { store, actions: createActions(store, navigateRef) };
+  }
+  const { store } = valueRef.current;
+
+  // Pages other than chats, such as settings, leave the last chat as it was
+  useEffect(() => {
+    if (isChatRoute) {
+      store.dispatch({ type: 'chat/selected', chatId: routeChatId });
+    }
+  }, [store, isChatRoute, routeChatId]);
+
+  // A new chat's figure comes from the URL, and carries over once the chat is saved
+  useEffect(() => {
+    if (routeFigure) {
+      store.dispatch({ type: 'figure/set', figure: routeFigure });
+    }
+  }, [store, routeFigure]);
+
+  return (
+    <AppStoreContext.Provider value={valueRef.current}>
+      {children}
+    </AppStoreContext.Provider>
+  );
+};
+
+/**
+ * Subscribe to a slice of the store. The component re-renders only when the slice changes,
+ * so selectors should return values from the state rather than build new objects.
+ *
+ * @param {Function} selector - Picks the slice from the state
+ * @returns {*} The selected slice
+ *
+ * @example
+ * const activeChatId = useAppSelector(state => state.activeChatId);
+ */
+export const useAppSelector = (selector) => {
+  const { store } = useContext(AppStoreContext);
+  return useSyncExternalStore(store.subscribe, () => selector(store.getState()));
+};
+
+/**
+ * The store's actions. They never change, so they are safe to use in effects and callbacks.
+ *
+ * @returns {Object} The actions
+ */
+export const useAppActions = () => useContext(AppStoreContext).actions;
+
+const EMPTY_MESSAGES = [];
+const EMPTY_SELECTIONS = {};
+
+// Common slices
+export const selectActiveMessages = (state) => state.messagesByChat[getViewedChatId(state) || NEW_CHAT_KEY] || EMPTY_MESSAGES;
+export const selectActiveBranchSelections = (state) => state.branchSelectionsByChat[getViewedChatId(state) || NEW_CHAT_KEY] || EMPTY_SELECTIONS;
+export const selectIsStreaming = (state) => state.streaming !== null;
+// Whether the streaming reply belongs to the chat on screen; before a new chat has an ID, that is the view it started in
+export const selectIsStreamingInView = (state) => state.streaming !== null && (state.streaming.chatId
+  ? state.streaming.chatId === getViewedChatId(state)
+  : state.streaming.viewId === state.viewId);
+export const selectStreamingChatId = (state) => state.streaming?.chatId || null;
@@ -15,6 +15,12 @@ const TOKEN_KEY = 'wisdomai_token';
  */
 const USER_KEY = 'wisdomai_user';
 
+/**
+ * Key used to store the refresh token in localStorage.
+ * @constant {string}
+ */
+const REFRESH_TOKEN_KEY = 'wisdomai_refresh_token';
+
 /**
  * Stores or removes the authentication token in localStorage.
  * 
@@ -39,6 +45,62 @@ export const getAuthToken = () => {
   return localStorage.getItem(TOKEN_KEY);
 };
 
+/**
+ * Stores or removes the refresh token in localStorage.
+ * 
+ * @function setRefreshToken
+ * @param {string|null} token - The refresh token to store, or null to remove
+ */
+export const setRefreshToken = (token) => {
+  if (token) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  }
+};
+
+/**
+ * Retrieves the refresh token from localStorage.
+ * 
+ * @function getRefreshToken
+ * @returns {string|null} The stored refresh token, or null if not found
+ */
+export const getRefreshToken = () => {
+  return localStorage.getItem(REFRESH_TOKEN_KEY);
+};
+
+/**
+ * Reads when a JWT expires from its payload. The signature isn't checked;
+ * that is the server's job, and this is only used to refresh in time.
+ * 
+ * @function getTokenExpiry
+ * @param {string} token - The JWT
+ * @returns {number|null} Expiry as milliseconds since the epoch, or null if the token has none
+ */
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload));
+    return typeof exp === 'number' ? exp * 1000 : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Checks whether a JWT has expired, or will within the given time.
+ * Tokens without a readable expiry are left for the server to judge.
+ * 
+ * @function isTokenExpired
+ * @param {string} token - The JWT
+ * @param {number} [withinMs=0] - How soon an expiry still counts
+ * @returns {boolean} True if the token has expired
+ */
+export const isTokenExpired = (token, withinMs = 0) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry - withinMs <= Date.now();
+};
+
 /**
  * Stores or removes the user data in localStorage.
  * 
@@ -64,15 +126,25 @@ export const getUser = () => {
   return user ? JSON.parse(user) : null;
 };
 
+/**
+ * Checks if the signed-in user has verified their email.
+ * Accounts from before verification existed have no flag, and count as verified.
+ * 
+ * @function isEmailVerified
+ * @returns {boolean} False only when the stored user is known to be unverified
+ */
+export const isEmailVerified = () => getUser()?.emailVerified !== false;
+
 /**
  * Checks if a user is currently authenticated.
+ * An expired token still counts while there is a refresh token to renew it with.
  * 
  * @function isAuthenticated
- * @returns {boolean} True if a valid token exists, false otherwise
+ * @returns {boolean} True if a valid or renewable token exists, false otherwise
  */
 export const isAuthenticated = () => {
   const token = getAuthToken();
-  return !!token;
+  return !!token && (!isTokenExpired(token) || !!getRefreshToken());
 };
 
 /**
@@ -82,5 +154,6 @@ export const isAuthenticated = () => {
  */
 export const logout = () => {
   localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
   localStorage.removeItem(USER_KEY);
 }; 
\ No newline at end of file
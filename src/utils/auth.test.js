@@ -0,0 +1,94 @@
+import { getTokenExpiry, isTokenExpired, isAuthenticated, setAuthToken, setRefreshToken, logout } from './auth';
+
+// JWT segments are base64url without padding
+const base64Url = (value) => btoa(JSON.stringify(value))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const makeToken = (payload) => `${base64Url({ alg: 'HS256', typ: 'JWT' })}.${base64Url(payload)}.signature`;
+
+const NOW = Date.UTC(2024, 2, 13, 12, 0, 0);
+const secondsFromNow = (seconds) => Math.floor(NOW / 1000) + seconds;
+
+describe('getTokenExpiry', () => {
+  it('returns the exp claim in milliseconds', () => {
+    expect(getTokenExpiry(makeToken({ sub: 'u1', exp: 1710331200 }))).toBe(1710331200000);
+  });
+
+  it('decodes payloads that use the URL-safe alphabet', () => {
+    const payload = { name: '??>>~~', exp: 1710331200 };
+    const token = makeToken(payload);
+
+    expect(token.split('.')[1]).toMatch(/[-_]/);
+    expect(getTokenExpiry(token)).toBe(1710331200000);
+  });
+
+  it('returns null for tokens without a numeric expiry', () => {
+    expect(getTokenExpiry(makeToken({ sub: 'u1' }))).toBeNull();
+    expect(getTokenExpiry(makeToken({ exp: '1710331200' }))).toBeNull();
+  });
+
+  it('returns null for anything that is not a JWT', () => {
+    expect(getTokenExpiry('not-a-token')).toBeNull();
+    expect(getTokenExpiry('a.%%%.c')).toBeNull();
+    expect(getTokenExpiry(null)).toBeNull();
+  });
+});
+
+describe('isTokenExpired', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('compares the expiry with the current time', () => {
+    expect(isTokenExpired(makeToken({ exp: secondsFromNow(-1) }))).toBe(true);
+    expect(isTokenExpired(makeToken({ exp: secondsFromNow(0) }))).toBe(true);
+    expect(isTokenExpired(makeToken({ exp: secondsFromNow(1) }))).toBe(false);
+  });
+
+  it('counts a token expiring within the given time as expired', () => {
+    const token = makeToken({ exp: secondsFromNow(30) });
+
+    expect(isTokenExpired(token, 60 * 1000)).toBe(true);
+    expect(isTokenExpired(token, 10 * 1000)).toBe(false);
+  });
+
+  it('leaves tokens without a readable expiry to the server', () => {
+    expect(isTokenExpired(makeToken({ sub: 'u1' }))).toBe(false);
+    expect(isTokenExpired('garbage')).toBe(false);
+  });
+});
+
+describe('isAuthenticated', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    logout();
+  });
+
+  it('requires a token', () => {
+    expect(isAuthenticated()).toBe(false);
+  });
+
+  it('accepts a token that has not expired', () => {
+    setAuthToken(makeToken({ exp: secondsFromNow(3600) }));
+
+    expect(isAuthenticated()).toBe(true);
+  });
+
+  it('accepts an expired token only while it can be refreshed', () => {
+    setAuthToken(makeToken({ exp: secondsFromNow(-3600) }));
+    expect(isAuthenticated()).toBe(false);
+
+    setRefreshToken('refresh');
+    expect(isAuthenticated()).toBe(true);
+  });
+});
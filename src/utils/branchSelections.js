@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Remembers which branch of each chat the user last looked at,
+ * so edited questions and regenerated replies stay on the picked branch across visits.
+ */
+
+import { getUser } from './auth';
+
+/**
+ * Key prefix used to store branch selections in localStorage.
+ * @constant {string}
+ */
+const BRANCHES_KEY = 'wisdomai_branches';
+
+// Only the most recently changed chats are kept, so the saved selections don't grow without end
+const MAX_SAVED_CHATS = 200;
+
+// Selections are kept per user, like the appearance preferences
+const getBranchesKey = () => {
+  const user = getUser();
+  const userId = user?._id || user?.id;
+  return userId ? `${BRANCHES_KEY}_${userId}` : BRANCHES_KEY;
+};
+
+/**
+ * Reads the signed-in user's branch selections.
+ *
+ * @function loadBranchSelections
+ * @returns {Object} Selections by chat ID, each mapping a parent key to the chosen child key
+ */
+export const loadBranchSelections = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(getBranchesKey()));
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+/**
+ * Saves the signed-in user's branch selections. Chats without a picked branch are left out,
+ * as are the oldest ones beyond MAX_SAVED_CHATS.
+ *
+ * @function saveBranchSelections
+ * @param {Object} selectionsByChat - Selections by chat ID, in the order they were last changed
+ */
+export const saveBranchSelections = (selectionsByChat) => {
+  const entries = Object.entries(selectionsByChat)
+    .filter(([, selections]) => Object.keys(selections).length > 0)
+    .slice(-MAX_SAVED_CHATS);
+
+  try {
+    localStorage.setItem(getBranchesKey(), JSON.stringify(Object.fromEntries(entries)));
+  } catch (err) {
+    console.error('Error saving branch selections:', err);
+  }
+};
@@ -0,0 +1,54 @@
+import { loadBranchSelections, saveBranchSelections } from './branchSelections';
+import { setUser, logout } from './auth';
+
+describe('branch selections', () => {
+  afterEach(() => {
+    logout();
+    localStorage.clear();
+  });
+
+  it('saves and loads the selections of each chat', () => {
+    saveBranchSelections({ c1: { root: 'u1b' }, c2: { a1: 'u3' } });
+
+    expect(loadBranchSelections()).toEqual({ c1: { root: 'u1b' }, c2: { a1: 'u3' } });
+  });
+
+  it('leaves out chats without a picked branch', () => {
+    saveBranchSelections({ c1: {}, c2: { root: 'u2' } });
+
+    expect(loadBranchSelections()).toEqual({ c2: { root: 'u2' } });
+  });
+
+  it('keeps only the most recently changed chats', () => {
+    const selectionsByChat = {};
+    for (let i = 0; i < 205; i++) {
+      selectionsByChat[`c${i}`] = { root: `u${i}` };
+    }
+
+    saveBranchSelections(selectionsByChat);
+    const saved = loadBranchSelections();
+
+    expect(Object.keys(saved)).toHaveLength(200);
+    expect(saved.c4).toBeUndefined();
+    expect(saved.c5).toEqual({ root: 'u5' });
+    expect(saved.c204).toEqual({ root: 'u204' });
+  });
+
+  it('keeps each user\'s selections apart', () => {
+    setUser({ _id: 'reader' });
+    saveBranchSelections({ c1: { root: 'u1b' } });
+    setUser({ _id: 'other' });
+
+    expect(loadBranchSelections()).toEqual({});
+  });
+
+  it('starts empty when nothing readable was saved', () => {
+    expect(loadBranchSelections()).toEqual({});
+
+    localStorage.setItem('wisdomai_branches', '{not json');
+    expect(loadBranchSelections()).toEqual({});
+
+    localStorage.setItem('wisdomai_branches', '["c1"]');
+    expect(loadBranchSelections()).toEqual({});
+  });
+});
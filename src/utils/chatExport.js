@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Utility functions for turning chats into files the user can keep,
+ * and for reading exported chats back in.
+ * Every function works on exports: chats paired with their full list of messages.
+ */
+
+import { format, parseISO, isValid } from 'date-fns';
+import { getActivePath, getVariantState } from './messageTree';
+
+/**
+ * Marker identifying a JSON file as a chat export.
+ * @constant {string}
+ */
+export const EXPORT_FORMAT = 'wisdomai-chats';
+
+/**
+ * Version of the JSON export format; bumped when its shape changes.
+ * @constant {number}
+ */
+export const EXPORT_VERSION = 1;
+
+const formatTimestamp = (dateString) => {
+  const date = dateString ? parseISO(dateString) : null;
+  return date && isValid(date) ? format(date, 'MMM d, yyyy h:mm a') : null;
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Returns a chat as it reads on screen: the newest branch, with each reply's chosen variant.
+ * Debate prompts are written for the figures, so they become headings instead.
+ *
+ * @function getTranscript
+ * @param {Object} chat - The chat, with its title and wisdomFigure
+ * @param {Array<Object>} messages - All messages of the chat
+ * @returns {Array<Object>} Entries that are either {type: 'heading', level, text}
+ *   or {type: 'message', role, speaker, timestamp, content}
+ */
+export const getTranscript = (chat, messages) => getActivePath(messages).flatMap(({ message }) => {
+  if (message.role === 'user' && message.debate) {
+    const { topic, round, turn } = message.debate;
+    // Only the first prompt of a round marks it
+    if (turn % 2 !== 0) return [];
+    return [
+      ...(turn === 0 ? [{ type: 'heading', level: 2, text: `Debate: ${topic}` }] : []),
+      { type: 'heading', level: 3, text: `Round ${round}` }
+    ];
+  }
+  if (message.role !== 'user' && message.role !== 'assistant') return [];
+
+  const { shown } = getVariantState(message);
+  return [{
+    type: 'message',
+    role: shown.role,
+    speaker: shown.role === 'user' ? 'You' : shown.figure || chat.wisdomFigure || 'Assistant',
+    timestamp: formatTimestamp(shown.createdAt),
+    content: shown.content || ''
+  }];
+});
+
+// Line under a chat's title saying who it was with and when
+const getChatByline = (chat) => [
+  chat.wisdomFigure && `Conversation with ${chat.wisdomFigure}`,
+  formatTimestamp(chat.updatedAt) && `last updated ${formatTimestamp(chat.updatedAt)}`
+].filter(Boolean).join(', ');
+
+/**
+ * Renders chats as Markdown, with who said each message and when.
+ *
+ * @function toMarkdown
+ * @param {Array<{chat: Object, messages: Array<Object>}>} exports - Chats to render
+ * @returns {string} Markdown document; several chats are separated by rules
+ */
+export const toMarkdown = (exports) => exports.map(({ chat, messages }) => {
+  const byline = getChatByline(chat);
+  const lines = [`# ${chat.title || 'Untitled Chat'}`, ''];
+  if (byline) {
+    lines.push(`*${byline}*`, '');
+  }
+
+  getTranscript(chat, messages).forEach(entry => {
+    if (entry.type === 'heading') {
+      lines.push(`${'#'.repeat(entry.level)} ${entry.text}`, '');
+    } else {
+      lines.push(`**${entry.speaker}**${entry.timestamp ? ` · ${entry.timestamp}` : ''}`, '', entry.content, '');
+    }
+  });
+
+  return lines.join('\n').trim();
+}).join('\n\n---\n\n') + '\n';
+
+/**
+ * Serializes chats with every message, branch and variant, so they can be imported again.
+ *
+ * @function toExportJson
+ * @param {Array<{chat: Object, messages: Array<Object>}>} exports - Chats to serialize
+ * @param {Date} [exportedAt=new Date()] - When the export was made
+ * @returns {string} JSON document
+ */
+export const toExportJson = (exports, exportedAt = new Date()) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  chats: exports.map(({ chat, messages }) => {
+    // The date is only formatted for the history list
+    const { formattedDate, ...fields } = chat;
+    return { ...fields, messages };
+  })
+}, null, 2);
+
+/**
+ * Reads chats back out of a JSON export.
+ *
+ * @function parseChatExport
+ * @param {string} text - Contents of the export file
+ * @returns {Array<Object>} Exported chats, each with its messages
+ * @throws {Error} With a message fit for the user when the file can't be imported
+ */
+export const parseChatExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.chats)) {
+    throw new Error('This file is not a WisdomAI chat export.');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('This export was made by a newer version of WisdomAI.');
+  }
+
+  const isValidMessage = (message) => (
+    message && typeof message.content === 'string' && ['user', 'assistant'].includes(message.role)
+  );
+  if (data.chats.some(chat => !Array.isArray(chat.messages) || !chat.messages.every(isValidMessage))) {
+    throw new Error('Some chats in this file are damaged.');
+  }
+
+  return data.chats;
+};
+
+/**
+ * Renders chats as a standalone, print-ready HTML page.
+ *
+ * @function toPrintHtml
+ * @param {Array<{chat: Object, messages: Array<Object>}>} exports - Chats to render
+ * @param {Function} renderMarkdown - Turns a message's Markdown into sanitized HTML
+ * @returns {string} HTML document
+ */
+export const toPrintHtml = (exports, renderMarkdown) => {
+  const body = exports.map(({ chat, messages }) => {
+    const byline = getChatByline(chat);
+    const entries = getTranscript(chat, messages).map(entry => (
+      entry.type === 'heading'
+        ? `<h${entry.level}>${escapeHtml(entry.text)}</h${entry.level}>`
+        : `<section class="message ${entry.role}">
+            <div class="speaker">${escapeHtml(entry.speaker)}${entry.timestamp ? ` <span>· ${escapeHtml(entry.timestamp)}</span>` : ''}</div>
+            ${renderMarkdown(entry.content)}
+          </section>`
+    ));
+
+    return `<article>
+      <h1>${escapeHtml(chat.title || 'Untitled Chat')}</h1>
+      ${byline ? `<p class="byline">${escapeHtml(byline)}</p>` : ''}
+      ${entries.join('\n')}
+    </article>`;
+  }).join('\n');
+
+  const title = exports.length === 1 ? exports[0].chat.title || 'Untitled Chat' : 'WisdomAI chats';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Georgia, serif; line-height: 1.5; color: #222; max-width: 720px; margin: 0 auto; padding: 24px; }
+  article + article { page-break-before: always; }
+  h1 { margin-bottom: 4px; }
+  .byline { color: #666; font-style: italic; margin-top: 0; }
+  .message { margin: 16px 0; padding: 8px 16px; border-left: 3px solid #ccc; page-break-inside: avoid; }
+  .message.user { border-left-color: #1976d2; }
+  .speaker { font-weight: bold; font-family: sans-serif; font-size: 0.9em; }
+  .speaker span { font-weight: normal; color: #666; }
+  pre { white-space: pre-wrap; background: #f5f5f5; padding: 8px; }
+  img { max-width: 100%; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+};
+
+/**
+ * Returns a file name for an export: the chat's title for one chat, a dated name for several.
+ *
+ * @function getExportFilename
+ * @param {Array<{chat: Object}>} exports - Chats being exported
+ * @param {string} extension - File extension without the dot
+ * @param {Date} [now=new Date()] - Date used in the name
+ * @returns {string} File name
+ */
+export const getExportFilename = (exports, extension, now = new Date()) => {
+  const slug = exports.length === 1
+    ? (exports[0].chat.title || 'untitled-chat').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+    : 'wisdomai-chats';
+  return `${slug || 'chat'}-${format(now, 'yyyy-MM-dd')}.${extension}`;
+};
+
+/**
+ * Hands a file to the browser to download.
+ *
+ * @function downloadFile
+ * @param {string} content - Contents of the file
+ * @param {string} filename - Name to save it under
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Opens the browser's print dialog for an HTML page, where it can be saved as a PDF.
+ * The page is printed from a hidden frame, so no popup has to be allowed.
+ *
+ * @function printHtml
+ * @param {string} html - HTML document to print
+ */
+export const printHtml = (html) => {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  Object.assign(frame.style, { position: 'fixed', width: '0', height: '0', border: '0' });
+  document.body.appendChild(frame);
+
+  const frameWindow = frame.contentWindow;
+  frameWindow.document.open();
+  frameWindow.document.write(html);
+  frameWindow.document.close();
+
+  frameWindow.addEventListener('afterprint', () => frame.remove(), { once: true });
+  // Give images in the messages a moment to load
+  setTimeout(() => {
+    frameWindow.focus();
+    frameWindow.print();
+  }, 250);
+};
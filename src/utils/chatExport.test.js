@@ -0,0 +1,178 @@
+import {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  getTranscript,
+  toMarkdown,
+  toExportJson,
+  parseChatExport,
+  toPrintHtml,
+  getExportFilename
+} from './chatExport';
+
+// Local times, so formatted timestamps don't depend on the time zone the tests run in
+const at = (hours, minutes) => new Date(2024, 2, 13, hours, minutes).toISOString();
+
+const CHAT = {
+  _id: 'c1',
+  title: 'On virtue',
+  wisdomFigure: 'Socrates',
+  updatedAt: at(15, 30),
+  formattedDate: 'Mar 13',
+  tags: ['philosophy']
+};
+
+// The first question was edited, and the reply to the edit was regenerated with another figure
+const MESSAGES = [
+  { _id: 'u1', role: 'user', content: 'Is virtue teachable?', parentId: null, createdAt: at(15, 0) },
+  { _id: 'a1', role: 'assistant', content: 'Let us examine it.', figure: 'Socrates', parentId: 'u1' },
+  { _id: 'u1b', role: 'user', content: 'Can virtue be taught?', parentId: null, createdAt: at(15, 5) },
+  {
+    _id: 'a1b',
+    role: 'assistant',
+    content: 'First answer',
+    figure: 'Socrates',
+    parentId: 'u1b',
+    activeVariant: 1,
+    variants: [
+      { content: 'First answer', figure: 'Socrates' },
+      { content: 'It is **habit**.', figure: 'Aristotle', createdAt: at(15, 10) }
+    ]
+  },
+  { role: 'system', content: 'Error: Connection to server lost.' }
+];
+
+const DEBATE_MESSAGES = [
+  { _id: 'd0', role: 'user', content: 'Open', debate: { topic: 'Justice', round: 1, turn: 0 } },
+  { _id: 'r0', role: 'assistant', content: 'Justice is harmony.', figure: 'Plato', parentId: 'd0' },
+  { _id: 'd1', role: 'user', content: 'Reply', debate: { topic: 'Justice', round: 1, turn: 1 }, parentId: 'r0' },
+  { _id: 'r1', role: 'assistant', content: 'Justice is fairness.', figure: 'Rawls', parentId: 'd1' },
+  { _id: 'd2', role: 'user', content: 'Next', debate: { topic: 'Justice', round: 2, turn: 2 }, parentId: 'r1' }
+];
+
+describe('getTranscript', () => {
+  it('follows the newest branch and shows each reply as its chosen variant', () => {
+    expect(getTranscript(CHAT, MESSAGES)).toEqual([
+      { type: 'message', role: 'user', speaker: 'You', timestamp: 'Mar 13, 2024 3:05 PM', content: 'Can virtue be taught?' },
+      { type: 'message', role: 'assistant', speaker: 'Aristotle', timestamp: 'Mar 13, 2024 3:10 PM', content: 'It is **habit**.' }
+    ]);
+  });
+
+  it('turns debate prompts into headings, once per round', () => {
+    expect(getTranscript(CHAT, DEBATE_MESSAGES).map(entry => entry.text || entry.speaker)).toEqual([
+      'Debate: Justice',
+      'Round 1',
+      'Plato',
+      'Rawls',
+      'Round 2'
+    ]);
+  });
+
+  it('falls back to the chat figure for replies that name none', () => {
+    const [, reply] = getTranscript(CHAT, [
+      { _id: 'u1', role: 'user', content: 'Hi' },
+      { _id: 'a1', role: 'assistant', content: 'Hello' }
+    ]);
+
+    expect(reply.speaker).toBe('Socrates');
+  });
+});
+
+describe('toMarkdown', () => {
+  it('renders the title, byline and each message with its speaker', () => {
+    expect(toMarkdown([{ chat: CHAT, messages: MESSAGES }])).toBe([
+      '# On virtue',
+      '',
+      '*Conversation with Socrates, last updated Mar 13, 2024 3:30 PM*',
+      '',
+      '**You** · Mar 13, 2024 3:05 PM',
+      '',
+      'Can virtue be taught?',
+      '',
+      '**Aristotle** · Mar 13, 2024 3:10 PM',
+      '',
+      'It is **habit**.',
+      ''
+    ].join('\n'));
+  });
+
+  it('separates several chats with rules and names untitled ones', () => {
+    const markdown = toMarkdown([
+      { chat: { title: 'One' }, messages: [] },
+      { chat: {}, messages: [] }
+    ]);
+
+    expect(markdown).toBe('# One\n\n---\n\n# Untitled Chat\n');
+  });
+});
+
+describe('toExportJson and parseChatExport', () => {
+  it('round-trips chats with every message, branch and variant', () => {
+    const json = toExportJson([{ chat: CHAT, messages: MESSAGES }], new Date('2024-03-13T16:00:00Z'));
+    const data = JSON.parse(json);
+
+    expect(data).toMatchObject({ format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: '2024-03-13T16:00:00.000Z' });
+
+    const validMessages = MESSAGES.filter(message => message.role !== 'system');
+    const [chat] = parseChatExport(toExportJson([{ chat: CHAT, messages: validMessages }]));
+    const { formattedDate, ...exportedFields } = CHAT;
+
+    expect(chat).toEqual({ ...exportedFields, messages: validMessages });
+  });
+
+  it('rejects files that are not JSON', () => {
+    expect(() => parseChatExport('# On virtue')).toThrow('This file is not valid JSON.');
+  });
+
+  it('rejects JSON that is not a chat export', () => {
+    expect(() => parseChatExport('{"chats": []}')).toThrow('This file is not a WisdomAI chat export.');
+    expect(() => parseChatExport(JSON.stringify({ format: EXPORT_FORMAT }))).toThrow('This file is not a WisdomAI chat export.');
+    expect(() => parseChatExport('null')).toThrow('This file is not a WisdomAI chat export.');
+  });
+
+  it('rejects exports from a newer version', () => {
+    const text = JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION + 1, chats: [] });
+
+    expect(() => parseChatExport(text)).toThrow('This export was made by a newer version of WisdomAI.');
+  });
+
+  it('rejects chats with missing or malformed messages', () => {
+    const withChats = (chats) => JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, chats });
+
+    expect(() => parseChatExport(withChats([{ title: 'No messages' }]))).toThrow('Some chats in this file are damaged.');
+    expect(() => parseChatExport(withChats([{ messages: [{ role: 'system', content: 'x' }] }]))).toThrow('Some chats in this file are damaged.');
+    expect(() => parseChatExport(withChats([{ messages: [{ role: 'user' }] }]))).toThrow('Some chats in this file are damaged.');
+  });
+});
+
+describe('toPrintHtml', () => {
+  const renderMarkdown = content => `<p>${content}</p>`;
+
+  it('renders each message through the given Markdown renderer', () => {
+    const html = toPrintHtml([{ chat: CHAT, messages: MESSAGES }], renderMarkdown);
+
+    expect(html).toContain('<title>On virtue</title>');
+    expect(html).toContain('<h1>On virtue</h1>');
+    expect(html).toContain('<p>It is **habit**.</p>');
+    expect(html).toContain('<section class="message assistant">');
+  });
+
+  it('escapes titles and speakers, which are not Markdown', () => {
+    const html = toPrintHtml([{ chat: { title: '<script>alert(1)</script>' }, messages: [] }], renderMarkdown);
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+  });
+});
+
+describe('getExportFilename', () => {
+  const now = new Date(2024, 2, 13);
+
+  it('names a single chat after its title', () => {
+    expect(getExportFilename([{ chat: { title: 'On Virtue: Part 1!' } }], 'md', now)).toBe('on-virtue-part-1-2024-03-13.md');
+  });
+
+  it('uses a generic name for several chats or a title without usable characters', () => {
+    expect(getExportFilename([{ chat: {} }, { chat: {} }], 'json', now)).toBe('wisdomai-chats-2024-03-13.json');
+    expect(getExportFilename([{ chat: { title: 'Ἀρετή' } }], 'md', now)).toBe('chat-2024-03-13.md');
+  });
+});
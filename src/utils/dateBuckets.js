@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Utility functions for grouping chats by how recently they were used.
+ */
+
+import { parseISO, isValid, differenceInCalendarDays } from 'date-fns';
+
+/**
+ * Buckets in the order they are shown.
+ * @constant {Array<string>}
+ */
+export const DATE_BUCKETS = ['Today', 'Yesterday', 'Last 7 days', 'Older'];
+
+/**
+ * Returns the bucket a date falls into, relative to now.
+ *
+ * @function getDateBucket
+ * @param {string} dateString - ISO date string
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {string} One of DATE_BUCKETS; dates that can't be parsed count as Older
+ */
+export const getDateBucket = (dateString, now = new Date()) => {
+  const date = dateString ? parseISO(dateString) : null;
+  if (!date || !isValid(date)) return 'Older';
+
+  const daysAgo = differenceInCalendarDays(now, date);
+  if (daysAgo <= 0) return 'Today';
+  if (daysAgo === 1) return 'Yesterday';
+  if (daysAgo < 7) return 'Last 7 days';
+  return 'Older';
+};
+
+/**
+ * Groups chats into date buckets, keeping their order within each bucket.
+ *
+ * @function groupByDateBucket
+ * @param {Array<Object>} chats - Chats with an updatedAt field
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {Array<{bucket: string, chats: Array<Object>}>} Non-empty buckets in display order
+ */
+export const groupByDateBucket = (chats, now = new Date()) => {
+  const groups = new Map(DATE_BUCKETS.map(bucket => [bucket, []]));
+  chats.forEach(chat => groups.get(getDateBucket(chat.updatedAt, now)).push(chat));
+
+  return DATE_BUCKETS
+    .map(bucket => ({ bucket, chats: groups.get(bucket) }))
+    .filter(group => group.chats.length > 0);
+};
@@ -0,0 +1,65 @@
+import { getDateBucket, groupByDateBucket } from './dateBuckets';
+
+// Dates are built in local time, as the buckets follow the user's calendar days
+const at = (day, hours = 12, minutes = 0) => new Date(2024, 2, day, hours, minutes).toISOString();
+
+// Wednesday 13 March 2024, just after midnight
+const NOW = new Date(2024, 2, 13, 0, 5);
+
+describe('getDateBucket', () => {
+  it('counts anything since midnight as today', () => {
+    expect(getDateBucket(at(13, 0, 0), NOW)).toBe('Today');
+    expect(getDateBucket(at(13, 0, 4), NOW)).toBe('Today');
+  });
+
+  it('counts the minutes before midnight as yesterday', () => {
+    expect(getDateBucket(at(12, 23, 59), NOW)).toBe('Yesterday');
+    expect(getDateBucket(at(12, 0, 0), NOW)).toBe('Yesterday');
+  });
+
+  it('counts two to six calendar days ago as the last week', () => {
+    expect(getDateBucket(at(11), NOW)).toBe('Last 7 days');
+    expect(getDateBucket(at(7, 0, 0), NOW)).toBe('Last 7 days');
+  });
+
+  it('counts a week ago and earlier as older', () => {
+    expect(getDateBucket(at(6, 23, 59), NOW)).toBe('Older');
+    expect(getDateBucket(new Date(2023, 11, 31).toISOString(), NOW)).toBe('Older');
+  });
+
+  it('counts dates in the future as today', () => {
+    expect(getDateBucket(at(14), NOW)).toBe('Today');
+  });
+
+  it('counts missing or unparseable dates as older', () => {
+    expect(getDateBucket(undefined, NOW)).toBe('Older');
+    expect(getDateBucket('', NOW)).toBe('Older');
+    expect(getDateBucket('not a date', NOW)).toBe('Older');
+  });
+});
+
+describe('groupByDateBucket', () => {
+  it('groups chats in display order and keeps their order within a bucket', () => {
+    const chats = [
+      { _id: 'a', updatedAt: at(13, 0, 1) },
+      { _id: 'b', updatedAt: at(12, 22) },
+      { _id: 'c', updatedAt: at(1) },
+      { _id: 'd', updatedAt: at(12, 8) },
+      { _id: 'e', updatedAt: at(9) }
+    ];
+
+    expect(groupByDateBucket(chats, NOW).map(({ bucket, chats: grouped }) => [bucket, grouped.map(chat => chat._id)])).toEqual([
+      ['Today', ['a']],
+      ['Yesterday', ['b', 'd']],
+      ['Last 7 days', ['e']],
+      ['Older', ['c']]
+    ]);
+  });
+
+  it('leaves out empty buckets', () => {
+    const groups = groupByDateBucket([{ _id: 'a', updatedAt: at(1) }], NOW);
+
+    expect(groups.map(group => group.bucket)).toEqual(['Older']);
+    expect(groupByDateBucket([], NOW)).toEqual([]);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Keeps an unsent message across a sign-in, for when the session expires
+ * mid-conversation and the user has to sign in again.
+ */
+
+import { getUser } from './auth';
+
+/**
+ * Key used to store the draft in sessionStorage.
+ * @constant {string}
+ */
+const DRAFT_KEY = 'wisdomai_draft';
+
+const getUserId = (user) => user?._id || user?.id || null;
+
+/**
+ * Saves an unsent message for the chat it was written in.
+ *
+ * @function saveDraft
+ * @param {string|null} chatId - The chat, or null for a new chat
+ * @param {string} content - The unsent message
+ * @param {Object} user - The user who wrote it; already signed out when the session has expired
+ */
+export const saveDraft = (chatId, content, user) => {
+  if (!content?.trim()) return;
+  sessionStorage.setItem(DRAFT_KEY, JSON.stringify({ chatId, content, userId: getUserId(user) }));
+};
+
+/**
+ * Returns the draft saved for a chat and forgets it. Drafts saved by another user are dropped.
+ *
+ * @function takeDraft
+ * @param {string|null} chatId - The chat, or null for a new chat
+ * @returns {string|null} The unsent message, or null if there is none
+ */
+export const takeDraft = (chatId) => {
+  try {
+    const draft = JSON.parse(sessionStorage.getItem(DRAFT_KEY));
+    if (!draft) return null;
+
+    if (draft.userId !== getUserId(getUser())) {
+      sessionStorage.removeItem(DRAFT_KEY);
+      return null;
+    }
+    if ((draft.chatId || null) !== (chatId || null)) return null;
+
+    sessionStorage.removeItem(DRAFT_KEY);
+    return draft.content;
+  } catch (err) {
+    return null;
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Small promise wrapper around the browser's IndexedDB.
+ * Holds client-side data that has to survive reloads and outlive the network.
+ */
+
+/**
+ * Name of the application's IndexedDB database.
+ * @constant {string}
+ */
+const DB_NAME = 'wisdomai';
+
+/**
+ * Schema version; bump it when adding object stores.
+ * @constant {number}
+ */
+const DB_VERSION = 1;
+
+/**
+ * Object stores and their options, created on upgrade.
+ * @constant {Object<string, IDBObjectStoreParameters>}
+ */
+const STORES = {
+  outbox: { keyPath: 'id', autoIncrement: true }
+};
+
+let dbPromise = null;
+
+/**
+ * Opens the database, creating missing object stores.
+ * The connection is shared by every caller.
+ *
+ * @function openDatabase
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(STORES).forEach(([name, options]) => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, options);
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Runs a single request against an object store inside its own transaction.
+ *
+ * @function runInStore
+ * @param {string} storeName - Name of the object store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} The request's result once the transaction completes
+ */
+export const runInStore = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Utility functions for chats whose messages form a tree.
+ * Editing an earlier user message starts a new branch from that message's parent,
+ * so a chat is a flat list of messages linked together by parentId.
+ */
+
+/**
+ * Key used as the parent of the first messages in a chat.
+ * @constant {string}
+ */
+export const ROOT_KEY = 'root';
+
+/**
+ * Returns the key identifying a message in the tree.
+ * Unsaved messages are identified by their temporary ID.
+ *
+ * @function getMessageKey
+ * @param {Object} message - The message object
+ * @returns {string|null} The message key, or null if the message has no ID
+ */
+export const getMessageKey = (message) => {
+  return message._id || message._tempId || null;
+};
+
+/**
+ * Fills in the parent of messages that don't have one.
+ * Messages saved before chats could branch, and local system notices,
+ * follow whichever message precedes them in the list.
+ *
+ * @function withParentIds
+ * @param {Array<Object>} messages - Flat list of chat messages
+ * @returns {Array<Object>} Messages that all have a parentId (null for first messages)
+ */
+export const withParentIds = (messages = []) => {
+  let previousKey = null;
+
+  return messages.map((message) => {
+    const linked = message.parentId === undefined
+      ? { ...message, parentId: previousKey }
+      : message;
+    previousKey = getMessageKey(linked) || previousKey;
+    return linked;
+  });
+};
+
+/**
+ * Walks the tree from the root and returns the branch currently on screen.
+ * At each fork the selected child is used, falling back to the newest one.
+ *
+ * @function getActivePath
+ * @param {Array<Object>} messages - Flat list of chat messages
+ * @param {Object<string, string>} [selections={}] - Selected child key per parent key
+ * @returns {Array<{message: Object, parentKey: string, siblingKeys: Array<string>, siblingIndex: number}>}
+ *   Messages on the active branch with their position among their siblings
+ */
+export const getActivePath = (messages, selections = {}) => {
+  const children = new Map();
+
+  withParentIds(messages).forEach((message) => {
+    const parentKey = message.parentId || ROOT_KEY;
+    if (!children.has(parentKey)) {
+      children.set(parentKey, []);
+    }
+    children.get(parentKey).push(message);
+  });
+
+  const path = [];
+  const visited = new Set();
+  let parentKey = ROOT_KEY;
+
+  while (parentKey && children.has(parentKey) && !visited.has(parentKey)) {
+    visited.add(parentKey);
+
+    const siblings = children.get(parentKey);
+    const selectedKey = selections[parentKey];
+    const selectedIndex = siblings.findIndex((message) => getMessageKey(message) === selectedKey);
+    const siblingIndex = selectedIndex === -1 ? siblings.length - 1 : selectedIndex;
+    const message = siblings[siblingIndex];
+
+    path.push({
+      message,
+      parentKey,
+      siblingKeys: siblings.map(getMessageKey),
+      siblingIndex
+    });
+
+    parentKey = getMessageKey(message);
+  }
+
+  return path;
+};
+
+/**
+ * Returns the ID of the last saved message on a branch, which new messages attach to.
+ *
+ * @function getBranchTipId
+ * @param {Array<Object>} path - Active path as returned by getActivePath
+ * @returns {string|null} ID of the last saved message, or null for an empty chat
+ */
+export const getBranchTipId = (path) => {
+  for (let i = path.length - 1; i >= 0; i -= 1) {
+    if (path[i].message._id) {
+      return path[i].message._id;
+    }
+  }
+  return null;
+};
+
+/**
+ * Resolves which regenerated variant of an assistant message is on screen.
+ * Messages without variants are their own single variant.
+ *
+ * @function getVariantState
+ * @param {Object} message - The message object
+ * @returns {{shown: Object, activeIndex: number, variantCount: number}}
+ *   The message as shown, with the active variant's fields applied
+ */
+export const getVariantState = (message) => {
+  const variants = message.variants || [];
+  if (variants.length === 0) {
+    return { shown: message, activeIndex: 0, variantCount: 1 };
+  }
+
+  const activeIndex = Math.min(message.activeVariant ?? variants.length - 1, variants.length - 1);
+  return {
+    shown: { ...message, ...variants[activeIndex] },
+    activeIndex,
+    variantCount: variants.length
+  };
+};
+
+/**
+ * Returns the index of the variant a rating belongs to.
+ * Ratings follow the variant on screen, so a regenerated answer starts unrated.
+ *
+ * @function getFeedbackVariant
+ * @param {Object} message - The message object
+ * @returns {number|null} Index of the shown variant, or null for a message without variants
+ */
+export const getFeedbackVariant = (message) => {
+  return (message.variants || []).length > 0 ? getVariantState(message).activeIndex : null;
+};
+
+/**
+ * Returns the rating of the variant on screen.
+ *
+ * @function getVariantFeedback
+ * @param {Object} message - The message object
+ * @returns {Object|null} The rating, or null if that variant isn't rated
+ */
+export const getVariantFeedback = (message) => {
+  const variantIndex = getFeedbackVariant(message);
+  return (variantIndex === null ? message.feedback : message.variants[variantIndex].feedback) || null;
+};
+
+/**
+ * Returns a copy of a message with one variant's rating replaced.
+ *
+ * @function withVariantFeedback
+ * @param {Object} message - The message object
+ * @param {number|null} variantIndex - Index of the rated variant, or null for a message without variants
+ * @param {Object|null} feedback - The new rating, or null to remove it
+ * @returns {Object} The updated message
+ */
+export const withVariantFeedback = (message, variantIndex, feedback) => {
+  if (variantIndex === null) {
+    return { ...message, feedback };
+  }
+  return {
+    ...message,
+    variants: message.variants.map((variant, index) => (index === variantIndex ? { ...variant, feedback } : variant))
+  };
+};
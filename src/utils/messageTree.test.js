@@ -0,0 +1,201 @@
+import {
+  ROOT_KEY,
+  getMessageKey,
+  withParentIds,
+  getActivePath,
+  getBranchTipId,
+  getVariantState,
+  getFeedbackVariant,
+  getVariantFeedback,
+  withVariantFeedback
+} from './messageTree';
+
+// A chat whose second user message was edited, forking after the first reply:
+// u1 -> a1 -> u2 -> a2
+//          \-> u2b -> a2b
+const BRANCHED_CHAT = [
+  { _id: 'u1', role: 'user', content: 'Hello', parentId: null },
+  { _id: 'a1', role: 'assistant', content: 'Hi', parentId: 'u1' },
+  { _id: 'u2', role: 'user', content: 'First question', parentId: 'a1' },
+  { _id: 'a2', role: 'assistant', content: 'First answer', parentId: 'u2' },
+  { _id: 'u2b', role: 'user', content: 'Edited question', parentId: 'a1' },
+  { _id: 'a2b', role: 'assistant', content: 'Edited answer', parentId: 'u2b' }
+];
+
+const pathIds = (path) => path.map(({ message }) => getMessageKey(message));
+
+describe('getMessageKey', () => {
+  it('prefers the saved ID over the temporary one', () => {
+    expect(getMessageKey({ _id: 'saved', _tempId: 'temp' })).toBe('saved');
+    expect(getMessageKey({ _tempId: 'temp' })).toBe('temp');
+    expect(getMessageKey({ content: 'notice' })).toBeNull();
+  });
+});
+
+describe('withParentIds', () => {
+  it('links messages without a parent to the message before them', () => {
+    const linked = withParentIds([
+      { _id: 'u1' },
+      { _id: 'a1' },
+      { _tempId: 't1' }
+    ]);
+
+    expect(linked.map(message => message.parentId)).toEqual([null, 'u1', 'a1']);
+  });
+
+  it('keeps explicit parents, including null', () => {
+    const linked = withParentIds([
+      { _id: 'u1', parentId: null },
+      { _id: 'u2', parentId: null }
+    ]);
+
+    expect(linked.map(message => message.parentId)).toEqual([null, null]);
+  });
+
+  it('skips messages without a key when linking the next one', () => {
+    const linked = withParentIds([
+      { _id: 'u1' },
+      { role: 'system', content: 'Error' },
+      { _id: 'u2' }
+    ]);
+
+    expect(linked.map(message => message.parentId)).toEqual([null, 'u1', 'u1']);
+  });
+});
+
+describe('getActivePath', () => {
+  it('follows the newest child at each fork by default', () => {
+    const path = getActivePath(BRANCHED_CHAT);
+
+    expect(pathIds(path)).toEqual(['u1', 'a1', 'u2b', 'a2b']);
+    expect(path[2]).toMatchObject({ parentKey: 'a1', siblingKeys: ['u2', 'u2b'], siblingIndex: 1 });
+    expect(path[0].parentKey).toBe(ROOT_KEY);
+  });
+
+  it('follows a selected branch', () => {
+    const path = getActivePath(BRANCHED_CHAT, { a1: 'u2' });
+
+    expect(pathIds(path)).toEqual(['u1', 'a1', 'u2', 'a2']);
+    expect(path[2].siblingIndex).toBe(0);
+  });
+
+  it('falls back to the newest child when the selection no longer exists', () => {
+    const path = getActivePath(BRANCHED_CHAT, { a1: 'deleted' });
+
+    expect(pathIds(path)).toEqual(['u1', 'a1', 'u2b', 'a2b']);
+  });
+
+  it('treats a flat legacy chat as a single branch', () => {
+    const path = getActivePath([{ _id: 'u1' }, { _id: 'a1' }, { _id: 'u2' }]);
+
+    expect(pathIds(path)).toEqual(['u1', 'a1', 'u2']);
+    expect(path.every(entry => entry.siblingKeys.length === 1)).toBe(true);
+  });
+
+  it('stops instead of looping on a cycle', () => {
+    const path = getActivePath([
+      { _id: 'a', parentId: null },
+      { _id: 'b', parentId: 'a' },
+      { _id: 'a', parentId: 'b' }
+    ]);
+
+    expect(pathIds(path)).toEqual(['a', 'b', 'a']);
+  });
+
+  it('returns an empty path for an empty chat', () => {
+    expect(getActivePath([])).toEqual([]);
+  });
+});
+
+describe('getBranchTipId', () => {
+  it('returns the last saved message on the path', () => {
+    const path = getActivePath([
+      { _id: 'u1', parentId: null },
+      { _id: 'a1', parentId: 'u1' },
+      { _tempId: 't1', parentId: 'a1' }
+    ]);
+
+    expect(getBranchTipId(path)).toBe('a1');
+  });
+
+  it('returns null when nothing is saved yet', () => {
+    expect(getBranchTipId([])).toBeNull();
+    expect(getBranchTipId(getActivePath([{ _tempId: 't1' }]))).toBeNull();
+  });
+});
+
+describe('getVariantState', () => {
+  const message = {
+    _id: 'a1',
+    content: 'Original',
+    figure: 'Socrates',
+    variants: [
+      { content: 'Original', figure: 'Socrates' },
+      { content: 'Regenerated', figure: 'Plato', interrupted: true }
+    ]
+  };
+
+  it('treats a message without variants as its only variant', () => {
+    const plain = { _id: 'a1', content: 'Only' };
+
+    expect(getVariantState(plain)).toEqual({ shown: plain, activeIndex: 0, variantCount: 1 });
+  });
+
+  it('shows the newest variant by default', () => {
+    const { shown, activeIndex, variantCount } = getVariantState(message);
+
+    expect(activeIndex).toBe(1);
+    expect(variantCount).toBe(2);
+    expect(shown).toMatchObject({ _id: 'a1', content: 'Regenerated', figure: 'Plato', interrupted: true });
+  });
+
+  it('shows the selected variant', () => {
+    const { shown, activeIndex } = getVariantState({ ...message, activeVariant: 0 });
+
+    expect(activeIndex).toBe(0);
+    expect(shown).toMatchObject({ content: 'Original', figure: 'Socrates' });
+  });
+
+  it('clamps a selection past the last variant', () => {
+    expect(getVariantState({ ...message, activeVariant: 5 }).activeIndex).toBe(1);
+  });
+});
+
+describe('variant feedback', () => {
+  const up = { rating: 'up', reasons: [] };
+  const down = { rating: 'down', reasons: ['too long'] };
+  const regenerated = {
+    _id: 'a1',
+    activeVariant: 1,
+    variants: [
+      { content: 'Original', feedback: up },
+      { content: 'Regenerated' }
+    ]
+  };
+
+  it('rates a message without variants as a whole', () => {
+    const message = { _id: 'a1', content: 'Only', feedback: up };
+
+    expect(getFeedbackVariant(message)).toBeNull();
+    expect(getVariantFeedback(message)).toBe(up);
+    expect(withVariantFeedback(message, null, down)).toEqual({ ...message, feedback: down });
+  });
+
+  it('reads the rating of the variant on screen only', () => {
+    expect(getFeedbackVariant(regenerated)).toBe(1);
+    expect(getVariantFeedback(regenerated)).toBeNull();
+    expect(getVariantFeedback({ ...regenerated, activeVariant: 0 })).toBe(up);
+  });
+
+  it('ignores a rating left on a message from before it had variants', () => {
+    expect(getVariantFeedback({ ...regenerated, feedback: down })).toBeNull();
+  });
+
+  it('changes only the given variant', () => {
+    const rated = withVariantFeedback(regenerated, 1, down);
+
+    expect(rated.variants.map(variant => variant.feedback)).toEqual([up, down]);
+    expect(withVariantFeedback(rated, 0, null).variants.map(variant => variant.feedback)).toEqual([null, down]);
+    expect(regenerated.variants[1].feedback).toBeUndefined();
+  });
+});
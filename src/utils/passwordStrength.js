@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Utility functions for rating how strong a new password is.
+ */
+
+/**
+ * Shortest password the server accepts.
+ * @constant {number}
+ */
+export const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Labels for each score, from 0 to 4.
+ * @constant {Array<string>}
+ */
+export const STRENGTH_LABELS = ['Too weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+/**
+ * Score a new password needs before it can be saved.
+ * @constant {number}
+ */
+export const MIN_ACCEPTED_SCORE = 2;
+
+// What makes a password harder to guess, each with the rule shown to the user
+const CHECKS = [
+  { key: 'length', hint: 'At least 10 characters', test: password => password.length >= 10 },
+  { key: 'case', hint: 'Upper and lower case letters', test: password => /[a-z]/.test(password) && /[A-Z]/.test(password) },
+  { key: 'number', hint: 'A number', test: password => /\d/.test(password) },
+  { key: 'symbol', hint: 'A symbol', test: password => /[^A-Za-z0-9]/.test(password) }
+];
+
+/**
+ * Rates a password.
+ *
+ * @function getPasswordStrength
+ * @param {string} password - The password to rate
+ * @returns {{score: number, label: string, rules: Array<{hint: string, passed: boolean}>, acceptable: boolean}}
+ *   The score from 0 to 4, its label, each rule and whether it is met, and whether the password can be saved
+ */
+export const getPasswordStrength = (password = '') => {
+  const rules = CHECKS.map(check => ({ hint: check.hint, passed: check.test(password) }));
+  // Anything shorter than the minimum is too weak, however varied
+  const score = password.length < MIN_PASSWORD_LENGTH ? 0 : rules.filter(rule => rule.passed).length;
+
+  return {
+    score,
+    label: STRENGTH_LABELS[score],
+    rules,
+    acceptable: score >= MIN_ACCEPTED_SCORE
+  };
+};
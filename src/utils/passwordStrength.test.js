@@ -0,0 +1,38 @@
+import { getPasswordStrength, MIN_PASSWORD_LENGTH, STRENGTH_LABELS } from './passwordStrength';
+
+describe('getPasswordStrength', () => {
+  it('scores one point for each rule met', () => {
+    expect(getPasswordStrength('abcdef').score).toBe(0);
+    expect(getPasswordStrength('abcdefghij').score).toBe(1);
+    expect(getPasswordStrength('Abcdefghij').score).toBe(2);
+    expect(getPasswordStrength('Abcdefghi1').score).toBe(3);
+    expect(getPasswordStrength('Abcdefgh1!').score).toBe(4);
+  });
+
+  it('reports which rules are met', () => {
+    expect(getPasswordStrength('abc123!').rules).toEqual([
+      { hint: 'At least 10 characters', passed: false },
+      { hint: 'Upper and lower case letters', passed: false },
+      { hint: 'A number', passed: true },
+      { hint: 'A symbol', passed: true }
+    ]);
+  });
+
+  it('rates anything shorter than the minimum as too weak, however varied', () => {
+    const short = 'Ab1!'.padEnd(MIN_PASSWORD_LENGTH - 1, 'x');
+    const strength = getPasswordStrength(short);
+
+    expect(strength.rules.filter(rule => rule.passed)).toHaveLength(3);
+    expect(strength).toMatchObject({ score: 0, label: 'Too weak', acceptable: false });
+  });
+
+  it('accepts passwords from a fair score up', () => {
+    expect(getPasswordStrength('abcdefghij')).toMatchObject({ label: 'Weak', acceptable: false });
+    expect(getPasswordStrength('abcdef12!')).toMatchObject({ label: 'Fair', acceptable: true });
+    expect(getPasswordStrength('Abcdefgh1!')).toMatchObject({ label: STRENGTH_LABELS[4], acceptable: true });
+  });
+
+  it('treats a missing password as empty', () => {
+    expect(getPasswordStrength()).toMatchObject({ score: 0, acceptable: false });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Utility functions for searching message contents in the browser.
+ * Messages are indexed by the words they contain, so a query only has to look
+ * up its own words instead of scanning every message.
+ */
+
+/**
+ * Characters shown on either side of the first match in a snippet.
+ * @constant {number}
+ */
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Splits text into lowercase words.
+ *
+ * @function tokenize
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words in the order they appear
+ */
+export const tokenize = (text = '') => {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+};
+
+/**
+ * Builds an inverted index mapping each word to the documents containing it.
+ *
+ * @function buildSearchIndex
+ * @param {Array<Object>} documents - Documents with a content field
+ * @returns {{documents: Array<Object>, postings: Map<string, Set<number>>}} The index
+ */
+export const buildSearchIndex = (documents) => {
+  const postings = new Map();
+
+  documents.forEach((document, position) => {
+    tokenize(document.content).forEach((word) => {
+      if (!postings.has(word)) {
+        postings.set(word, new Set());
+      }
+      postings.get(word).add(position);
+    });
+  });
+
+  return { documents, postings };
+};
+
+/**
+ * Finds the documents containing every word of a query.
+ * Query words match as prefixes, so results appear while a word is still being typed.
+ *
+ * @function querySearchIndex
+ * @param {Object} index - Index as returned by buildSearchIndex
+ * @param {string} query - Search query
+ * @returns {Array<Object>} Matching documents, in index order
+ */
+export const querySearchIndex = ({ documents, postings }, query) => {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+
+  let matches = null;
+
+  terms.forEach((term) => {
+    const termMatches = new Set();
+    postings.forEach((positions, word) => {
+      if (word.startsWith(term)) {
+        positions.forEach(position => termMatches.add(position));
+      }
+    });
+
+    matches = matches === null
+      ? termMatches
+      : new Set([...matches].filter(position => termMatches.has(position)));
+  });
+
+  return [...matches].sort((a, b) => a - b).map(position => documents[position]);
+};
+
+/**
+ * Escapes text for use inside a regular expression.
+ *
+ * @function escapeRegExp
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Cuts a short excerpt around the first occurrence of any search term.
+ *
+ * @function getSnippet
+ * @param {string} content - Full message content
+ * @param {Array<string>} terms - Lowercase search terms
+ * @returns {string} Excerpt, with ellipses where the content was cut
+ */
+export const getSnippet = (content = '', terms = []) => {
+  const text = content.replace(/\s+/g, ' ').trim();
+  const lowerText = text.toLowerCase();
+  const positions = terms.map(term => lowerText.indexOf(term)).filter(position => position !== -1);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Splits text into parts, flagging the ones that match a search term.
+ *
+ * @function getHighlightParts
+ * @param {string} text - Text to split
+ * @param {Array<string>} terms - Search terms
+ * @returns {Array<{text: string, match: boolean}>} Consecutive parts of the text
+ */
+export const getHighlightParts = (text, terms) => {
+  if (!text || terms.length === 0) {
+    return [{ text: text || '', match: false }];
+  }
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text
+    .split(pattern)
+    .filter(Boolean)
+    .map(part => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
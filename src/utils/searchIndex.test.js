@@ -0,0 +1,100 @@
+import {
+  tokenize,
+  buildSearchIndex,
+  querySearchIndex,
+  getSnippet,
+  getHighlightParts
+} from './searchIndex';
+
+const DOCUMENTS = [
+  { messageId: 'm1', content: 'What is the good life?' },
+  { messageId: 'm2', content: 'The unexamined life is not worth living.' },
+  { messageId: 'm3', content: 'Virtue is knowledge; the good is one.' },
+  { messageId: 'm4', content: 'Über die Natur des Menschen' }
+];
+
+const matchIds = (query) => querySearchIndex(buildSearchIndex(DOCUMENTS), query).map(doc => doc.messageId);
+
+describe('tokenize', () => {
+  it('splits on anything that is not a letter or digit and lowercases', () => {
+    expect(tokenize('Hello, World! 42 times')).toEqual(['hello', 'world', '42', 'times']);
+  });
+
+  it('keeps letters outside ASCII', () => {
+    expect(tokenize('Über café')).toEqual(['über', 'café']);
+  });
+
+  it('returns nothing for empty or missing text', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize()).toEqual([]);
+    expect(tokenize('?!')).toEqual([]);
+  });
+});
+
+describe('querySearchIndex', () => {
+  it('requires every query word to match', () => {
+    expect(matchIds('good life')).toEqual(['m1']);
+    expect(matchIds('life')).toEqual(['m1', 'm2']);
+  });
+
+  it('matches words by prefix', () => {
+    expect(matchIds('unexam')).toEqual(['m2']);
+    expect(matchIds('know')).toEqual(['m3']);
+  });
+
+  it('ignores case and repeated words', () => {
+    expect(matchIds('GOOD good')).toEqual(['m1', 'm3']);
+    expect(matchIds('über')).toEqual(['m4']);
+  });
+
+  it('returns nothing for a query without words or without matches', () => {
+    expect(matchIds('  ')).toEqual([]);
+    expect(matchIds('good xyz')).toEqual([]);
+  });
+});
+
+describe('getSnippet', () => {
+  it('returns short content whole, with whitespace collapsed', () => {
+    expect(getSnippet('A  short\n\nmessage', ['short'])).toBe('A short message');
+  });
+
+  it('cuts long content around the first match', () => {
+    const content = `${'a '.repeat(100)}needle${' b'.repeat(100)}`;
+    const snippet = getSnippet(content, ['needle']);
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('needle');
+    expect(snippet.length).toBeLessThan(content.length);
+  });
+
+  it('starts at the beginning when no term is found', () => {
+    const content = 'x'.repeat(300);
+
+    expect(getSnippet(content, ['missing'])).toBe(`${'x'.repeat(120)}…`);
+  });
+});
+
+describe('getHighlightParts', () => {
+  it('flags the parts matching a term, whatever their case', () => {
+    expect(getHighlightParts('The Good and the good', ['good'])).toEqual([
+      { text: 'The ', match: false },
+      { text: 'Good', match: true },
+      { text: ' and the ', match: false },
+      { text: 'good', match: true }
+    ]);
+  });
+
+  it('treats terms as literal text', () => {
+    expect(getHighlightParts('costs $5 (or more)', ['(or'])).toEqual([
+      { text: 'costs $5 ', match: false },
+      { text: '(or', match: true },
+      { text: ' more)', match: false }
+    ]);
+  });
+
+  it('returns the whole text unflagged without terms', () => {
+    expect(getHighlightParts('text', [])).toEqual([{ text: 'text', match: false }]);
+    expect(getHighlightParts('', ['a'])).toEqual([{ text: '', match: false }]);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Theme of the app: the light and dark palettes, the tokens components
+ * take their colors from, and the appearance preferences each user saves.
+ */
+
+import { createTheme } from '@mui/material/styles';
+import { getColors } from '../components/ConversationStarters';
+import { getUser } from './auth';
+
+/**
+ * Modes the user can pick; 'system' follows the operating system.
+ * @constant {string[]}
+ */
+export const THEME_MODES = ['light', 'dark', 'system'];
+
+/**
+ * Key prefix used to store appearance preferences in localStorage.
+ * @constant {string}
+ */
+const PREFERENCES_KEY = 'wisdomai_theme';
+
+const DEFAULT_PREFERENCES = {
+  mode: 'system',
+  figureAmbience: false
+};
+
+// Tokens for each mode. Components use the chat tokens instead of hard-coded colors,
+// so text keeps its contrast in both modes.
+const PALETTES = {
+  light: {
+    primary: { main: '#1976d2' },
+    background: { default: '#f5f5f5', paper: '#ffffff' },
+    chat: {
+      surface: '#f5f5f5',
+      userBubble: '#e3f2fd',
+      assistantBubble: '#ffffff'
+    }
+  },
+  dark: {
+    primary: { main: '#90caf9' },
+    background: { default: '#121212', paper: '#1e1e1e' },
+    chat: {
+      surface: '#121212',
+      userBubble: '#1c3a5e',
+      assistantBubble: '#262626'
+    }
+  }
+};
+
+// Preferences are kept per user, so people sharing a device each keep their own
+const getPreferencesKey = () => {
+  const user = getUser();
+  const userId = user?._id || user?.id;
+  return userId ? `${PREFERENCES_KEY}_${userId}` : PREFERENCES_KEY;
+};
+
+/**
+ * Reads the signed-in user's appearance preferences.
+ *
+ * @function loadThemePreferences
+ * @returns {{mode: string, figureAmbience: boolean}} The saved preferences, or the defaults
+ */
+export const loadThemePreferences = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(getPreferencesKey()));
+    return { ...DEFAULT_PREFERENCES, ...saved };
+  } catch (err) {
+    return DEFAULT_PREFERENCES;
+  }
+};
+
+/**
+ * Saves the signed-in user's appearance preferences.
+ *
+ * @function saveThemePreferences
+ * @param {{mode: string, figureAmbience: boolean}} preferences - The preferences to save
+ */
+export const saveThemePreferences = (preferences) => {
+  localStorage.setItem(getPreferencesKey(), JSON.stringify(preferences));
+};
+
+/**
+ * Builds the theme for a mode.
+ *
+ * @function createAppTheme
+ * @param {string} mode - 'light' or 'dark'
+ * @param {string|null} [ambienceFigure] - Figure whose colors tint the chat surface, if any
+ * @returns {Object} The MUI theme
+ */
+export const createAppTheme = (mode, ambienceFigure = null) => {
+  const { chat, ...palette } = PALETTES[mode];
+
+  return createTheme({
+    palette: {
+      mode,
+      ...palette,
+      chat: ambienceFigure ? { ...chat, surface: getColors(ambienceFigure, mode).light } : chat
+    }
+  });
+};
@@ -0,0 +1,115 @@
+/**
+ * @jest-environment node
+ */
+import { createZip } from './zip';
+
+const decoder = new TextDecoder();
+
+/**
+ * Reads an archive back through its central directory, the way unzip tools do
+ * @param {Uint8Array} archive - Archive from createZip
+ * @returns {Object} Entry count and, per file, its headers and stored content
+ */
+const readZip = (archive) => {
+  const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+  const endOffset = archive.length - 22;
+  const count = view.getUint16(endOffset + 10, true);
+  const centralSize = view.getUint32(endOffset + 12, true);
+  const centralOffset = view.getUint32(endOffset + 16, true);
+
+  const entries = [];
+  let position = centralOffset;
+  for (let i = 0; i < count; i++) {
+    const nameLength = view.getUint16(position + 28, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const size = view.getUint32(localOffset + 18, true);
+    const dataStart = localOffset + 30 + localNameLength;
+
+    entries.push({
+      centralSignature: view.getUint32(position, true),
+      localSignature: view.getUint32(localOffset, true),
+      flags: view.getUint16(localOffset + 6, true),
+      method: view.getUint16(localOffset + 8, true),
+      time: view.getUint16(localOffset + 10, true),
+      date: view.getUint16(localOffset + 12, true),
+      crc: view.getUint32(localOffset + 14, true),
+      centralCrc: view.getUint32(position + 16, true),
+      compressedSize: size,
+      uncompressedSize: view.getUint32(localOffset + 22, true),
+      name: decoder.decode(archive.slice(position + 46, position + 46 + nameLength)),
+      content: decoder.decode(archive.slice(dataStart, dataStart + size))
+    });
+    position += 46 + nameLength;
+  }
+
+  return {
+    endSignature: view.getUint32(endOffset, true),
+    count,
+    centralEnd: centralOffset + centralSize,
+    endOffset,
+    entries
+  };
+};
+
+describe('createZip', () => {
+  const modifiedAt = new Date(2024, 2, 13, 14, 30, 41);
+
+  it('writes every file with its name and content, stored uncompressed', () => {
+    const archive = createZip([
+      { name: 'chats.json', content: '{"chats":[]}' },
+      { name: 'chats/first-chat.md', content: '# First chat\n' }
+    ], modifiedAt);
+    const zip = readZip(archive);
+
+    expect(zip.endSignature).toBe(0x06054b50);
+    expect(zip.count).toBe(2);
+    expect(zip.centralEnd).toBe(zip.endOffset);
+    expect(zip.entries.map(({ name, content }) => ({ name, content }))).toEqual([
+      { name: 'chats.json', content: '{"chats":[]}' },
+      { name: 'chats/first-chat.md', content: '# First chat\n' }
+    ]);
+    zip.entries.forEach((entry) => {
+      expect(entry.localSignature).toBe(0x04034b50);
+      expect(entry.centralSignature).toBe(0x02014b50);
+      expect(entry.method).toBe(0);
+      expect(entry.compressedSize).toBe(entry.uncompressedSize);
+    });
+  });
+
+  it('stores the CRC-32 of each file in both headers', () => {
+    const zip = readZip(createZip([
+      { name: 'fox.txt', content: 'The quick brown fox jumps over the lazy dog' },
+      { name: 'empty.txt', content: '' }
+    ], modifiedAt));
+
+    expect(zip.entries[0].crc).toBe(0x414fa339);
+    expect(zip.entries[0].centralCrc).toBe(0x414fa339);
+    expect(zip.entries[1].crc).toBe(0);
+  });
+
+  it('flags names as UTF-8 and sizes content in bytes', () => {
+    const zip = readZip(createZip([{ name: 'Über café.md', content: 'Sókratés' }], modifiedAt));
+    const [entry] = zip.entries;
+
+    expect(entry.flags & 0x0800).toBe(0x0800);
+    expect(entry.name).toBe('Über café.md');
+    expect(entry.content).toBe('Sókratés');
+    expect(entry.compressedSize).toBe(10);
+  });
+
+  it('writes the modification time in MS-DOS format', () => {
+    const [entry] = readZip(createZip([{ name: 'a.txt', content: 'a' }], modifiedAt)).entries;
+
+    // Seconds are stored halved, so 41 becomes 20
+    expect(entry.time).toBe((14 << 11) | (30 << 5) | 20);
+    expect(entry.date).toBe(((2024 - 1980) << 9) | (3 << 5) | 13);
+  });
+
+  it('produces only the end record for no files', () => {
+    const archive = createZip([], modifiedAt);
+
+    expect(archive.length).toBe(22);
+    expect(readZip(archive)).toMatchObject({ endSignature: 0x06054b50, count: 0, entries: [] });
+  });
+});